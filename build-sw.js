@@ -0,0 +1,93 @@
+/* ========================================
+   BUILD-SW.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Writes the precache manifest into sw.js
+
+   Run before every deploy:  node build-sw.js [outputDir]
+   Scans the files the app actually ships, hashes each one and
+   rewrites the PRECACHE_MANIFEST block in <outputDir>/sw.js.
+   ======================================== */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------- CONFIG ----------
+// Top-level files and folders the browser loads. Anything missing on
+// disk is simply skipped, so the list never points at a 404.
+const INCLUDE_FILES = ['index.html', 'manifest.json'];
+const INCLUDE_EXTENSIONS = ['.css', '.js'];
+// (audio/ clips are cached by sw.js as they are played instead)
+const INCLUDE_DIRS = ['icons'];
+
+// Build tooling, the worker itself and server-only code never go in the cache
+const EXCLUDE = new Set(['sw.js', 'build-sw.js', 'icon.js']);
+
+const MANIFEST_START = '// ---------- PRECACHE MANIFEST (generated by build-sw.js - do not edit) ----------';
+const MANIFEST_END = '// ---------- END PRECACHE MANIFEST ----------';
+
+// ---------- SCANNING ----------
+function listFiles(dir, rel = '') {
+    const full = path.join(dir, rel);
+    if (!fs.existsSync(full)) return [];
+
+    return fs.readdirSync(full, { withFileTypes: true }).flatMap(entry => {
+        if (entry.name.startsWith('.')) return [];
+        const child = path.posix.join(rel, entry.name);
+        return entry.isDirectory() ? listFiles(dir, child) : [child];
+    });
+}
+
+function collectAssets(root) {
+    const topLevel = fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !EXCLUDE.has(entry.name))
+        .map(entry => entry.name)
+        .filter(name => INCLUDE_FILES.includes(name) || INCLUDE_EXTENSIONS.includes(path.extname(name)));
+
+    const nested = INCLUDE_DIRS.flatMap(dir => listFiles(root, dir));
+    return [...topLevel, ...nested].sort();
+}
+
+function revisionOf(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+}
+
+// ---------- WRITING ----------
+function buildManifest(root) {
+    return collectAssets(root).map(rel => ({
+        url: `/${rel}`,
+        revision: revisionOf(path.join(root, rel))
+    }));
+}
+
+function renderManifest(manifest, eol) {
+    const lines = manifest.map((entry, i) =>
+        `  { url: '${entry.url}', revision: '${entry.revision}' }${i < manifest.length - 1 ? ',' : ''}`);
+    return [MANIFEST_START, 'const PRECACHE_MANIFEST = [', ...lines, '];', MANIFEST_END].join(eol);
+}
+
+function writeManifest(root) {
+    const swPath = path.join(root, 'sw.js');
+    const source = fs.readFileSync(swPath, 'utf8');
+    const start = source.indexOf(MANIFEST_START);
+    const end = source.indexOf(MANIFEST_END);
+    if (start === -1 || end === -1) {
+        throw new Error(`${swPath} has no PRECACHE MANIFEST block`);
+    }
+
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const manifest = buildManifest(root);
+    const updated = source.slice(0, start) + renderManifest(manifest, eol) + source.slice(end + MANIFEST_END.length);
+    if (updated !== source) fs.writeFileSync(swPath, updated);
+    return manifest;
+}
+
+module.exports = { collectAssets, buildManifest, writeManifest };
+
+if (require.main === module) {
+    const root = path.resolve(process.argv[2] || __dirname);
+    const manifest = writeManifest(root);
+    console.log(`Precached ${manifest.length} files into ${path.join(root, 'sw.js')}`);
+}
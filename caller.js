@@ -0,0 +1,97 @@
+/* ========================================
+   CALLER.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Number caller: draws 1–75 without repeats
+   ======================================== */
+
+// UMD wrapper: window.BingoCaller in the page, require('./caller') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./deck.js'));
+    } else {
+        root.BingoCaller = factory(root.BingoDeck);
+    }
+})(typeof self !== 'undefined' ? self : this, function(BingoDeck) {
+    "use strict";
+
+    const { BINGO_RANGES } = BingoDeck;
+    const TOTAL_NUMBERS = BINGO_RANGES[BINGO_RANGES.length - 1].end;
+
+    // Unbiased integer in [0, max) - crypto when available
+    function randomIndex(max) {
+        const cryptoObj = typeof crypto !== 'undefined' ? crypto : null;
+        if (cryptoObj && cryptoObj.getRandomValues) {
+            const limit = Math.floor(4294967296 / max) * max;
+            const buf = new Uint32Array(1);
+            do {
+                cryptoObj.getRandomValues(buf);
+            } while (buf[0] >= limit);
+            return buf[0] % max;
+        }
+        return Math.floor(Math.random() * max);
+    }
+
+    /**
+     * Creates a draw engine. `calls` restores a saved sequence;
+     * `random(max)` can be injected for deterministic replays.
+     */
+    function createCaller({ calls = [], random = randomIndex } = {}) {
+        let history = calls.filter(n => Number.isInteger(n) && n >= 1 && n <= TOTAL_NUMBERS);
+        history = history.filter((n, i) => history.indexOf(n) === i);
+
+        function remaining() {
+            const called = new Set(history);
+            const left = [];
+            for (let n = 1; n <= TOTAL_NUMBERS; n++) {
+                if (!called.has(n)) left.push(n);
+            }
+            return left;
+        }
+
+        function draw() {
+            const left = remaining();
+            if (left.length === 0) return null;
+            const number = left[random(left.length)];
+            history.push(number);
+            return number;
+        }
+
+        function undo() {
+            return history.length > 0 ? history.pop() : null;
+        }
+
+        function current() {
+            return history.length > 0 ? history[history.length - 1] : null;
+        }
+
+        // { B: [..], I: [..], ... } in call order
+        function historyByLetter() {
+            const groups = {};
+            BINGO_RANGES.forEach(range => { groups[range.letter] = []; });
+            history.forEach(n => groups[BingoDeck.letterFor(n)].push(n));
+            return groups;
+        }
+
+        return {
+            draw,
+            undo,
+            current,
+            remaining,
+            historyByLetter,
+            getCalls: () => history.slice(),
+            hasCalled: (n) => history.includes(n),
+            isComplete: () => history.length >= TOTAL_NUMBERS,
+            reset: () => { history = []; }
+        };
+    }
+
+    function formatCall(number) {
+        return number == null ? '–' : `${BingoDeck.letterFor(number)} ${number}`;
+    }
+
+    return {
+        TOTAL_NUMBERS,
+        createCaller,
+        formatCall
+    };
+});
@@ -0,0 +1,92 @@
+/* ========================================
+   CHANGELOG.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Release notes and the single source of the app version
+   ======================================== */
+
+// UMD wrapper: self.BingoChangelog in the page/worker, require('./changelog') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoChangelog = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // Newest first. Add an entry for every release; the top one is the
+    // version the page (APP_VERSION) and the worker (SW_VERSION) report.
+    const RELEASES = [
+        {
+            version: '1.3.0',
+            changes: [
+                'One-to-go badges, a closest-to-winning list and an optional near-win chime',
+                'Rounds with a winners list and a celebration screen that stays until you close it',
+                'Import and export decks and whole games as files',
+                'Hall ledger for card sales, the prize pool and payouts, with a CSV summary',
+                'Statistics: wins, calls to win, hot and cold numbers and droughts',
+                'Boards work with the keyboard and screen readers; high-contrast theme',
+                'Choose windowed, fullscreen or kiosk display'
+            ]
+        },
+        {
+            version: '1.2.0',
+            changes: [
+                'Amharic and English, with a language picker',
+                'Calls are announced by voice',
+                'Print kartela sheets at 1, 2, 4 or 6 cards per page',
+                'Kartela QR codes and a camera scanner',
+                'Add boards by range, list or at random, and set a per-player limit',
+                'Large halls: hundreds of boards stay fast',
+                'Compact heatmap view and a focus mode for the last call'
+            ]
+        },
+        {
+            version: '1.1.0',
+            changes: [
+                'Kartelas are generated from a deck seed, so every device shows the same card',
+                'Built-in number caller with auto draw, undo and call history',
+                'Auto-daub and daub-assist modes',
+                'Win patterns, including your own custom shapes',
+                'Check a player\'s claim against the called numbers',
+                'Named game sessions you can resume, duplicate or delete',
+                'LAN multiplayer rooms',
+                'Offline changes are sent to the sync server when you reconnect',
+                'Updates wait until the current round is over'
+            ]
+        },
+        {
+            version: '1.0.0',
+            changes: ['First release']
+        }
+    ];
+
+    const CURRENT_VERSION = RELEASES[0].version;
+
+    // Numeric compare of dotted versions: -1, 0 or 1
+    function compareVersions(a, b) {
+        const pa = String(a).split('.').map(Number);
+        const pb = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+            const diff = (pa[i] || 0) - (pb[i] || 0);
+            if (diff !== 0) return diff > 0 ? 1 : -1;
+        }
+        return 0;
+    }
+
+    /**
+     * Releases newer than `from` up to and including `to`, newest first.
+     * `releases` defaults to this copy; pass the list a newer worker sent.
+     */
+    function changesBetween(from, to, releases = RELEASES) {
+        return releases.filter(release =>
+            compareVersions(release.version, from) > 0 && compareVersions(release.version, to) <= 0);
+    }
+
+    return {
+        RELEASES,
+        CURRENT_VERSION,
+        compareVersions,
+        changesBetween
+    };
+});
@@ -0,0 +1,113 @@
+/* ========================================
+   DECK.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Deterministic kartela generation from a deck seed
+   ======================================== */
+
+// UMD wrapper: window.BingoDeck in the page, require('./deck') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoDeck = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // ---------- CONSTANTS ----------
+    const BINGO_RANGES = [
+        { letter: "B", start: 1, end: 15 },
+        { letter: "I", start: 16, end: 30 },
+        { letter: "N", start: 31, end: 45 },
+        { letter: "G", start: 46, end: 60 },
+        { letter: "O", start: 61, end: 75 }
+    ];
+    const FREE_SPACE_INDEX = 12;
+    const FREE = "FREE";
+    const DEFAULT_DECK_SEED = 'IDG-MERKEB-1';
+
+    // ---------- SEEDED RANDOM ----------
+    // FNV-1a: turns any seed string into a 32-bit integer
+    function hashString(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32: small, fast and identical on every JS engine
+    function createRng(seed) {
+        let state = seed >>> 0;
+        return function next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ---------- KARTELA GENERATION ----------
+    /**
+     * Returns the 25 cell values (row-major, FREE in the centre) of
+     * board `boardId` in deck `deckSeed`. Pure: the same inputs always
+     * give the same card, on any device.
+     */
+    function generateBoard(deckSeed, boardId) {
+        const rng = createRng(hashString(`${deckSeed}#${boardId}`));
+        const numbers = new Array(25);
+
+        for (let col = 0; col < 5; col++) {
+            const range = BINGO_RANGES[col];
+            const pool = [];
+            for (let n = range.start; n <= range.end; n++) pool.push(n);
+
+            // Partial Fisher-Yates: the first 5 slots become the column
+            for (let i = 0; i < 5; i++) {
+                const j = i + Math.floor(rng() * (pool.length - i));
+                [pool[i], pool[j]] = [pool[j], pool[i]];
+            }
+
+            const colNums = pool.slice(0, 5).sort((a, b) => a - b);
+            for (let row = 0; row < 5; row++) {
+                numbers[row * 5 + col] = colNums[row];
+            }
+        }
+
+        numbers[FREE_SPACE_INDEX] = FREE;
+        return numbers;
+    }
+
+    /**
+     * Short code printed on paper kartelas. It is derived from the card's
+     * numbers, so a printout only matches a board from the same deck.
+     */
+    function boardChecksum(deckSeed, boardId) {
+        return cardChecksum(deckSeed, boardId, generateBoard(deckSeed, boardId));
+    }
+
+    // The same code for a card whose numbers are known (e.g. an imported deck)
+    function cardChecksum(deckId, boardId, numbers) {
+        return hashString(`${deckId}#${boardId}:${numbers.join(',')}`).toString(36).toUpperCase().padStart(7, '0');
+    }
+
+    function letterFor(number) {
+        const range = BINGO_RANGES.find(r => number >= r.start && number <= r.end);
+        return range ? range.letter : null;
+    }
+
+    return {
+        BINGO_RANGES,
+        FREE_SPACE_INDEX,
+        FREE,
+        DEFAULT_DECK_SEED,
+        hashString,
+        createRng,
+        generateBoard,
+        boardChecksum,
+        cardChecksum,
+        letterFor
+    };
+});
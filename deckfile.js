@@ -0,0 +1,303 @@
+/* ========================================
+   DECKFILE.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Deck and game files: versioned JSON with integrity checksums
+   ======================================== */
+
+// UMD wrapper: window.BingoDeckFile in the page, require('./deckfile') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./deck.js'));
+    } else {
+        root.BingoDeckFile = factory(root.BingoDeck);
+    }
+})(typeof self !== 'undefined' ? self : this, function(BingoDeck) {
+    "use strict";
+
+    // A file is one JSON object:
+    //
+    //   {
+    //     "format": "merkeb-bingo",
+    //     "version": 1,
+    //     "kind": "deck",               or "session" for a whole game
+    //     "deck": {
+    //       "id": "IDG-MERKEB-1",       sessions and QR codes refer to the deck by id
+    //       "name": "Saturday hall",
+    //       "seed": "IDG-MERKEB-1",     the cards derive from it, or null for a fixed deck
+    //       "freeIndex": 12,            row-major index of the FREE cell
+    //       "boards": [
+    //         { "id": 1, "numbers": [3, 18, 40, ..., "FREE", ...], "checksum": "0K3F9QZ" }
+    //       ]
+    //     },
+    //     "session": { ... },           "session" files only, see exportSession
+    //     "checksum": "1A2B3C4"         over everything else, see fileChecksum
+    //   }
+    //
+    // Board ids run 1..N without gaps. Column c only holds numbers from
+    // BINGO_RANGES[c], and no number appears twice on a card. A board's
+    // checksum is the code printed on its paper kartela.
+
+    // ---------- CONSTANTS ----------
+    const FORMAT = 'merkeb-bingo';
+    const VERSION = 1;
+    const KINDS = ['deck', 'session'];
+    const MAX_BOARDS = 300;
+    const MAX_PROBLEMS = 20;     // a bad file lists this many, then "and N more"
+    const ROUND_STATES = ['waiting', 'playing', 'over'];
+    const DAUB_MODES = ['off', 'auto', 'assist'];
+    const AUTO_DRAW_MS = { min: 1000, max: 60000 };
+    const { BINGO_RANGES, FREE_SPACE_INDEX, FREE } = BingoDeck;
+
+    // ---------- ERRORS ----------
+    // `problems` are { code, params } so the page can word them in any language
+    class DeckFileError extends Error {
+        constructor(problems) {
+            super(problems.map(p => p.code).join(', '));
+            this.name = 'DeckFileError';
+            this.problems = problems;
+        }
+    }
+
+    // ---------- CHECKSUMS ----------
+    // Keys sorted at every level, so a file re-saved by another tool still matches
+    function canonicalJson(value) {
+        if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    function fileChecksum(file) {
+        const { checksum, ...content } = file;
+        return BingoDeck.hashString(canonicalJson(content)).toString(36).toUpperCase().padStart(7, '0');
+    }
+
+    // ---------- EXPORT ----------
+    // `deck` is { id, name, seed, boards: [{ id, numbers }] }
+    function deckSection(deck) {
+        return {
+            id: deck.id,
+            name: deck.name || deck.id,
+            seed: deck.seed || null,
+            freeIndex: FREE_SPACE_INDEX,
+            boards: deck.boards.map(board => ({
+                id: board.id,
+                numbers: board.numbers,
+                checksum: BingoDeck.cardChecksum(deck.id, board.id, board.numbers)
+            }))
+        };
+    }
+
+    function sealed(file) {
+        return { ...file, checksum: fileChecksum(file) };
+    }
+
+    function exportDeck(deck) {
+        return sealed({ format: FORMAT, version: VERSION, kind: 'deck', deck: deckSection(deck) });
+    }
+
+    /**
+     * A whole game: its deck plus `session`, which is
+     * { name, createdAt, calls, selectedBoards, activePatterns, customPatterns,
+     *   autoDrawInterval, daubMode, boardLimit, winners, round, pastRounds, ledger, marks: [{ id, markedCells, score, patternScores }] }.
+     */
+    function exportSession(deck, session) {
+        return sealed({ format: FORMAT, version: VERSION, kind: 'session', deck: deckSection(deck), session });
+    }
+
+    // ---------- IMPORT ----------
+    function cellName(index) {
+        return `${BINGO_RANGES[index % 5].letter}${Math.floor(index / 5) + 1}`;
+    }
+
+    function checkBoard(board, position, deckId, problems) {
+        const id = position + 1;
+        if (!board || board.id !== id) {
+            problems.push({ code: 'boardId', params: { board: id } });
+            return;
+        }
+        const numbers = board.numbers;
+        if (!Array.isArray(numbers) || numbers.length !== 25) {
+            problems.push({ code: 'cellCount', params: { board: id } });
+            return;
+        }
+
+        const seen = new Set();
+        numbers.forEach((n, index) => {
+            if (index === FREE_SPACE_INDEX) {
+                if (n !== FREE) problems.push({ code: 'freeCell', params: { board: id } });
+                return;
+            }
+            if (!Number.isInteger(n)) {
+                problems.push({ code: 'notNumber', params: { board: id, cell: cellName(index) } });
+                return;
+            }
+            const range = BINGO_RANGES[index % 5];
+            if (n < range.start || n > range.end) {
+                problems.push({
+                    code: 'column',
+                    params: { board: id, cell: cellName(index), number: n, letter: range.letter, min: range.start, max: range.end }
+                });
+            }
+            if (seen.has(n)) problems.push({ code: 'duplicate', params: { board: id, number: n } });
+            seen.add(n);
+        });
+
+        if (board.checksum !== undefined &&
+            board.checksum !== BingoDeck.cardChecksum(deckId, id, numbers)) {
+            problems.push({ code: 'boardChecksum', params: { board: id } });
+        }
+    }
+
+    function checkDeck(deck, problems) {
+        if (!deck || typeof deck !== 'object') {
+            problems.push({ code: 'notBingo', params: {} });
+            return;
+        }
+        if (typeof deck.id !== 'string' || !deck.id.trim()) problems.push({ code: 'deckId', params: {} });
+        if (deck.freeIndex !== FREE_SPACE_INDEX) {
+            problems.push({ code: 'freeIndex', params: { index: deck.freeIndex, expected: FREE_SPACE_INDEX } });
+        }
+        if (!Array.isArray(deck.boards) || deck.boards.length === 0) {
+            problems.push({ code: 'noBoards', params: {} });
+            return;
+        }
+        if (deck.boards.length > MAX_BOARDS) {
+            problems.push({ code: 'tooMany', params: { count: deck.boards.length, max: MAX_BOARDS } });
+            return;
+        }
+
+        deck.boards.forEach((board, position) => checkBoard(board, position, deck.id, problems));
+        if (problems.length > 0) return;
+
+        // The same card twice would win twice on every call
+        const cards = new Map();
+        deck.boards.forEach(board => {
+            const key = board.numbers.join(',');
+            if (cards.has(key)) problems.push({ code: 'sameCard', params: { board: board.id, other: cards.get(key) } });
+            else cards.set(key, board.id);
+        });
+
+        // A seeded deck must be the deck its seed makes
+        if (deck.seed) {
+            const off = deck.boards.find(board =>
+                BingoDeck.generateBoard(deck.seed, board.id).join(',') !== board.numbers.join(','));
+            if (off) problems.push({ code: 'seedMismatch', params: { board: off.id } });
+        }
+    }
+
+    function isCellList(list) {
+        return Array.isArray(list) && list.every(i => Number.isInteger(i) && i >= 0 && i < 25);
+    }
+
+    function isCallList(list) {
+        return Array.isArray(list) && list.every(n => Number.isInteger(n) && n >= 1 && n <= 75) &&
+            new Set(list).size === list.length;
+    }
+
+    function isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isRoundNumber(n) {
+        return Number.isInteger(n) && n >= 1;
+    }
+
+    function isCount(n) {
+        return Number.isInteger(n) && n >= 0;
+    }
+
+    // { patternId: wins } as kept on a board
+    function isPatternScores(scores) {
+        return scores === undefined || scores === null ||
+            (isObject(scores) && Object.values(scores).every(isCount));
+    }
+
+    // Optional fields may be missing (files from older versions) but not malformed
+    function optionalList(list, isItem) {
+        return list === undefined || (Array.isArray(list) && list.every(isItem));
+    }
+
+    function checkSession(session, boardCount, problems) {
+        const inDeck = (id) => Number.isInteger(id) && id >= 1 && id <= boardCount;
+        const ok = isObject(session) &&
+            isCallList(session.calls) &&
+            Array.isArray(session.selectedBoards) && session.selectedBoards.every(inDeck) &&
+            (session.name === undefined || typeof session.name === 'string') &&
+            (session.autoDrawInterval === undefined || (Number.isInteger(session.autoDrawInterval) &&
+                session.autoDrawInterval >= AUTO_DRAW_MS.min && session.autoDrawInterval <= AUTO_DRAW_MS.max)) &&
+            (session.boardLimit === undefined || (isCount(session.boardLimit) && session.boardLimit <= MAX_BOARDS)) &&
+            (session.daubMode === undefined || DAUB_MODES.includes(session.daubMode)) &&
+            optionalList(session.marks, mark => isObject(mark) && inDeck(mark.id) && isCellList(mark.markedCells) &&
+                (mark.score === undefined || isCount(mark.score)) && isPatternScores(mark.patternScores)) &&
+            optionalList(session.winners, winner => isObject(winner) &&
+                inDeck(winner.boardId) && typeof winner.patternId === 'string' &&
+                (winner.round === undefined || isRoundNumber(winner.round)) &&
+                (winner.callCount === undefined || Number.isInteger(winner.callCount)) &&
+                (winner.cells === undefined || isCellList(winner.cells))) &&
+            (session.round === undefined || session.round === null || (isObject(session.round) &&
+                isRoundNumber(session.round.number) && ROUND_STATES.includes(session.round.state))) &&
+            optionalList(session.activePatterns, id => typeof id === 'string') &&
+            optionalList(session.customPatterns, pattern => isObject(pattern) &&
+                typeof pattern.name === 'string' && Array.isArray(pattern.mask) && pattern.mask.length === 5 &&
+                pattern.mask.every(row => typeof row === 'string' && row.length === 5)) &&
+            optionalList(session.pastRounds, past => isObject(past) &&
+                isRoundNumber(past.number) && isCallList(past.calls)) &&
+            (session.ledger === undefined || (isObject(session.ledger) &&
+                optionalList(session.ledger.sales, isObject) && optionalList(session.ledger.payouts, isObject)));
+        if (!ok) problems.push({ code: 'session', params: {} });
+    }
+
+    /**
+     * Parses and checks a deck or session file. Returns the file object;
+     * throws a DeckFileError listing what is wrong.
+     */
+    function parseFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new DeckFileError([{ code: 'notJson', params: {} }]);
+        }
+        if (!file || typeof file !== 'object' || file.format !== FORMAT) {
+            throw new DeckFileError([{ code: 'notBingo', params: {} }]);
+        }
+        if (!Number.isInteger(file.version) || file.version > VERSION) {
+            throw new DeckFileError([{ code: 'version', params: { version: file.version } }]);
+        }
+        if (!KINDS.includes(file.kind)) {
+            throw new DeckFileError([{ code: 'kind', params: { kind: file.kind } }]);
+        }
+        if (file.checksum !== fileChecksum(file)) {
+            throw new DeckFileError([{ code: 'checksum', params: {} }]);
+        }
+
+        const problems = [];
+        checkDeck(file.deck, problems);
+        if (problems.length === 0 && file.kind === 'session') {
+            checkSession(file.session, file.deck.boards.length, problems);
+        }
+        if (problems.length > 0) {
+            const shown = problems.slice(0, MAX_PROBLEMS);
+            if (problems.length > MAX_PROBLEMS) {
+                shown.push({ code: 'more', params: { count: problems.length - MAX_PROBLEMS } });
+            }
+            throw new DeckFileError(shown);
+        }
+        return file;
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        DeckFileError,
+        fileChecksum,
+        exportDeck,
+        exportSession,
+        parseFile
+    };
+});
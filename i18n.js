@@ -0,0 +1,821 @@
+/* ========================================
+   I18N.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Message catalogs, language switching and locale formatting
+   ======================================== */
+
+// UMD wrapper: window.BingoI18n in the page, require('./i18n') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoI18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // ---------- LANGUAGES ----------
+    // `fallback` is tried for keys a catalog is missing, then English.
+    // Tigrinya readers get Amharic first: same script, widely read.
+    const LANGUAGES = [
+        { code: 'am', name: 'አማርኛ', locale: 'am-ET', fallback: 'en' },
+        { code: 'en', name: 'English', locale: 'en-US', fallback: null },
+        { code: 'om', name: 'Afaan Oromoo', locale: 'om-ET', fallback: 'en' },
+        { code: 'ti', name: 'ትግርኛ', locale: 'ti-ET', fallback: 'am' }
+    ];
+    const DEFAULT_LANGUAGE = 'am'; // manifest.json declares lang "am"
+
+    // ---------- CATALOGS ----------
+    // `{name}` placeholders are filled from the params passed to t().
+    // Keys ending in "Html" are trusted markup for data-i18n-html.
+    const CATALOGS = {
+        en: {
+            'app.title': 'Merkeb Bingo Game',
+
+            'board.reset': 'Reset board',
+            'board.resetLabel': 'Reset board {id}',
+            'board.remove': 'Remove board',
+            'board.removeLabel': 'Remove board {id}',
+            'board.select': 'Select boards',
+            'board.sessions': 'Saved games',
+            'board.about': 'About',
+            'board.aboutTitle': 'About Insite Digital Group',
+
+            'noBoards.none': 'No boards selected',
+            'noBoards.offline': 'Offline - No boards available',
+            'connection.online': '🟢 Online',
+            'connection.offline': '🔴 Offline',
+            'noBoards.hint': 'Tap 📋 to select boards ({min}–{max})',
+
+            'selection.add': 'Add board',
+            'selection.confirm': 'Confirm',
+            'selection.cancel': 'Cancel',
+            'selection.input': 'Boards to add',
+            'selection.placeholder': '10-25, 3,7,19, random 5',
+            'selection.picker': 'Pick boards',
+            'selection.limit': 'Boards per player (0 = no limit)',
+            'selection.added': '{count} boards added',
+            'selection.nothingNew': 'Those boards are already selected',
+            'selection.takenSkipped': 'Taken by other players: {list}',
+            'selection.limitReached': 'Limit of {limit} boards per player reached',
+            'selection.overLimit': 'Only {limit} boards per player - remove {extra}',
+            'selection.takenTitle': 'Board {id} is taken',
+
+            'caller.draw': 'Draw number',
+            'caller.autoStart': 'Start auto draw',
+            'caller.autoPause': 'Pause auto draw',
+            'caller.interval': 'Auto draw interval',
+            'caller.undo': 'Undo last call',
+            'caller.reset': 'New game',
+            'caller.resetLabel': 'Clear all calls',
+            'caller.claim': 'Claim bingo',
+            'caller.patterns': 'Win patterns',
+            'caller.verify': 'Check a claim',
+            'caller.verifyLabel': 'Check a bingo claim',
+            'caller.net': 'Play together',
+            'caller.netLabel': 'Play together on the local network',
+
+            'patterns.heading': '🏆 Win Patterns',
+            'patterns.round': 'This Round',
+            'patterns.custom': 'Custom Pattern',
+            'patterns.name': 'Name',
+            'patterns.add': 'Add pattern',
+            'patterns.remove': 'Remove pattern {name}',
+            'verify.heading': '🔎 ቢንጎ Check',
+            'verify.check': 'Check board',
+            'verify.range': 'Board must be {min}–{max}',
+            'verify.valid': '✅ #{id} ቢንጎ! {pattern}',
+            'verify.validAt': '✅ #{id} ቢንጎ! {pattern} · {call} (call #{count})',
+            'verify.invalid': '❌ #{id} — no pattern complete with called numbers',
+            'verify.misDaubed': 'Mis-daubed: {calls}',
+            'net.heading': '📡 Play Together',
+            'net.server': 'Server address',
+            'net.name': 'Your name',
+            'net.code': 'Room code',
+            'net.join': 'Join',
+            'net.joinLabel': 'Join room',
+            'net.host': 'Host',
+            'net.hostLabel': 'Host a room',
+            'net.leave': 'Leave',
+            'net.leaveLabel': 'Leave room',
+            'net.defaultName': 'Player',
+            'net.needCode': 'Enter the room code',
+            'net.connecting': 'Connecting…',
+            'net.connected': 'Connected',
+            'net.hosting': 'Hosting room {code}',
+            'net.joined': 'Joined room {code}',
+            'net.reconnecting': 'Connection lost - retrying…',
+            'net.closed': 'Not connected',
+            'net.taken': '⚠️ Taken by another player: {list}',
+            'net.claimWon': '✅ #{id} ቢንጎ! {pattern}',
+            'net.claimRejected': '❌ #{id} claim rejected',
+            'net.winner': '🏆 {name} · #{id} · {pattern}',
+            'net.playerJoined': '👋 {name} joined',
+            'net.playerLeft': '{name} left',
+            'net.roomClosed': 'The host closed the room',
+            'netError.unsupported': 'This browser cannot play together',
+            'netError.badMessage': 'The server could not read a message from this app',
+            'netError.wrongHostToken': 'This device can no longer host that room',
+            'netError.roomNotFound': 'Room not found',
+            'netError.hostSeat': 'That seat is the host\'s: rejoin as host',
+            'netError.wrongPlayerToken': 'That seat belongs to another device',
+            'netError.notInRoom': 'Host or join a room first',
+            'netError.hostOnly': 'Only the host can do that',
+            'netError.invalidCall': 'That number cannot be called',
+            'netError.notYourBoard': 'Board {board} is not yours',
+            'netError.hostOffline': 'The host is offline',
+            'netError.unknownClaim': 'That claim is no longer open',
+            'netError.unknown': 'The server refused the request',
+            'net.noClaim': 'No completed pattern to claim',
+            'net.claimSent': '📣 ቢንጎ! Claim sent for {list}',
+            'net.verdictValid': '✅ {name} #{id}: {pattern}',
+            'net.verdictInvalid': '❌ {name} #{id}: not a valid bingo',
+
+            'daub.off': 'Manual daub',
+            'daub.auto': 'Auto daub',
+            'daub.assist': 'Daub assist',
+            'view.cards': 'Full cards',
+            'view.mini': 'Compact view',
+            'view.focusOn': 'Focus on the last call: on',
+            'view.focusOff': 'Focus on the last call: off',
+            'mini.open': 'Open board {id}',
+            'mini.oneAway': '1 to go',
+            'mini.won': 'Bingo',
+            'nearWin.button': 'Closest to winning',
+            'nearWin.heading': '⏳ Closest to winning',
+            'nearWin.alert': 'Sound and vibrate when a board is one to go',
+            'nearWin.toGo': '{count} to go',
+            'nearWin.needs': 'Board {id} needs {numbers}',
+            'nearWin.badge': '{pattern}: {numbers}',
+            'nearWin.empty': 'No boards selected',
+            'round.winners': 'Winners',
+            'round.over': '🏆 Round {number} is over',
+            'round.split': 'Split between {count} winners',
+            'round.winner': '#{id} · {pattern} · call {calls} · {time}',
+            'round.history': 'All winners',
+            'round.historyRow': 'Round {number}',
+            'round.none': 'No winners yet',
+            'round.new': 'New round',
+            'round.confirmNew': 'Start a new round? Calls and daubs are cleared.',
+            'round.drawBlocked': 'The round is over. Start a new round to keep calling.',
+            'deckFile.button': '📦 Deck & game files',
+            'deckFile.heading': '📦 Deck & game files',
+            'deckFile.current': 'Current deck: {name} · {count} boards',
+            'deckFile.export': 'Export',
+            'deckFile.exportDeck': '💾 Deck',
+            'deckFile.exportSession': '💾 This game',
+            'deckFile.import': 'Import',
+            'deckFile.file': 'From a file',
+            'deckFile.paste': 'Or paste the file\'s text',
+            'deckFile.importPaste': '📥 Import',
+            'deckFile.importedDeck': 'Deck "{name}" loaded: {count} boards',
+            'deckFile.importedSession': 'Game "{name}" imported',
+            'deckProblem.notJson': 'This is not a JSON file',
+            'deckProblem.notBingo': 'This is not a Merkeb Bingo deck or game file',
+            'deckProblem.version': 'File version {version} is newer than this app understands - update the app',
+            'deckProblem.kind': 'Unknown file kind "{kind}"',
+            'deckProblem.checksum': 'Checksum mismatch: the file was changed or damaged',
+            'deckProblem.deckId': 'The deck has no id',
+            'deckProblem.freeIndex': 'FREE must be cell {expected} (the centre), not {index}',
+            'deckProblem.noBoards': 'The deck has no boards',
+            'deckProblem.tooMany': 'The deck has {count} boards; at most {max} are supported',
+            'deckProblem.boardId': 'Board {board} is missing or out of order (ids must run 1, 2, 3…)',
+            'deckProblem.cellCount': 'Board {board} needs exactly 25 cells',
+            'deckProblem.freeCell': 'Board {board} needs "FREE" in the centre cell',
+            'deckProblem.notNumber': 'Board {board}, {cell}: not a whole number',
+            'deckProblem.column': 'Board {board}, {cell}: {number} is not a {letter} number ({min}–{max})',
+            'deckProblem.duplicate': 'Board {board}: {number} appears twice',
+            'deckProblem.boardChecksum': 'Board {board}: its checksum does not match its numbers',
+            'deckProblem.sameCard': 'Boards {other} and {board} are the same card',
+            'deckProblem.seedMismatch': 'Board {board} is not the card the deck seed makes',
+            'deckProblem.session': 'The game part of the file is damaged',
+            'deckProblem.more': '…and {count} more problems',
+            'deckProblem.conflict': 'A different deck called "{id}" is already on this device',
+            'deckProblem.importFailed': 'The file passed its checks but could not be loaded',
+            'patternError.invalid': 'Pattern "{id}" has no shapes',
+            'patternError.outsideCard': 'Pattern "{id}" has cells outside the 5×5 card',
+            'patternError.rowLength': 'Each row of the pattern needs 5 cells',
+            'patternError.maskSize': 'A pattern is 5 rows of 5 cells',
+            'patternError.emptyMask': 'Tap the cells the pattern needs first',
+            'deckProblem.seedInUse': 'Cards on this device are made from "{id}" - give the fixed deck another id',
+            'ledger.button': 'Hall ledger',
+            'ledger.heading': '💰 Hall ledger',
+            'ledger.price': 'Card price (birr)',
+            'ledger.cut': 'House cut (%)',
+            'ledger.round': 'Sales for round {number}',
+            'ledger.pool': '{boards} boards sold · pool {sales} · house {house} · prize per pattern {perPattern}',
+            'ledger.player': 'Player',
+            'ledger.boards': 'Boards, e.g. 1-5',
+            'ledger.sell': 'Record sale',
+            'ledger.needPlayer': 'Enter the player\'s name',
+            'ledger.notInPlay': 'Not in play: {list}',
+            'ledger.alreadySold': 'Already sold this round: {list}',
+            'ledger.sold': '{player} bought {count} boards',
+            'ledger.unsold': 'Unsold boards in play: {list}',
+            'ledger.allSold': 'Every board in play is sold',
+            'ledger.sale': '{player}: {boards} · {amount}',
+            'ledger.removeSale': 'Remove sale',
+            'ledger.prizes': 'Prizes',
+            'ledger.noPrizes': 'No winners yet',
+            'ledger.prize': 'Round {round} · #{id} · {pattern} · {player} · {amount}',
+            'ledger.notSold': 'not sold',
+            'ledger.pay': 'Pay',
+            'ledger.paid': 'Paid ✓',
+            'ledger.wallets': 'Players',
+            'ledger.noPlayers': 'No sales yet',
+            'ledger.colPlayer': 'Player',
+            'ledger.colBoards': 'Boards',
+            'ledger.colSpent': 'Spent',
+            'ledger.colWon': 'Won',
+            'ledger.colNet': 'Net',
+            'ledger.totals': 'Sales {sales} · house {house} · paid {paid} · owed {unpaid} · kept {kept}',
+            'ledger.export': '📄 Export CSV',
+            'ledger.amount': '{amount} birr',
+            'ledger.csvType': 'Type',
+            'ledger.csvRound': 'Round',
+            'ledger.csvPlayer': 'Player',
+            'ledger.csvBoards': 'Boards',
+            'ledger.csvPattern': 'Pattern',
+            'ledger.csvAmount': 'Amount (birr)',
+            'ledger.csvTime': 'Time',
+            'ledger.csvSale': 'sale',
+            'ledger.csvPayout': 'payout',
+            'ledger.csvUnpaid': 'owed',
+            'ledger.csvWallet': 'player net',
+            'ledger.csvTotalSales': 'total sales',
+            'ledger.csvTotalHouse': 'house cut',
+            'ledger.csvTotalPaid': 'total paid',
+            'ledger.csvTotalUnpaid': 'still owed',
+            'ledger.csvTotalKept': 'kept by the hall',
+            'stats.button': '📊 Statistics',
+            'stats.heading': '📊 Statistics',
+            'stats.empty': 'No games played yet',
+            'stats.games': 'Games played',
+            'stats.wins': 'Wins',
+            'stats.average': 'Average calls to win',
+            'stats.patterns': 'Wins per pattern',
+            'stats.callsToWin': 'Calls to win',
+            'stats.bucket': '{from}–{to}',
+            'stats.lucky': 'Luckiest boards',
+            'stats.frequency': 'How often each number was called',
+            'stats.hot': '🔥 Hot',
+            'stats.cold': '❄️ Cold',
+            'stats.times': '{call} ×{count}',
+            'stats.droughts': 'Longest droughts',
+            'stats.drought': '{call}: {longest} games without a call',
+            'stats.stillDry': '{call}: {longest} games without a call, still going',
+            'stats.none': 'No wins yet',
+            'a11y.board': 'Board {id}',
+            'a11y.free': 'Free space, marked',
+            'a11y.marked': '{call} marked on board {id}',
+            'a11y.unmarked': '{call} unmarked on board {id}',
+            'a11y.called': 'Called {call}, call {count}',
+            'a11y.highContrast': 'High contrast colours',
+            'settings.button': 'Settings',
+            'settings.heading': '⚙️ Settings',
+            'display.mode': 'Display',
+            'display.windowed': 'Windowed',
+            'display.fullscreen': 'Fullscreen',
+            'display.kiosk': 'Kiosk (hall screen, stays awake)',
+
+            'sessions.namePlaceholder': 'New game name',
+            'sessions.new': 'Start new game',
+            'sessions.defaultName': 'Game {date}',
+            'sessions.back': 'Back',
+            'sessions.empty': 'No saved games yet',
+            'sessions.boards': '{count} boards',
+            'sessions.calls': '{count} calls',
+            'sessions.winners': '{count} winners',
+            'sessions.resume': 'Resume',
+            'sessions.duplicate': 'Duplicate',
+            'sessions.delete': 'Delete',
+            'sessions.confirmDelete': 'Delete "{name}"?',
+            'sync.endpoint': 'Sync server endpoint',
+            'sync.save': 'Save sync endpoint',
+            'sync.now': 'Sync now',
+            'sync.on': '☁️ Sync on',
+            'sync.off': 'Sync off',
+            'sync.conflicts': '☁️ {count} change(s) replaced by the server\'s copy',
+            'sync.rejected': '⚠️ {count} change(s) could not be synced',
+            'sync.pending': '{count} waiting to sync',
+            'sync.done': 'All synced',
+
+            'voice.title': 'Voice',
+            'voice.heading': '🔊 Voice',
+            'voice.settings': 'Voice settings',
+            'voice.repeat': 'Repeat last call',
+            'voice.volume': 'Volume',
+            'voice.voice': 'Voice',
+            'voice.auto': 'Automatic',
+            'voice.clips': 'Recorded calls',
+            'voice.noClips': 'No recorded calls on this server - using the device voice',
+            'voice.test': 'Test voice',
+
+            'boards.badPart': '"{part}" is not a board number or range',
+            'boards.outOfRange': 'Boards go from {min} to {max}',
+            'boards.empty': 'Enter at least one board',
+
+            'update.label': 'Update available',
+            'update.ready': '🔄 Version {version} is ready',
+            'update.now': 'Update Now',
+            'update.later': 'Later',
+
+            'storage.notKept': '⚠️ {message} - progress may not be kept',
+            'storage.loadDecks': 'Failed to load imported decks',
+            'storage.saveBoards': 'Failed to save boards',
+            'storage.loadBoards': 'Failed to load boards',
+            'storage.saveSettings': 'Failed to save settings',
+            'storage.loadMarks': 'Failed to load marks',
+            'storage.saveGame': 'Failed to save game state',
+            'storage.restoreGame': 'Failed to restore game',
+            'storage.loadSessions': 'Failed to load saved games',
+            'storage.duplicateSession': 'Failed to duplicate game',
+            'storage.deleteSession': 'Failed to delete game',
+            'storage.saveDeck': 'Failed to save the deck',
+            'storage.importGame': 'Failed to import game',
+            'storage.queueSync': 'Failed to queue sync event',
+            'storage.sync': 'Sync failed',
+            'storage.readSync': 'Failed to read sync settings',
+            'storage.saveSync': 'Failed to save sync settings',
+
+            'print.button': 'Print kartelas',
+            'print.heading': '🖨️ Print kartelas',
+            'print.boards': 'Boards (e.g. 1-300 or 3,7,19)',
+            'print.perPage': 'Cards per A4 page',
+            'print.print': 'Print',
+
+            'qr.show': 'Show QR code',
+            'qr.title': 'Board {id}',
+            'scan.button': 'Scan a kartela QR code',
+            'scan.heading': '📷 Scan kartela',
+            'scan.looking': 'Point the camera at the QR code on a kartela',
+            'scan.unsupported': 'This device has no camera access',
+            'scan.noCamera': 'Could not open the camera',
+            'scan.notKartela': 'That is not a kartela code',
+            'scan.otherDeck': 'Board {id} is from another deck ({seed})',
+            'scan.taken': 'Board {id} is taken by another player',
+            'scan.added': 'Board {id} added',
+
+            'info.title': '📌 Insite Digital Group',
+            'info.close': 'Close modal',
+            'info.language': '🌐 Language',
+            'info.whoTitle': 'Who We Are',
+            'info.whoBody': 'Insite Digital Group is a digital solutions company dedicated to creating innovative technology products and services that solve real-world problems.',
+            'info.ownershipTitle': 'Ownership & Leadership',
+            'info.ownershipHtml': 'Owned by the Unique Familie network, introduced and managed by <strong>Assefa Gashaye</strong>.',
+            'info.missionTitle': 'Mission & Goal',
+            'info.missionBody': 'Provide digital solutions for every problem — regardless of location, age, or background.',
+            'info.impactTitle': '🌍 Impact Statement',
+            'info.impactHtml': '✔ increased productivity<br>✔ improved communication<br>✔ smarter decision-making<br>✔ enhanced quality of life',
+            'info.contactTitle': '📞 Contact',
+            'info.footer': 'Insite Digital Group © 2026, Ethiopia'
+        },
+
+        am: {
+            'app.title': 'መርከብ ቢንጎ ጨዋታ',
+
+            'board.reset': 'ካርቴላውን አጽዳ',
+            'board.resetLabel': 'ካርቴላ {id} አጽዳ',
+            'board.remove': 'ካርቴላውን አስወግድ',
+            'board.removeLabel': 'ካርቴላ {id} አስወግድ',
+            'board.select': 'ካርቴላ ምረጥ',
+            'board.sessions': 'የተቀመጡ ጨዋታዎች',
+            'board.about': 'ስለ እኛ',
+            'board.aboutTitle': 'ስለ ኢንሳይት ዲጂታል ግሩፕ',
+
+            'noBoards.none': 'ምንም ካርቴላ አልተመረጠም',
+            'noBoards.offline': 'ከመስመር ውጭ - ምንም ካርቴላ የለም',
+            'connection.online': '🟢 በመስመር ላይ',
+            'connection.offline': '🔴 ከመስመር ውጭ',
+            'noBoards.hint': 'ካርቴላ ለመምረጥ 📋 ይንኩ ({min}–{max})',
+
+            'selection.add': 'ካርቴላ ጨምር',
+            'selection.confirm': 'አረጋግጥ',
+            'selection.cancel': 'ሰርዝ',
+            'selection.input': 'የሚጨመሩ ካርቴላዎች',
+            'selection.placeholder': '10-25, 3,7,19, በዘፈቀደ 5',
+            'selection.picker': 'ካርቴላ ይምረጡ',
+            'selection.limit': 'ለአንድ ተጫዋች የካርቴላ ገደብ (0 = ገደብ የለም)',
+            'selection.added': '{count} ካርቴላዎች ተጨምረዋል',
+            'selection.nothingNew': 'እነዚህ ካርቴላዎች አስቀድመው ተመርጠዋል',
+            'selection.takenSkipped': 'በሌሎች ተጫዋቾች የተያዙ: {list}',
+            'selection.limitReached': 'የ{limit} ካርቴላ ገደብ ደርሷል',
+            'selection.overLimit': 'ለአንድ ተጫዋች {limit} ካርቴላ ብቻ - {extra} ያስወግዱ',
+            'selection.takenTitle': 'ካርቴላ {id} ተይዟል',
+
+            'caller.draw': 'ቁጥር አውጣ',
+            'caller.autoStart': 'በራስ-ሰር ማውጣት ጀምር',
+            'caller.autoPause': 'በራስ-ሰር ማውጣት አቁም',
+            'caller.interval': 'የማውጫ ክፍተት',
+            'caller.undo': 'የመጨረሻውን ጥሪ መልስ',
+            'caller.reset': 'አዲስ ጨዋታ',
+            'caller.resetLabel': 'ሁሉንም ጥሪዎች አጽዳ',
+            'caller.claim': 'ቢንጎ ጥራ',
+            'caller.patterns': 'የማሸነፊያ ቅርጾች',
+            'caller.verify': 'ቢንጎ አረጋግጥ',
+            'caller.verifyLabel': 'የቢንጎ ጥያቄ አረጋግጥ',
+            'caller.net': 'በጋራ ተጫወት',
+            'caller.netLabel': 'በአካባቢ ኔትወርክ በጋራ ተጫወት',
+
+            'patterns.heading': '🏆 የማሸነፊያ ቅርጾች',
+            'patterns.round': 'የዚህ ዙር',
+            'patterns.custom': 'የራስዎ ቅርጽ',
+            'patterns.name': 'ስም',
+            'patterns.add': 'ቅርጽ ጨምር',
+            'patterns.remove': 'ቅርጽ {name} አስወግድ',
+            'verify.heading': '🔎 ቢንጎ ማረጋገጫ',
+            'verify.check': 'ካርቴላውን አረጋግጥ',
+            'verify.range': 'ካርቴላ ከ{min}–{max} መሆን አለበት',
+            'verify.valid': '✅ #{id} ቢንጎ! {pattern}',
+            'verify.validAt': '✅ #{id} ቢንጎ! {pattern} · {call} (ጥሪ #{count})',
+            'verify.invalid': '❌ #{id} — በተጠሩት ቁጥሮች የተሟላ ቅርጽ የለም',
+            'verify.misDaubed': 'በስህተት የተመረጡ: {calls}',
+            'net.heading': '📡 በጋራ ተጫወት',
+            'net.server': 'የአገልጋይ አድራሻ',
+            'net.name': 'ስምዎ',
+            'net.code': 'የክፍል ኮድ',
+            'net.join': 'ግባ',
+            'net.joinLabel': 'ክፍል ግባ',
+            'net.host': 'አስተናግድ',
+            'net.hostLabel': 'ክፍል አስተናግድ',
+            'net.leave': 'ውጣ',
+            'net.leaveLabel': 'ከክፍሉ ውጣ',
+            'net.defaultName': 'ተጫዋች',
+            'net.needCode': 'የክፍሉን ኮድ ያስገቡ',
+            'net.connecting': 'በመገናኘት ላይ…',
+            'net.connected': 'ተገናኝቷል',
+            'net.hosting': 'ክፍል {code} እያስተናገዱ ነው',
+            'net.joined': 'ክፍል {code} ገብተዋል',
+            'net.reconnecting': 'ግንኙነቱ ተቋርጧል - እንደገና በመሞከር ላይ…',
+            'net.closed': 'አልተገናኘም',
+            'net.taken': '⚠️ በሌላ ተጫዋች የተያዘ: {list}',
+            'net.claimWon': '✅ #{id} ቢንጎ! {pattern}',
+            'net.claimRejected': '❌ #{id} ጥያቄው ውድቅ ሆኗል',
+            'net.winner': '🏆 {name} · #{id} · {pattern}',
+            'net.playerJoined': '👋 {name} ገብቷል',
+            'net.playerLeft': '{name} ወጥቷል',
+            'net.roomClosed': 'አስተናጋጁ ክፍሉን ዘግቷል',
+            'netError.unsupported': 'ይህ አሳሽ በጋራ መጫወት አይችልም',
+            'netError.badMessage': 'አገልጋዩ ከዚህ መተግበሪያ የመጣውን መልዕክት ማንበብ አልቻለም',
+            'netError.wrongHostToken': 'ይህ መሳሪያ ያንን ክፍል ማስተናገድ አይችልም',
+            'netError.roomNotFound': 'ክፍሉ አልተገኘም',
+            'netError.hostSeat': 'ይህ የአስተናጋጁ ቦታ ነው፤ እንደ አስተናጋጅ ይመለሱ',
+            'netError.wrongPlayerToken': 'ይህ ቦታ የሌላ መሳሪያ ነው',
+            'netError.notInRoom': 'መጀመሪያ ክፍል ያስተናግዱ ወይም ይቀላቀሉ',
+            'netError.hostOnly': 'ይህን ማድረግ የሚችለው አስተናጋጁ ብቻ ነው',
+            'netError.invalidCall': 'ያ ቁጥር ሊጠራ አይችልም',
+            'netError.notYourBoard': 'ካርቴላ {board} የእርስዎ አይደለም',
+            'netError.hostOffline': 'አስተናጋጁ ከመስመር ውጭ ነው',
+            'netError.unknownClaim': 'ያ ጥያቄ ከእንግዲህ ክፍት አይደለም',
+            'netError.unknown': 'አገልጋዩ ጥያቄውን አልተቀበለም',
+            'net.noClaim': 'ለመጥራት የተሟላ ቅርጽ የለም',
+            'net.claimSent': '📣 ቢንጎ! ለ{list} ጥያቄ ተልኳል',
+            'net.verdictValid': '✅ {name} #{id}: {pattern}',
+            'net.verdictInvalid': '❌ {name} #{id}: ትክክለኛ ቢንጎ አይደለም',
+
+            'daub.off': 'በእጅ ምልክት',
+            'daub.auto': 'በራስ-ሰር ምልክት',
+            'daub.assist': 'የምልክት እገዛ',
+            'view.cards': 'ሙሉ ካርቴላዎች',
+            'view.mini': 'አጭር እይታ',
+            'view.focusOn': 'በመጨረሻው ጥሪ ላይ ትኩረት: በርቷል',
+            'view.focusOff': 'በመጨረሻው ጥሪ ላይ ትኩረት: ጠፍቷል',
+            'mini.open': 'ካርቴላ {id} ክፈት',
+            'mini.oneAway': '1 ቀረው',
+            'mini.won': 'ቢንጎ',
+            'nearWin.button': 'ለማሸነፍ የቀረቡ',
+            'nearWin.heading': '⏳ ለማሸነፍ የቀረቡ',
+            'nearWin.alert': 'ካርቴላ አንድ ሲቀረው በድምፅ እና በንዝረት አሳውቅ',
+            'nearWin.toGo': '{count} ቀረው',
+            'nearWin.needs': 'ካርቴላ {id} {numbers} ይፈልጋል',
+            'nearWin.badge': '{pattern}: {numbers}',
+            'nearWin.empty': 'ምንም ካርቴላ አልተመረጠም',
+            'round.winners': 'አሸናፊዎች',
+            'round.over': '🏆 ዙር {number} አብቅቷል',
+            'round.split': 'በ{count} አሸናፊዎች ይከፈላል',
+            'round.winner': '#{id} · {pattern} · ጥሪ {calls} · {time}',
+            'round.history': 'ሁሉም አሸናፊዎች',
+            'round.historyRow': 'ዙር {number}',
+            'round.none': 'ገና አሸናፊ የለም',
+            'round.new': 'አዲስ ዙር',
+            'round.confirmNew': 'አዲስ ዙር ይጀመር? ጥሪዎች እና ምልክቶች ይጠፋሉ።',
+            'round.drawBlocked': 'ዙሩ አብቅቷል። መጥራት ለመቀጠል አዲስ ዙር ይጀምሩ።',
+            'deckFile.button': '📦 የካርቴላ ስብስብ እና የጨዋታ ፋይሎች',
+            'deckFile.heading': '📦 የካርቴላ ስብስብ እና የጨዋታ ፋይሎች',
+            'deckFile.current': 'አሁን ያለው ስብስብ: {name} · {count} ካርቴላዎች',
+            'deckFile.export': 'ላክ',
+            'deckFile.exportDeck': '💾 ስብስቡ',
+            'deckFile.exportSession': '💾 ይህ ጨዋታ',
+            'deckFile.import': 'አስገባ',
+            'deckFile.file': 'ከፋይል',
+            'deckFile.paste': 'ወይም የፋይሉን ጽሑፍ ይለጥፉ',
+            'deckFile.importPaste': '📥 አስገባ',
+            'deckFile.importedDeck': '"{name}" ስብስብ ገብቷል: {count} ካርቴላዎች',
+            'deckFile.importedSession': '"{name}" ጨዋታ ገብቷል',
+            'deckProblem.notJson': 'ይህ የJSON ፋይል አይደለም',
+            'deckProblem.notBingo': 'ይህ የመርከብ ቢንጎ ስብስብ ወይም የጨዋታ ፋይል አይደለም',
+            'deckProblem.version': 'የፋይሉ ስሪት {version} ይህ መተግበሪያ ከሚያውቀው አዲስ ነው - መተግበሪያውን ያዘምኑ',
+            'deckProblem.kind': 'ያልታወቀ የፋይል አይነት "{kind}"',
+            'deckProblem.checksum': 'የማረጋገጫ ኮዱ አይዛመድም: ፋይሉ ተቀይሯል ወይም ተበላሽቷል',
+            'deckProblem.deckId': 'ስብስቡ መለያ የለውም',
+            'deckProblem.freeIndex': 'FREE ሕዋስ {expected} (መሃሉ) መሆን አለበት እንጂ {index} አይደለም',
+            'deckProblem.noBoards': 'ስብስቡ ምንም ካርቴላ የለውም',
+            'deckProblem.tooMany': 'ስብስቡ {count} ካርቴላዎች አሉት፤ እስከ {max} ብቻ ይደገፋሉ',
+            'deckProblem.boardId': 'ካርቴላ {board} የለም ወይም በቅደም ተከተል አይደለም (መለያዎች 1, 2, 3… መሆን አለባቸው)',
+            'deckProblem.cellCount': 'ካርቴላ {board} በትክክል 25 ሕዋሶች ያስፈልጉታል',
+            'deckProblem.freeCell': 'ካርቴላ {board} በመሃሉ ሕዋስ "FREE" ያስፈልገዋል',
+            'deckProblem.notNumber': 'ካርቴላ {board}, {cell}: ሙሉ ቁጥር አይደለም',
+            'deckProblem.column': 'ካርቴላ {board}, {cell}: {number} የ{letter} ቁጥር አይደለም ({min}–{max})',
+            'deckProblem.duplicate': 'ካርቴላ {board}: {number} ሁለት ጊዜ ተደግሟል',
+            'deckProblem.boardChecksum': 'ካርቴላ {board}: የማረጋገጫ ኮዱ ከቁጥሮቹ ጋር አይዛመድም',
+            'deckProblem.sameCard': 'ካርቴላ {other} እና {board} አንድ አይነት ናቸው',
+            'deckProblem.seedMismatch': 'ካርቴላ {board} የስብስቡ ዘር የሚያወጣው ካርቴላ አይደለም',
+            'deckProblem.session': 'የፋይሉ የጨዋታ ክፍል ተበላሽቷል',
+            'deckProblem.more': '…እና {count} ተጨማሪ ችግሮች',
+            'deckProblem.conflict': '"{id}" የሚባል ሌላ ስብስብ በዚህ መሳሪያ ላይ አለ',
+            'deckProblem.importFailed': 'ፋይሉ ፍተሻውን አልፏል ግን መጫን አልተቻለም',
+            'patternError.invalid': '"{id}" ቅርጽ የለውም',
+            'patternError.outsideCard': '"{id}" ከ5×5 ካርቴላው ውጭ ሕዋሶች አሉት',
+            'patternError.rowLength': 'እያንዳንዱ የቅርጹ ረድፍ 5 ሕዋሶች ያስፈልጉታል',
+            'patternError.maskSize': 'ቅርጽ 5 ረድፎች በ5 ሕዋሶች ነው',
+            'patternError.emptyMask': 'መጀመሪያ ቅርጹ የሚፈልጋቸውን ሕዋሶች ይንኩ',
+            'deckProblem.seedInUse': 'በዚህ መሳሪያ ላይ ያሉ ካርቴላዎች ከ"{id}" የወጡ ናቸው - ለቋሚው ስብስብ ሌላ መለያ ይስጡት',
+            'ledger.button': 'የአዳራሽ ሂሳብ',
+            'ledger.heading': '💰 የአዳራሽ ሂሳብ',
+            'ledger.price': 'የካርቴላ ዋጋ (ብር)',
+            'ledger.cut': 'የአዳራሹ ድርሻ (%)',
+            'ledger.round': 'የዙር {number} ሽያጮች',
+            'ledger.pool': '{boards} ካርቴላዎች ተሸጠዋል · ገንዳ {sales} · የአዳራሹ {house} · ሽልማት ለእያንዳንዱ ቅርጽ {perPattern}',
+            'ledger.player': 'ተጫዋች',
+            'ledger.boards': 'ካርቴላዎች፣ ለምሳሌ 1-5',
+            'ledger.sell': 'ሽያጭ መዝግብ',
+            'ledger.needPlayer': 'የተጫዋቹን ስም ያስገቡ',
+            'ledger.notInPlay': 'በጨዋታ ውስጥ የሌሉ: {list}',
+            'ledger.alreadySold': 'በዚህ ዙር ቀድሞ የተሸጡ: {list}',
+            'ledger.sold': '{player} {count} ካርቴላዎች ገዝቷል',
+            'ledger.unsold': 'ያልተሸጡ ካርቴላዎች: {list}',
+            'ledger.allSold': 'በጨዋታ ያሉ ካርቴላዎች ሁሉ ተሸጠዋል',
+            'ledger.sale': '{player}: {boards} · {amount}',
+            'ledger.removeSale': 'ሽያጩን አስወግድ',
+            'ledger.prizes': 'ሽልማቶች',
+            'ledger.noPrizes': 'ገና አሸናፊ የለም',
+            'ledger.prize': 'ዙር {round} · #{id} · {pattern} · {player} · {amount}',
+            'ledger.notSold': 'አልተሸጠም',
+            'ledger.pay': 'ክፈል',
+            'ledger.paid': 'ተከፍሏል ✓',
+            'ledger.wallets': 'ተጫዋቾች',
+            'ledger.noPlayers': 'ገና ሽያጭ የለም',
+            'ledger.colPlayer': 'ተጫዋች',
+            'ledger.colBoards': 'ካርቴላዎች',
+            'ledger.colSpent': 'ያወጣው',
+            'ledger.colWon': 'ያሸነፈው',
+            'ledger.colNet': 'ልዩነት',
+            'ledger.totals': 'ሽያጭ {sales} · የአዳራሹ {house} · የተከፈለ {paid} · ያልተከፈለ {unpaid} · የቀረ {kept}',
+            'ledger.export': '📄 CSV ላክ',
+            'ledger.amount': '{amount} ብር',
+            'ledger.csvType': 'አይነት',
+            'ledger.csvRound': 'ዙር',
+            'ledger.csvPlayer': 'ተጫዋች',
+            'ledger.csvBoards': 'ካርቴላዎች',
+            'ledger.csvPattern': 'ቅርጽ',
+            'ledger.csvAmount': 'መጠን (ብር)',
+            'ledger.csvTime': 'ሰዓት',
+            'ledger.csvSale': 'ሽያጭ',
+            'ledger.csvPayout': 'ክፍያ',
+            'ledger.csvUnpaid': 'ያልተከፈለ',
+            'ledger.csvWallet': 'የተጫዋች ልዩነት',
+            'ledger.csvTotalSales': 'ጠቅላላ ሽያጭ',
+            'ledger.csvTotalHouse': 'የአዳራሹ ድርሻ',
+            'ledger.csvTotalPaid': 'ጠቅላላ የተከፈለ',
+            'ledger.csvTotalUnpaid': 'ገና ያልተከፈለ',
+            'ledger.csvTotalKept': 'ለአዳራሹ የቀረ',
+            'stats.button': '📊 ስታቲስቲክስ',
+            'stats.heading': '📊 ስታቲስቲክስ',
+            'stats.empty': 'ገና የተጫወተ ጨዋታ የለም',
+            'stats.games': 'የተጫወቱ ጨዋታዎች',
+            'stats.wins': 'ድሎች',
+            'stats.average': 'ለማሸነፍ አማካይ ጥሪዎች',
+            'stats.patterns': 'ድሎች በቅርጽ',
+            'stats.callsToWin': 'ለማሸነፍ የወሰዱ ጥሪዎች',
+            'stats.bucket': '{from}–{to}',
+            'stats.lucky': 'እድለኛ ካርቴላዎች',
+            'stats.frequency': 'እያንዳንዱ ቁጥር ስንት ጊዜ ተጠራ',
+            'stats.hot': '🔥 ሞቃት',
+            'stats.cold': '❄️ ቀዝቃዛ',
+            'stats.times': '{call} ×{count}',
+            'stats.droughts': 'ረጅሙ ያልተጠሩበት ጊዜ',
+            'stats.drought': '{call}: ለ{longest} ጨዋታዎች አልተጠራም',
+            'stats.stillDry': '{call}: ለ{longest} ጨዋታዎች አልተጠራም፣ አሁንም',
+            'stats.none': 'ገና ድል የለም',
+            'a11y.board': 'ካርቴላ {id}',
+            'a11y.free': 'ነጻ ቦታ፣ ምልክት የተደረገበት',
+            'a11y.marked': '{call} በካርቴላ {id} ላይ ተመርጧል',
+            'a11y.unmarked': '{call} በካርቴላ {id} ላይ ተነስቷል',
+            'a11y.called': '{call} ተጠርቷል፣ ጥሪ {count}',
+            'a11y.highContrast': 'ከፍተኛ የቀለም ንፅፅር',
+            'settings.button': 'ቅንብሮች',
+            'settings.heading': '⚙️ ቅንብሮች',
+            'display.mode': 'ማሳያ',
+            'display.windowed': 'በመስኮት',
+            'display.fullscreen': 'ሙሉ ስክሪን',
+            'display.kiosk': 'ኪዮስክ (የአዳራሽ ስክሪን፣ አይጠፋም)',
+
+            'sessions.namePlaceholder': 'የአዲሱ ጨዋታ ስም',
+            'sessions.new': 'አዲስ ጨዋታ ጀምር',
+            'sessions.defaultName': 'ጨዋታ {date}',
+            'sessions.back': 'ተመለስ',
+            'sessions.empty': 'ገና የተቀመጠ ጨዋታ የለም',
+            'sessions.boards': '{count} ካርቴላ',
+            'sessions.calls': '{count} ጥሪ',
+            'sessions.winners': '{count} አሸናፊ',
+            'sessions.resume': 'ቀጥል',
+            'sessions.duplicate': 'ቅዳ',
+            'sessions.delete': 'ሰርዝ',
+            'sessions.confirmDelete': '"{name}" ይሰረዝ?',
+            'sync.endpoint': 'የማመሳሰያ አገልጋይ አድራሻ',
+            'sync.save': 'አድራሻውን አስቀምጥ',
+            'sync.now': 'አሁን አመሳስል',
+            'sync.on': '☁️ ማመሳሰል በርቷል',
+            'sync.off': 'ማመሳሰል ጠፍቷል',
+            'sync.conflicts': '☁️ {count} ለውጦች በአገልጋዩ ቅጂ ተተክተዋል',
+            'sync.rejected': '⚠️ {count} ለውጦች ሊመሳሰሉ አልቻሉም',
+            'sync.pending': '{count} ለማመሳሰል በመጠባበቅ ላይ',
+            'sync.done': 'ሁሉም ተመሳስሏል',
+
+            'voice.title': 'ድምፅ',
+            'voice.heading': '🔊 ድምፅ',
+            'voice.settings': 'የድምፅ ቅንብሮች',
+            'voice.repeat': 'የመጨረሻውን ጥሪ ድገም',
+            'voice.volume': 'የድምፅ መጠን',
+            'voice.voice': 'ተናጋሪ',
+            'voice.auto': 'በራስ-ሰር',
+            'voice.clips': 'የተቀዱ ጥሪዎች',
+            'voice.noClips': 'በዚህ አገልጋይ ላይ የተቀዱ ጥሪዎች የሉም - የመሣሪያው ድምፅ ይጠቀማል',
+            'voice.test': 'ድምፁን ሞክር',
+
+            'boards.badPart': '"{part}" የካርቴላ ቁጥር ወይም ክልል አይደለም',
+            'boards.outOfRange': 'ካርቴላዎች ከ{min} እስከ {max} ናቸው',
+            'boards.empty': 'ቢያንስ አንድ ካርቴላ ያስገቡ',
+
+            'update.label': 'ዝማኔ አለ',
+            'update.ready': '🔄 ስሪት {version} ዝግጁ ነው',
+            'update.now': 'አሁን አዘምን',
+            'update.later': 'በኋላ',
+
+            'storage.notKept': '⚠️ {message} - ሂደቱ ላይቀመጥ ይችላል',
+            'storage.loadDecks': 'የገቡትን ስብስቦች መጫን አልተቻለም',
+            'storage.saveBoards': 'ካርቴላዎቹን ማስቀመጥ አልተቻለም',
+            'storage.loadBoards': 'ካርቴላዎቹን መጫን አልተቻለም',
+            'storage.saveSettings': 'ቅንብሮቹን ማስቀመጥ አልተቻለም',
+            'storage.loadMarks': 'ምልክቶቹን መጫን አልተቻለም',
+            'storage.saveGame': 'ጨዋታውን ማስቀመጥ አልተቻለም',
+            'storage.restoreGame': 'ጨዋታውን መመለስ አልተቻለም',
+            'storage.loadSessions': 'የተቀመጡ ጨዋታዎችን መጫን አልተቻለም',
+            'storage.duplicateSession': 'ጨዋታውን መቅዳት አልተቻለም',
+            'storage.deleteSession': 'ጨዋታውን መሰረዝ አልተቻለም',
+            'storage.saveDeck': 'ስብስቡን ማስቀመጥ አልተቻለም',
+            'storage.importGame': 'ጨዋታውን ማስገባት አልተቻለም',
+            'storage.queueSync': 'የማመሳሰያ ለውጡን መያዝ አልተቻለም',
+            'storage.sync': 'ማመሳሰል አልተሳካም',
+            'storage.readSync': 'የማመሳሰያ ቅንብሮችን ማንበብ አልተቻለም',
+            'storage.saveSync': 'የማመሳሰያ ቅንብሮችን ማስቀመጥ አልተቻለም',
+
+            'print.button': 'ካርቴላ አትም',
+            'print.heading': '🖨️ ካርቴላ አትም',
+            'print.boards': 'ካርቴላዎች (ለምሳሌ 1-300 ወይም 3,7,19)',
+            'print.perPage': 'በአንድ A4 ገጽ የሚታተሙ ካርቴላዎች',
+            'print.print': 'አትም',
+
+            'qr.show': 'QR ኮድ አሳይ',
+            'qr.title': 'ካርቴላ {id}',
+            'scan.button': 'የካርቴላ QR ኮድ ይቃኙ',
+            'scan.heading': '📷 ካርቴላ ይቃኙ',
+            'scan.looking': 'ካሜራውን ወደ ካርቴላው QR ኮድ ያዙሩ',
+            'scan.unsupported': 'ይህ መሣሪያ ካሜራ መጠቀም አይችልም',
+            'scan.noCamera': 'ካሜራውን መክፈት አልተቻለም',
+            'scan.notKartela': 'ይህ የካርቴላ ኮድ አይደለም',
+            'scan.otherDeck': 'ካርቴላ {id} የሌላ ስብስብ ነው ({seed})',
+            'scan.taken': 'ካርቴላ {id} በሌላ ተጫዋች ተይዟል',
+            'scan.added': 'ካርቴላ {id} ተጨምሯል',
+
+            'info.title': '📌 ኢንሳይት ዲጂታል ግሩፕ',
+            'info.close': 'ዝጋ',
+            'info.language': '🌐 ቋንቋ',
+            'info.whoTitle': 'እኛ ማን ነን',
+            'info.whoBody': 'ኢንሳይት ዲጂታል ግሩፕ የዕለት ተዕለት ችግሮችን የሚፈቱ አዳዲስ የቴክኖሎጂ ምርቶችንና አገልግሎቶችን የሚፈጥር የዲጂታል መፍትሔዎች ኩባንያ ነው።',
+            'info.ownershipTitle': 'ባለቤትነትና አመራር',
+            'info.ownershipHtml': 'የዩኒክ ፋሚሊ ኔትወርክ ንብረት ሲሆን ያስተዋወቁትና የሚመሩት <strong>አሰፋ ጋሻዬ</strong> ናቸው።',
+            'info.missionTitle': 'ተልዕኮና ግብ',
+            'info.missionBody': 'ቦታ፣ ዕድሜ ወይም አስተዳደግ ሳይለይ ለእያንዳንዱ ችግር ዲጂታል መፍትሔ ማቅረብ።',
+            'info.impactTitle': '🌍 የምናመጣው ለውጥ',
+            'info.impactHtml': '✔ ምርታማነት መጨመር<br>✔ የተሻለ ግንኙነት<br>✔ ብልህ ውሳኔ አሰጣጥ<br>✔ የተሻሻለ የሕይወት ጥራት',
+            'info.contactTitle': '📞 አድራሻ',
+            'info.footer': 'ኢንሳይት ዲጂታል ግሩፕ © 2026፣ ኢትዮጵያ'
+        },
+
+        // Stubs: translations welcome, missing keys use the fallback above
+        om: {
+            'info.language': '🌐 Afaan',
+            'connection.online': '🟢 Toora irra',
+            'connection.offline': '🔴 Toora ala'
+        },
+
+        ti: {
+            'info.language': '🌐 ቋንቋ',
+            'connection.online': '🟢 ኣብ መስመር',
+            'connection.offline': '🔴 ካብ መስመር ወጻኢ'
+        }
+    };
+
+    // ---------- CURRENT LANGUAGE ----------
+    let current = DEFAULT_LANGUAGE;
+
+    function getLanguageInfo(code) {
+        return LANGUAGES.find(lang => lang.code === code) || null;
+    }
+
+    function getLanguage() {
+        return current;
+    }
+
+    function setLanguage(code) {
+        current = getLanguageInfo(code) ? code : DEFAULT_LANGUAGE;
+        return current;
+    }
+
+    // First supported language in the browser's preference list
+    function detectLanguage(preferred = []) {
+        for (const tag of preferred) {
+            const code = String(tag).toLowerCase().split('-')[0];
+            if (getLanguageInfo(code)) return code;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    // ---------- LOOKUP ----------
+    function lookup(key) {
+        let code = current;
+        while (code) {
+            const catalog = CATALOGS[code];
+            if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) return catalog[key];
+            code = getLanguageInfo(code).fallback;
+        }
+        return Object.prototype.hasOwnProperty.call(CATALOGS.en, key) ? CATALOGS.en[key] : null;
+    }
+
+    /**
+     * Translates `key`, filling `{name}` placeholders from `params`.
+     * Unknown keys come back unchanged so a gap is visible, not blank.
+     */
+    function t(key, params = {}) {
+        const message = lookup(key);
+        if (message === null) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match);
+    }
+
+    // ---------- FORMATTING ----------
+    // Intl falls back to the runtime default for locales it lacks (om, ti)
+    function formatNumber(value, options) {
+        return new Intl.NumberFormat(getLanguageInfo(current).locale, options).format(value);
+    }
+
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(getLanguageInfo(current).locale, options).format(new Date(value));
+    }
+
+    // ---------- DOM ----------
+    // data-i18n → textContent, data-i18n-html → innerHTML,
+    // data-i18n-title / -aria-label / -placeholder → that attribute
+    const ATTRIBUTES = ['title', 'aria-label', 'placeholder'];
+
+    function translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = t(el.dataset.i18nHtml);
+        });
+        ATTRIBUTES.forEach(attr => {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+                el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+            });
+        });
+    }
+
+    return {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        CATALOGS,
+        getLanguage,
+        setLanguage,
+        detectLanguage,
+        t,
+        formatNumber,
+        formatDate,
+        translatePage
+    };
+});
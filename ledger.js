@@ -0,0 +1,225 @@
+/* ========================================
+   LEDGER.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Card sales, prize pool and payouts for a hall session
+   ======================================== */
+
+// UMD wrapper: window.BingoLedger in the page, require('./ledger') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoLedger = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // A session's ledger, amounts in birr:
+    //   {
+    //     cardPrice: 10,                for the next sale
+    //     houseCut: 20,                 percent of the pool the hall keeps
+    //     sales:   [{ round, player, boards: [3, 7], price, at }],
+    //     payouts: [{ round, boardId, patternId, pattern, player, amount, at }]
+    //   }
+    // Each round's pool is what its sales took in. After the house cut the
+    // rest is shared equally between the patterns the round was played for
+    // (the page records how many when the round ends), and winners of
+    // the same pattern split that pattern's prize. A board nobody bought
+    // wins nothing; its share stays with the hall.
+
+    // ---------- LEDGER ----------
+    function money(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function price(value) {
+        const amount = Number(value);
+        return Number.isFinite(amount) && amount > 0 ? money(amount) : 0;
+    }
+
+    function isBoardList(list) {
+        return Array.isArray(list) && list.length > 0 && list.every(id => Number.isInteger(id) && id > 0);
+    }
+
+    /**
+     * A ledger from saved (or imported) data; bad entries are dropped and
+     * missing settings default to a free game with no house cut.
+     */
+    function createLedger(saved = {}) {
+        const cardPrice = price(saved.cardPrice);
+        const cut = Number(saved.houseCut);
+        return {
+            cardPrice,
+            houseCut: Number.isFinite(cut) ? Math.min(100, Math.max(0, cut)) : 0,
+            sales: (Array.isArray(saved.sales) ? saved.sales : [])
+                .filter(sale => sale && Number.isInteger(sale.round) && isBoardList(sale.boards))
+                .map(sale => ({
+                    ...sale,
+                    player: String(sale.player || '').trim(),
+                    price: sale.price === undefined ? cardPrice : price(sale.price)
+                })),
+            payouts: (Array.isArray(saved.payouts) ? saved.payouts : [])
+                .filter(payout => payout && Number.isInteger(payout.round) && Number.isFinite(payout.amount))
+        };
+    }
+
+    // Board id → player for the boards sold in `round`
+    function soldBoards(ledger, round) {
+        const owners = new Map();
+        ledger.sales
+            .filter(sale => sale.round === round)
+            .forEach(sale => sale.boards.forEach(id => owners.set(id, sale.player)));
+        return owners;
+    }
+
+    /**
+     * What `round` takes in and pays out:
+     * { boards, sales, house, prizes, perPattern }.
+     */
+    function roundPool(ledger, round, patternCount) {
+        const roundSales = ledger.sales.filter(sale => sale.round === round);
+        const boards = roundSales.reduce((total, sale) => total + sale.boards.length, 0);
+        const sales = money(roundSales.reduce((total, sale) => total + sale.boards.length * sale.price, 0));
+        const house = money(sales * ledger.houseCut / 100);
+        const prizes = money(sales - house);
+        return {
+            boards,
+            sales,
+            house,
+            prizes,
+            perPattern: patternCount > 0 ? money(prizes / patternCount) : 0
+        };
+    }
+
+    /**
+     * Every win with what it is owed: [{ round, boardId, patternId, pattern,
+     * player, amount, paid }], `paid` being the payout record once made.
+     * `patternsIn(round)` is how many patterns that round was played for.
+     */
+    function prizesDue(ledger, winners, patternsIn) {
+        return winners.map(winner => {
+            const paid = ledger.payouts.find(p =>
+                p.round === winner.round && p.boardId === winner.boardId && p.patternId === winner.patternId) || null;
+            const sharing = winners.filter(w => w.round === winner.round && w.patternId === winner.patternId).length;
+            const owner = soldBoards(ledger, winner.round).get(winner.boardId);
+            const player = owner !== undefined ? owner : '';
+            const share = player ? roundPool(ledger, winner.round, patternsIn(winner.round)).perPattern / sharing : 0;
+            return {
+                round: winner.round,
+                boardId: winner.boardId,
+                patternId: winner.patternId,
+                pattern: winner.pattern || winner.patternId,
+                player,
+                amount: paid ? paid.amount : money(share),
+                paid
+            };
+        });
+    }
+
+    function recordPayout(ledger, due, at = Date.now()) {
+        const payout = {
+            round: due.round,
+            boardId: due.boardId,
+            patternId: due.patternId,
+            pattern: due.pattern,
+            player: due.player,
+            amount: due.amount,
+            at
+        };
+        ledger.payouts.push(payout);
+        return payout;
+    }
+
+    // Per player: [{ player, boards, spent, won, net }], by name
+    function wallets(ledger) {
+        const byPlayer = new Map();
+        const wallet = (player) => {
+            if (!byPlayer.has(player)) byPlayer.set(player, { player, boards: 0, spent: 0, won: 0, net: 0 });
+            return byPlayer.get(player);
+        };
+        ledger.sales.forEach(sale => {
+            const entry = wallet(sale.player);
+            entry.boards += sale.boards.length;
+            entry.spent = money(entry.spent + sale.boards.length * sale.price);
+        });
+        ledger.payouts.forEach(payout => {
+            const entry = wallet(payout.player);
+            entry.won = money(entry.won + payout.amount);
+        });
+        byPlayer.forEach(entry => { entry.net = money(entry.won - entry.spent); });
+        return Array.from(byPlayer.values()).sort((a, b) => a.player.localeCompare(b.player));
+    }
+
+    // Whole-session totals: { boards, sales, house, paid, unpaid, kept }
+    function totals(ledger, winners, patternsIn) {
+        const rounds = new Set(ledger.sales.map(sale => sale.round));
+        const sum = (list, key) => money(list.reduce((total, item) => total + item[key], 0));
+        const pools = Array.from(rounds).map(round => roundPool(ledger, round, patternsIn(round)));
+        const due = prizesDue(ledger, winners, patternsIn);
+        const sales = sum(pools, 'sales');
+        const house = sum(pools, 'house');
+        const paid = sum(ledger.payouts, 'amount');
+        const unpaid = sum(due.filter(d => !d.paid), 'amount');
+        return {
+            boards: pools.reduce((total, pool) => total + pool.boards, 0),
+            sales,
+            house,
+            paid,
+            unpaid,
+            kept: money(sales - paid - unpaid) // house cut plus prizes nobody won
+        };
+    }
+
+    // ---------- CSV ----------
+    // Text a spreadsheet would run as a formula (names are typed by players)
+    // gets a leading apostrophe; amounts stay numbers, negative ones included
+    function csvField(value) {
+        let text = value == null ? '' : String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * End-of-session summary, one row per entry:
+     * sales, payouts, prizes still owed, player wallets and the totals.
+     * `labels` names the row types and columns in the page's language.
+     */
+    function toCsv(ledger, winners, patternsIn, labels) {
+        const rows = [[labels.type, labels.round, labels.player, labels.boards, labels.pattern, labels.amount, labels.time]];
+        const time = (at) => (at ? new Date(at).toISOString() : '');
+
+        ledger.sales.forEach(sale => rows.push([
+            labels.sale, sale.round, sale.player, sale.boards.join(' '), '',
+            money(sale.boards.length * sale.price), time(sale.at)
+        ]));
+        ledger.payouts.forEach(payout => rows.push([
+            labels.payout, payout.round, payout.player, payout.boardId, payout.pattern, payout.amount, time(payout.at)
+        ]));
+        prizesDue(ledger, winners, patternsIn)
+            .filter(due => !due.paid && due.amount > 0)
+            .forEach(due => rows.push([labels.unpaid, due.round, due.player, due.boardId, due.pattern, due.amount, '']));
+        wallets(ledger).forEach(entry => rows.push([
+            labels.wallet, '', entry.player, entry.boards, '', entry.net, ''
+        ]));
+
+        const sums = totals(ledger, winners, patternsIn);
+        rows.push([labels.totalSales, '', '', sums.boards, '', sums.sales, '']);
+        rows.push([labels.totalHouse, '', '', '', '', sums.house, '']);
+        rows.push([labels.totalPaid, '', '', '', '', sums.paid, '']);
+        rows.push([labels.totalUnpaid, '', '', '', '', sums.unpaid, '']);
+        rows.push([labels.totalKept, '', '', '', '', sums.kept, '']);
+
+        return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    return {
+        createLedger,
+        soldBoards,
+        roundPool,
+        prizesDue,
+        recordPayout,
+        wallets,
+        totals,
+        toCsv
+    };
+});
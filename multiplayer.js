@@ -0,0 +1,116 @@
+/* ========================================
+   MULTIPLAYER.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   WebSocket client for server/bingo-server.js
+   ======================================== */
+
+// UMD wrapper: window.BingoNet in the page, require('./multiplayer') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoNet = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // Protocol (JSON, one object per frame, always with a `type`):
+    //   host      → room-created  { code, playerId, hostToken, deckSeed, patterns, customPatterns, calls, boardLimit, boards, taken }
+    //   join      → joined        { same as above, with playerToken instead of hostToken }
+    //             (rejoining a seat sends back its playerId and playerToken; only ids are ever broadcast)
+    //   reserve   → reserved      { boards, rejected, overLimit } + taken { taken } to everyone
+    //   call/undo/reset/patterns/limit (host only) → called / uncalled / reset / patterns / limit to everyone
+    //             (reset and patterns carry customPatterns: [{ name, mask }] for the host's own patterns)
+    //   claim     → claim (to host) → verdict (from host) → claim-result + winner
+    //   leave     → player-left / room-closed
+    //   any error → error { code, params, message, request }   (code is worded by the page, message is English for logs)
+
+    const MAX_RETRY_DELAY = 30000;
+
+    function defaultServerUrl(loc) {
+        const protocol = loc.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${loc.host}/ws`;
+    }
+
+    /**
+     * Opens a self-healing connection. `onOpen` runs on every (re)connect
+     * before queued messages are flushed, so it can re-host or re-join.
+     */
+    function connect(url, { onOpen = () => {}, onMessage = () => {}, onStatus = () => {}, WebSocketImpl } = {}) {
+        const Socket = WebSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!Socket) throw new Error('WebSocket is not supported');
+
+        let socket = null;
+        let queue = [];
+        let retries = 0;
+        let retryTimer = null;
+        let closedByUser = false;
+
+        function open() {
+            onStatus('connecting');
+            socket = new Socket(url);
+
+            socket.onopen = () => {
+                retries = 0;
+                onStatus('open');
+                onOpen();
+                const pending = queue;
+                queue = [];
+                pending.forEach(send);
+            };
+
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.error('Ignoring malformed server message:', error);
+                    return;
+                }
+                onMessage(message);
+            };
+
+            socket.onclose = () => {
+                socket = null;
+                if (closedByUser) {
+                    onStatus('closed');
+                    return;
+                }
+                // Exponential backoff: 1s, 2s, 4s ... capped at 30s
+                const delay = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, retries++));
+                onStatus('reconnecting');
+                retryTimer = setTimeout(open, delay);
+            };
+
+            socket.onerror = () => {
+                // onclose follows and handles the retry
+            };
+        }
+
+        function isOpen() {
+            return Boolean(socket) && socket.readyState === 1;
+        }
+
+        function send(message) {
+            if (isOpen()) {
+                socket.send(JSON.stringify(message));
+            } else {
+                queue.push(message);
+            }
+        }
+
+        function close() {
+            closedByUser = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+        }
+
+        open();
+        return { send, close, isOpen };
+    }
+
+    return {
+        defaultServerUrl,
+        connect
+    };
+});
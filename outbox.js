@@ -0,0 +1,178 @@
+/* ========================================
+   OUTBOX.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Offline event queue replayed to the sync API
+   ======================================== */
+
+// UMD wrapper: self.BingoOutbox in the page/worker, require('./outbox') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./storage.js'));
+    } else {
+        root.BingoOutbox = factory(root.BingoStorage);
+    }
+})(typeof self !== 'undefined' ? self : this, function(BingoStorage) {
+    "use strict";
+
+    // Every event is POSTed as { id, kind, payload, createdAt } to the
+    // configured endpoint. The server answers:
+    //   2xx      accepted (or already seen - `id` makes retries idempotent)
+    //   409      conflict - the server kept a newer value; body { current }
+    //   other 4xx rejected for good
+    //   5xx / network error  retried with exponential backoff
+
+    // ---------- CONSTANTS ----------
+    const DEFAULT_ENDPOINT = '/api/sync';
+    const CONFIG_KEY = 'sync';
+    const MAX_ATTEMPTS = 10;
+    const BASE_DELAY = 5000;
+    const MAX_DELAY = 60 * 60 * 1000;
+    const LOCK_NAME = 'bingo-outbox';
+
+    // ---------- CONFIG ----------
+    // An empty endpoint switches syncing off (the default)
+    async function getEndpoint() {
+        const config = await BingoStorage.get('gameState', CONFIG_KEY);
+        return config ? config.endpoint : '';
+    }
+
+    function setEndpoint(endpoint) {
+        return BingoStorage.put('gameState', { id: CONFIG_KEY, endpoint: endpoint.trim() });
+    }
+
+    // ---------- QUEUE ----------
+    function createEventId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Queues an event. Resolves false without queueing when sync is off,
+     * so nothing piles up on devices that never talk to a server.
+     */
+    async function enqueue(kind, payload) {
+        if (!(await getEndpoint())) return false;
+
+        await BingoStorage.put('outbox', {
+            id: createEventId(),
+            kind,
+            payload,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0
+        });
+        return true;
+    }
+
+    async function pendingCount() {
+        return (await BingoStorage.getAll('outbox')).length;
+    }
+
+    function backoffDelay(attempts) {
+        const delay = Math.min(MAX_DELAY, BASE_DELAY * Math.pow(2, attempts - 1));
+        // ±20% jitter so a hall full of phones doesn't retry in lockstep
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    // ---------- REPLAY ----------
+    // Only one replay at a time across the page and the service worker
+    function withLock(work) {
+        const locks = typeof navigator !== 'undefined' && navigator.locks;
+        return locks ? locks.request(LOCK_NAME, work) : work();
+    }
+
+    /**
+     * Sends the queued events strictly in order. An event that has to wait
+     * (not due yet, offline, or a 5xx/408/429 to retry) holds back the ones
+     * after it, so a later "mark off" never lands before its "mark on".
+     * Resolves { sent, conflicts, rejected, pending, nextAttemptAt }.
+     */
+    function replay({ fetchImpl = fetch, now = Date.now } = {}) {
+        return withLock(async () => {
+            const summary = { sent: 0, conflicts: [], rejected: [], pending: 0, nextAttemptAt: null };
+            const endpoint = await getEndpoint();
+            const entries = await BingoStorage.getAll('outbox');
+            if (!endpoint) {
+                summary.pending = entries.length;
+                return summary;
+            }
+
+            for (const entry of entries) {
+                if (entry.nextAttemptAt > now()) break;
+
+                let response;
+                try {
+                    response = await fetchImpl(endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Idempotency-Key': entry.id
+                        },
+                        body: JSON.stringify({
+                            id: entry.id,
+                            kind: entry.kind,
+                            payload: entry.payload,
+                            createdAt: entry.createdAt
+                        })
+                    });
+                } catch (error) {
+                    // Still offline: nothing after it will get through either
+                    if (!(await scheduleRetry(entry, now))) {
+                        summary.rejected.push({ entry, status: 0 });
+                    }
+                    break;
+                }
+
+                if (response.ok) {
+                    summary.sent++;
+                    await BingoStorage.remove('outbox', entry.seq);
+                } else if (response.status === 409) {
+                    // Server wins: drop ours and let the app reconcile
+                    const body = await response.json().catch(() => ({}));
+                    summary.conflicts.push({ entry, current: body.current });
+                    await BingoStorage.remove('outbox', entry.seq);
+                } else if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+                    summary.rejected.push({ entry, status: response.status });
+                    await BingoStorage.remove('outbox', entry.seq);
+                } else if (await scheduleRetry(entry, now)) {
+                    break;
+                } else {
+                    summary.rejected.push({ entry, status: response.status });
+                }
+            }
+
+            const remaining = await BingoStorage.getAll('outbox');
+            summary.pending = remaining.length;
+            remaining.forEach(entry => {
+                if (summary.nextAttemptAt === null || entry.nextAttemptAt < summary.nextAttemptAt) {
+                    summary.nextAttemptAt = entry.nextAttemptAt;
+                }
+            });
+            return summary;
+        });
+    }
+
+    // Resolves false (and drops the event) once it has used up its attempts
+    async function scheduleRetry(entry, now) {
+        const attempts = entry.attempts + 1;
+        if (attempts >= MAX_ATTEMPTS) {
+            await BingoStorage.remove('outbox', entry.seq);
+            return false;
+        }
+        await BingoStorage.put('outbox', {
+            ...entry,
+            attempts,
+            nextAttemptAt: now() + backoffDelay(attempts)
+        });
+        return true;
+    }
+
+    return {
+        DEFAULT_ENDPOINT,
+        getEndpoint,
+        setEndpoint,
+        enqueue,
+        pendingCount,
+        replay
+    };
+});
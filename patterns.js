@@ -0,0 +1,266 @@
+/* ========================================
+   PATTERNS.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Registry of named win patterns
+   ======================================== */
+
+// UMD wrapper: window.BingoPatterns in the page, require('./patterns') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoPatterns = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // A pattern is a list of alternative shapes (cell index arrays, row-major).
+    // It is complete when every cell of ANY one shape is marked.
+
+    // ---------- ERRORS ----------
+    // `code` and `params` so the page can word the problem in any language
+    class PatternError extends Error {
+        constructor(code, params = {}) {
+            super(code);
+            this.name = 'PatternError';
+            this.code = code;
+            this.params = params;
+        }
+    }
+
+    // ---------- BASE SHAPES ----------
+    const ROWS = [0, 1, 2, 3, 4].map(r => [0, 1, 2, 3, 4].map(c => r * 5 + c));
+    const COLUMNS = [0, 1, 2, 3, 4].map(c => [0, 1, 2, 3, 4].map(r => r * 5 + c));
+    const DIAGONALS = [[0, 6, 12, 18, 24], [4, 8, 12, 16, 20]];
+    const LINES = [...ROWS, ...COLUMNS, ...DIAGONALS];
+
+    function union(...shapes) {
+        return Array.from(new Set([].concat(...shapes))).sort((a, b) => a - b);
+    }
+
+    function pairs(list) {
+        const result = [];
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                result.push(union(list[i], list[j]));
+            }
+        }
+        return result;
+    }
+
+    // ---------- REGISTRY ----------
+    const registry = new Map();
+
+    function registerPattern(id, name, shapes, { custom = false, mask = null } = {}) {
+        if (!id || !Array.isArray(shapes) || shapes.length === 0) {
+            throw new PatternError('invalid', { id });
+        }
+        shapes.forEach(shape => {
+            if (!shape.length || shape.some(i => !Number.isInteger(i) || i < 0 || i > 24)) {
+                throw new PatternError('outsideCard', { id });
+            }
+        });
+        registry.set(id, { id, name, shapes, custom, mask });
+        return registry.get(id);
+    }
+
+    registerPattern('line', 'Line', LINES);
+    registerPattern('two-lines', 'Two Lines', pairs(LINES));
+    registerPattern('four-corners', 'Four Corners', [[0, 4, 20, 24]]);
+    registerPattern('x', 'X', [union(...DIAGONALS)]);
+    registerPattern('postage-stamp', 'Postage Stamp', [
+        [0, 1, 5, 6], [3, 4, 8, 9], [15, 16, 20, 21], [18, 19, 23, 24]
+    ]);
+    registerPattern('frame', 'Frame', [union(ROWS[0], ROWS[4], COLUMNS[0], COLUMNS[4])]);
+    registerPattern('full-house', 'Full House', [union(...ROWS)]);
+
+    const DEFAULT_PATTERNS = ['line'];
+
+    // ---------- CUSTOM PATTERNS ----------
+    /**
+     * Turns a 5x5 mask into a shape. Accepts 5 strings ("X...X")
+     * or a flat array of 25 truthy/falsy values.
+     */
+    function shapeFromMask(mask) {
+        let flat;
+        if (Array.isArray(mask) && mask.length === 5 && mask.every(r => typeof r === 'string')) {
+            if (mask.some(r => r.length !== 5)) throw new PatternError('rowLength');
+            flat = mask.join('').split('').map(ch => ch !== '.' && ch !== '0' && ch !== ' ');
+        } else if (Array.isArray(mask) && mask.length === 25) {
+            flat = mask.map(Boolean);
+        } else {
+            throw new PatternError('maskSize');
+        }
+
+        const shape = [];
+        flat.forEach((on, i) => { if (on) shape.push(i); });
+        if (shape.length === 0) throw new PatternError('emptyMask');
+        return shape;
+    }
+
+    function defineCustomPattern(name, mask) {
+        const shape = shapeFromMask(mask);
+        const id = `custom-${shape.join('-')}`;
+        const rows = [0, 1, 2, 3, 4].map(r =>
+            [0, 1, 2, 3, 4].map(c => (shape.includes(r * 5 + c) ? 'X' : '.')).join(''));
+        return registerPattern(id, name || 'Custom', [shape], { custom: true, mask: rows });
+    }
+
+    function removePattern(id) {
+        const pattern = registry.get(id);
+        if (pattern && pattern.custom) registry.delete(id);
+    }
+
+    // ---------- MATCHING ----------
+    function getPattern(id) {
+        return registry.get(id) || null;
+    }
+
+    function listPatterns() {
+        return Array.from(registry.values());
+    }
+
+    /**
+     * First completed shape among `patternIds`, in the given order:
+     * { patternId, name, cells } or null.
+     */
+    function findWin(markedCells, patternIds = DEFAULT_PATTERNS) {
+        const has = (i) => markedCells.has(i);
+        for (const id of patternIds) {
+            const pattern = registry.get(id);
+            if (!pattern) continue;
+            const cells = pattern.shapes.find(shape => shape.every(has));
+            if (cells) return { patternId: id, name: pattern.name, cells };
+        }
+        return null;
+    }
+
+    /**
+     * Every completed pattern among `patternIds`, one shape each, in the
+     * given order: [{ patternId, name, cells }].
+     */
+    function findWins(markedCells, patternIds = DEFAULT_PATTERNS) {
+        const has = (i) => markedCells.has(i);
+        const wins = [];
+        for (const id of patternIds) {
+            const pattern = registry.get(id);
+            if (!pattern) continue;
+            const cells = pattern.shapes.find(shape => shape.every(has));
+            if (cells) wins.push({ patternId: id, name: pattern.name, cells });
+        }
+        return wins;
+    }
+
+    /**
+     * How close each of `patternIds` is, in the given order:
+     * [{ patternId, name, missing, finishers }]. `missing` lists the unmarked
+     * cells of the pattern's closest shape; `finishers` every cell that on its
+     * own would complete a shape (empty unless `missing` has one cell).
+     */
+    function patternProgress(markedCells, patternIds = DEFAULT_PATTERNS) {
+        const result = [];
+        for (const id of patternIds) {
+            const pattern = registry.get(id);
+            if (!pattern) continue;
+
+            let missing = null;
+            const finishers = new Set();
+            for (const shape of pattern.shapes) {
+                const left = shape.filter(i => !markedCells.has(i));
+                if (!missing || left.length < missing.length) missing = left;
+                if (left.length === 1) finishers.add(left[0]);
+            }
+            if (missing.length === 0) finishers.clear();
+            result.push({
+                patternId: id,
+                name: pattern.name,
+                missing,
+                finishers: Array.from(finishers).sort((a, b) => a - b)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * The shape among `patternIds` with the fewest unmarked cells:
+     * { patternId, name, missing } or null. Ties go to the earlier pattern.
+     */
+    function closestShape(markedCells, patternIds = DEFAULT_PATTERNS) {
+        let best = null;
+        patternProgress(markedCells, patternIds).forEach(({ patternId, name, missing }) => {
+            if (!best || missing.length < best.missing.length) best = { patternId, name, missing };
+        });
+        return best;
+    }
+
+    // ---------- CLAIM VERIFICATION ----------
+    /**
+     * Adjudicates a bingo claim against the caller's history.
+     * `numbers` is the card (25 cells, "FREE" in the centre), `calls` the
+     * call sequence. With `markedCells` the player's daubs are checked
+     * too; without (paper card) every called number counts as daubed.
+     *
+     * Returns { valid, win, winningNumber, completedAtCall, misDaubed, missed }.
+     */
+    function verifyClaim({ numbers, calls, markedCells = null, patternIds = DEFAULT_PATTERNS }) {
+        const callIndex = new Map();
+        calls.forEach((n, i) => { if (!callIndex.has(n)) callIndex.set(n, i); });
+
+        const misDaubed = [];
+        const missed = [];
+        numbers.forEach((n, index) => {
+            if (typeof n !== 'number') return; // FREE space
+            const called = callIndex.has(n);
+            const marked = markedCells ? markedCells.has(index) : called;
+            if (marked && !called) misDaubed.push({ index, number: n });
+            if (called && !marked) missed.push({ index, number: n });
+        });
+
+        // Replay the calls so the win is attributed to the number that completed it
+        const effective = new Set();
+        numbers.forEach((n, index) => { if (typeof n !== 'number') effective.add(index); });
+
+        let win = findWin(effective, patternIds);
+        let winningNumber = null;
+        let completedAtCall = win ? 0 : null;
+
+        for (let i = 0; i < calls.length && !win; i++) {
+            const index = numbers.indexOf(calls[i]);
+            if (index === -1) continue;
+            if (markedCells && !markedCells.has(index)) continue;
+
+            effective.add(index);
+            win = findWin(effective, patternIds);
+            if (win) {
+                winningNumber = calls[i];
+                completedAtCall = i + 1;
+            }
+        }
+
+        return {
+            valid: Boolean(win),
+            win,
+            winningNumber,
+            completedAtCall,
+            misDaubed,
+            missed
+        };
+    }
+
+    return {
+        PatternError,
+        DEFAULT_PATTERNS,
+        LINES,
+        registerPattern,
+        shapeFromMask,
+        defineCustomPattern,
+        removePattern,
+        getPattern,
+        listPatterns,
+        findWin,
+        findWins,
+        patternProgress,
+        closestShape,
+        verifyClaim
+    };
+});
@@ -0,0 +1,819 @@
+/* ========================================
+   QR.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Self-contained QR code encoder and decoder (no network, no libraries)
+   ======================================== */
+
+// UMD wrapper: window.BingoQR in the page, require('./qr') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoQR = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // Model 2 QR codes, versions 1–10 (up to 213 bytes at level M).
+    // Encoding always uses byte mode; decoding also reads numeric and
+    // alphanumeric segments so codes from other generators scan too.
+    // Reference: ISO/IEC 18004, following the layout of Project Nayuki's
+    // QR Code generator.
+
+    // ---------- TABLES ----------
+    const MAX_VERSION = 10;
+    const ECC_LEVELS = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    // [level][version] - index 0 unused
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28]
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8]
+    ];
+
+    const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+    // ---------- GALOIS FIELD GF(256), polynomial 0x11D ----------
+    const EXP = new Uint8Array(512);
+    const LOG = new Uint8Array(256);
+    (function buildTables() {
+        let x = 1;
+        for (let i = 0; i < 255; i++) {
+            EXP[i] = x;
+            LOG[x] = i;
+            x <<= 1;
+            if (x & 0x100) x ^= 0x11D;
+        }
+        for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+    })();
+
+    function gfMul(a, b) {
+        return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+    }
+
+    function gfDiv(a, b) {
+        if (b === 0) throw new Error('Division by zero');
+        return a === 0 ? 0 : EXP[(LOG[a] + 255 - LOG[b]) % 255];
+    }
+
+    // ---------- REED-SOLOMON ----------
+    // Generator roots are α^0 … α^(degree-1)
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMul(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = gfMul(root, 2);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+        });
+        return result;
+    }
+
+    /**
+     * Corrects `block` (data + ecc, highest power first) in place.
+     * Throws when there are more errors than `eccLen / 2`.
+     */
+    function rsCorrect(block, eccLen) {
+        const n = block.length;
+
+        // Syndromes S_j = r(α^j)
+        const syndromes = new Array(eccLen);
+        let clean = true;
+        for (let j = 0; j < eccLen; j++) {
+            let s = 0;
+            for (let k = 0; k < n; k++) s = gfMul(s, EXP[j]) ^ block[k];
+            syndromes[j] = s;
+            if (s !== 0) clean = false;
+        }
+        if (clean) return 0;
+
+        // Berlekamp-Massey → error locator Λ (lowest degree first)
+        let locator = [1];
+        let previous = [1];
+        let errors = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+        for (let i = 0; i < eccLen; i++) {
+            let d = syndromes[i];
+            for (let j = 1; j <= errors; j++) d ^= gfMul(locator[j] || 0, syndromes[i - j]);
+
+            if (d === 0) {
+                shift++;
+                continue;
+            }
+            const scale = gfDiv(d, lastDiscrepancy);
+            const next = locator.slice();
+            previous.forEach((coef, j) => {
+                next[j + shift] = (next[j + shift] || 0) ^ gfMul(scale, coef);
+            });
+            if (2 * errors <= i) {
+                previous = locator;
+                errors = i + 1 - errors;
+                lastDiscrepancy = d;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = next;
+        }
+        if (errors * 2 > eccLen) throw new Error('Too many errors');
+
+        // Chien search: position k holds power e = n-1-k; error where Λ(α^-e) = 0
+        const positions = [];
+        for (let k = 0; k < n; k++) {
+            const inv = EXP[(255 - ((n - 1 - k) % 255)) % 255];
+            let value = 0;
+            for (let j = locator.length - 1; j >= 0; j--) value = gfMul(value, inv) ^ (locator[j] || 0);
+            if (value === 0) positions.push(k);
+        }
+        if (positions.length !== errors) throw new Error('Could not locate errors');
+
+        // Forney: Ω = S·Λ mod x^eccLen, e_k = X_k · Ω(X_k^-1) / Λ'(X_k^-1)
+        const omega = new Array(eccLen).fill(0);
+        for (let i = 0; i < eccLen; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                omega[i] ^= gfMul(syndromes[i - j], locator[j] || 0);
+            }
+        }
+        positions.forEach(k => {
+            const power = (n - 1 - k) % 255;
+            const x = EXP[power];
+            const xInv = EXP[(255 - power) % 255];
+
+            let num = 0;
+            for (let j = omega.length - 1; j >= 0; j--) num = gfMul(num, xInv) ^ omega[j];
+            let den = 0;
+            for (let j = locator.length - 1; j >= 1; j--) {
+                if (j % 2 === 1) den ^= gfMul(locator[j] || 0, EXP[(LOG[xInv] * (j - 1)) % 255]);
+            }
+            block[k] ^= gfMul(x, gfDiv(num, den));
+        });
+        return errors;
+    }
+
+    // ---------- LAYOUT ----------
+    function sizeOf(version) {
+        return version * 4 + 17;
+    }
+
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = sizeOf(version) - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+        return result;
+    }
+
+    function rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const count = Math.floor(version / 7) + 2;
+            result -= (25 * count - 10) * count - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function dataCodewords(version, ecc) {
+        const level = ECC_LEVELS[ecc].ordinal;
+        return Math.floor(rawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    function formatBits(ecc, mask) {
+        const data = (ECC_LEVELS[ecc].formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        return ((data << 10) | rem) ^ 0x5412;
+    }
+
+    function versionBits(version) {
+        let rem = version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        return (version << 12) | rem;
+    }
+
+    function bit(value, i) {
+        return ((value >>> i) & 1) !== 0;
+    }
+
+    /**
+     * Function patterns of a symbol: finders, timing, alignment, format
+     * and version areas. `modules[y][x]` is dark; `reserved[y][x]` marks
+     * cells that carry no data.
+     */
+    function createTemplate(version) {
+        const size = sizeOf(version);
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        const align = alignmentPositions(version);
+        const last = align.length - 1;
+        align.forEach((ay, i) => {
+            align.forEach((ax, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Format areas (filled per mask later) and the always-dark module
+        for (let i = 0; i < 9; i++) {
+            if (i !== 6) {
+                reserved[i][8] = true;
+                reserved[8][i] = true;
+            }
+        }
+        for (let i = 0; i < 8; i++) {
+            reserved[8][size - 1 - i] = true;
+            reserved[size - 1 - i][8] = true;
+        }
+        set(8, size - 8, true);
+
+        if (version >= 7) {
+            const bits = versionBits(version);
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, bit(bits, i));
+                set(b, a, bit(bits, i));
+            }
+        }
+
+        return { size, modules, reserved };
+    }
+
+    // Both copies of the 15 format bits, in bit order 0…14
+    function formatPositions(size) {
+        const first = [];
+        for (let i = 0; i <= 5; i++) first.push([8, i]);
+        first.push([8, 7], [8, 8], [7, 8]);
+        for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+
+        const second = [];
+        for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+        for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+        return [first, second];
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // Data cells in reading order: two-column zig-zag from the bottom right
+    function dataCells(template) {
+        const { size, reserved } = template;
+        const cells = [];
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!reserved[y][x]) cells.push([x, y]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    // Block structure shared by interleaving and de-interleaving
+    function blockLayout(version, ecc) {
+        const level = ECC_LEVELS[ecc].ordinal;
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+        const eccLen = ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(rawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        return { numBlocks, eccLen, numShortBlocks, shortBlockLen };
+    }
+
+    // ---------- ENCODER ----------
+    function utf8Bytes(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    function penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        // Runs of five or more, and finder-like 1:1:3:1:1 patterns
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            score += 40 * ((text.match(/(?=00001011101)|(?=10111010000)/g) || []).length);
+        });
+
+        // 2×2 blocks of one colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const c = modules[y][x];
+                if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        // Balance of dark and light
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    }
+
+    /**
+     * Encodes `text` (UTF-8, byte mode) in the smallest version that fits.
+     * Resolves { version, size, modules } with modules[y][x] true = dark.
+     */
+    function encode(text, { ecc = 'M' } = {}) {
+        if (!ECC_LEVELS[ecc]) throw new Error(`Unknown error correction level ${ecc}`);
+        const bytes = utf8Bytes(String(text));
+
+        let version = 1;
+        const countBitsFor = (v) => (v <= 9 ? 8 : 16);
+        while (version <= MAX_VERSION &&
+               4 + countBitsFor(version) + bytes.length * 8 > dataCodewords(version, ecc) * 8) {
+            version++;
+        }
+        if (version > MAX_VERSION) throw new Error('Text is too long for a QR code');
+
+        // Mode, length, payload, terminator and padding
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0x4, 4);
+        push(bytes.length, countBitsFor(version));
+        bytes.forEach(b => push(b, 8));
+        const capacity = dataCodewords(version, ecc) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+        }
+
+        // Split into blocks, add error correction and interleave
+        const { numBlocks, eccLen, numShortBlocks, shortBlockLen } = blockLayout(version, ecc);
+        const divisor = rsDivisor(eccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const chunk = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+            k += chunk.length;
+            const eccBytes = rsRemainder(chunk, divisor);
+            if (i < numShortBlocks) chunk.push(0);
+            blocks.push(chunk.concat(eccBytes));
+        }
+        const codewords = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - eccLen || j >= numShortBlocks) codewords.push(block[i]);
+            });
+        }
+
+        // Place the data, then keep the mask with the lowest penalty
+        const template = createTemplate(version);
+        const cells = dataCells(template);
+        let best = null;
+        MASKS.forEach((mask, maskIndex) => {
+            const modules = template.modules.map(row => row.slice());
+            cells.forEach(([x, y], i) => {
+                const dark = i < codewords.length * 8 && bit(codewords[i >>> 3], 7 - (i & 7));
+                modules[y][x] = dark !== mask(x, y);
+            });
+            const format = formatBits(ecc, maskIndex);
+            formatPositions(template.size).forEach(copy => {
+                copy.forEach(([x, y], i) => { modules[y][x] = bit(format, i); });
+            });
+
+            const score = penalty(modules);
+            if (!best || score < best.score) best = { score, modules };
+        });
+
+        return { version, size: template.size, modules: best.modules };
+    }
+
+    /**
+     * SVG markup for an encoded symbol, one path, with a quiet zone of
+     * `margin` modules. Scales to whatever box it is put in.
+     */
+    function toSvg(qr, { margin = 4, dark = '#000', light = '#fff' } = {}) {
+        const full = qr.size + margin * 2;
+        let path = '';
+        qr.modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+            });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${full} ${full}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+    }
+
+    // ---------- MATRIX DECODER ----------
+    function readFormat(modules) {
+        const size = modules.length;
+        let best = null;
+        formatPositions(size).forEach(copy => {
+            const read = copy.reduce((acc, [x, y], i) => acc | ((modules[y][x] ? 1 : 0) << i), 0);
+            Object.keys(ECC_LEVELS).forEach(ecc => {
+                for (let mask = 0; mask < 8; mask++) {
+                    let diff = read ^ formatBits(ecc, mask);
+                    let distance = 0;
+                    while (diff) {
+                        distance += diff & 1;
+                        diff >>>= 1;
+                    }
+                    if (!best || distance < best.distance) best = { ecc, mask, distance };
+                }
+            });
+        });
+        if (best.distance > 3) throw new Error('Unreadable format information');
+        return best;
+    }
+
+    function decodeSegments(bytes, version) {
+        let pos = 0;
+        const read = (length) => {
+            let value = 0;
+            for (let i = 0; i < length; i++, pos++) {
+                value = (value << 1) | ((bytes[pos >>> 3] >>> (7 - (pos & 7))) & 1);
+            }
+            return value;
+        };
+        const remaining = () => bytes.length * 8 - pos;
+        const sizeClass = version <= 9 ? 0 : 1;
+
+        const out = [];
+        let text = '';
+        const flushBytes = () => {
+            if (out.length === 0) return;
+            text += new TextDecoder().decode(new Uint8Array(out));
+            out.length = 0;
+        };
+
+        while (remaining() >= 4) {
+            const mode = read(4);
+            if (mode === 0) break;
+            if (mode === 0x7) {
+                read(8); // ECI designator - UTF-8 assumed
+            } else if (mode === 0x4) {
+                let count = read([8, 16][sizeClass]);
+                while (count-- > 0) out.push(read(8));
+            } else if (mode === 0x1) {
+                flushBytes();
+                let count = read([10, 12][sizeClass]);
+                while (count >= 3) {
+                    text += String(read(10)).padStart(3, '0');
+                    count -= 3;
+                }
+                if (count === 2) text += String(read(7)).padStart(2, '0');
+                if (count === 1) text += String(read(4));
+            } else if (mode === 0x2) {
+                flushBytes();
+                let count = read([9, 11][sizeClass]);
+                while (count >= 2) {
+                    const pair = read(11);
+                    text += ALPHANUMERIC[Math.floor(pair / 45)] + ALPHANUMERIC[pair % 45];
+                    count -= 2;
+                }
+                if (count === 1) text += ALPHANUMERIC[read(6)];
+            } else {
+                throw new Error(`Unsupported QR mode ${mode}`);
+            }
+        }
+        flushBytes();
+        return text;
+    }
+
+    /**
+     * Decodes a sampled symbol (modules[y][x] true = dark, no quiet zone).
+     * Corrects errors with Reed-Solomon; throws when it cannot.
+     */
+    function decodeMatrix(modules) {
+        const size = modules.length;
+        const version = (size - 17) / 4;
+        if (!Number.isInteger(version) || version < 1 || version > MAX_VERSION) {
+            throw new Error(`Unsupported QR size ${size}`);
+        }
+
+        const { ecc, mask } = readFormat(modules);
+        const template = createTemplate(version);
+        const cells = dataCells(template);
+        const rawCount = Math.floor(rawDataModules(version) / 8);
+        const codewords = new Array(rawCount).fill(0);
+        cells.forEach(([x, y], i) => {
+            if (i >= rawCount * 8) return;
+            if (modules[y][x] !== MASKS[mask](x, y)) codewords[i >>> 3] |= 1 << (7 - (i & 7));
+        });
+
+        // Undo the interleaving
+        const { numBlocks, eccLen, numShortBlocks, shortBlockLen } = blockLayout(version, ecc);
+        const blocks = Array.from({ length: numBlocks }, () => []);
+        let k = 0;
+        for (let i = 0; i <= shortBlockLen; i++) {
+            for (let j = 0; j < numBlocks; j++) {
+                if (i === shortBlockLen - eccLen && j < numShortBlocks) continue; // padding slot
+                blocks[j].push(codewords[k++]);
+            }
+        }
+
+        const data = [];
+        blocks.forEach(block => {
+            rsCorrect(block, eccLen);
+            data.push(...block.slice(0, block.length - eccLen));
+        });
+        return decodeSegments(data, version);
+    }
+
+    // ---------- IMAGE DECODER ----------
+    // Dark/light per pixel with a local mean threshold (Bradley), which
+    // copes with the uneven light of a phone camera.
+    function binarize(imageData) {
+        const { width, height, data } = imageData;
+        const gray = new Float64Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+
+        const integral = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const half = Math.max(7, Math.floor(Math.min(width, height) / 16));
+        const dark = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width, x + half + 1);
+                const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                    integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+                const mean = sum / ((x1 - x0) * (y1 - y0));
+                dark[y * width + x] = gray[y * width + x] < mean * 0.85 ? 1 : 0;
+            }
+        }
+        return { width, height, dark };
+    }
+
+    // Run lengths look like dark 1 : light 1 : dark 3 : light 1 : dark 1
+    function isFinderRatio(runs) {
+        const total = runs.reduce((a, b) => a + b, 0);
+        if (total < 7) return false;
+        const unit = total / 7;
+        const tolerance = unit / 1.5;
+        return Math.abs(unit - runs[0]) < tolerance &&
+            Math.abs(unit - runs[1]) < tolerance &&
+            Math.abs(3 * unit - runs[2]) < 3 * tolerance &&
+            Math.abs(unit - runs[3]) < tolerance &&
+            Math.abs(unit - runs[4]) < tolerance;
+    }
+
+    // Measures the five runs through (cx, cy) along (dx, dy); returns the
+    // refined centre offset along that axis and the run total, or null
+    function crossCheck(image, cx, cy, dx, dy, maxRun) {
+        const { width, height, dark } = image;
+        const at = (step) => {
+            const x = Math.round(cx + dx * step);
+            const y = Math.round(cy + dy * step);
+            if (x < 0 || y < 0 || x >= width || y >= height) return -1;
+            return dark[y * width + x];
+        };
+
+        if (at(0) !== 1) return null;
+        const runs = [0, 0, 0, 0, 0];
+
+        let i = 0;
+        while (at(-i) === 1) { runs[2]++; i++; }
+        while (at(-i) === 0 && runs[1] <= maxRun) { runs[1]++; i++; }
+        while (at(-i) === 1 && runs[0] <= maxRun) { runs[0]++; i++; }
+        let j = 1;
+        while (at(j) === 1) { runs[2]++; j++; }
+        while (at(j) === 0 && runs[3] <= maxRun) { runs[3]++; j++; }
+        while (at(j) === 1 && runs[4] <= maxRun) { runs[4]++; j++; }
+
+        if (!isFinderRatio(runs)) return null;
+        const start = -(i - runs[0] - runs[1] - 1);
+        const end = j - 1 - runs[3] - runs[4];
+        return { offset: (start + end) / 2, total: runs.reduce((a, b) => a + b, 0) };
+    }
+
+    function findFinderPatterns(image) {
+        const { width, height, dark } = image;
+        const candidates = [];
+
+        for (let y = 0; y < height; y += 2) {
+            const runs = [0, 0, 0, 0, 0];
+            let state = 0;
+            for (let x = 0; x <= width; x++) {
+                const isDark = x < width && dark[y * width + x] === 1;
+                const stateIsDark = state % 2 === 0;
+                if (isDark === stateIsDark) {
+                    runs[state]++;
+                    continue;
+                }
+                if (state < 4) {
+                    state++;
+                    runs[state] = 1;
+                    continue;
+                }
+
+                // Five runs complete: test them, then slide by two runs
+                if (isFinderRatio(runs)) {
+                    const total = runs.reduce((a, b) => a + b, 0);
+                    const cx = x - runs[4] - runs[3] - runs[2] / 2;
+                    const vertical = crossCheck(image, cx, y, 0, 1, total);
+                    if (vertical) {
+                        const cy = y + vertical.offset;
+                        const horizontal = crossCheck(image, cx, cy, 1, 0, total);
+                        if (horizontal) {
+                            const centerX = cx + horizontal.offset;
+                            const module = (total + vertical.total + horizontal.total) / 21;
+                            const near = candidates.find(c =>
+                                Math.abs(c.x - centerX) < c.module * 3 && Math.abs(c.y - cy) < c.module * 3);
+                            if (near) {
+                                near.x = (near.x * near.count + centerX) / (near.count + 1);
+                                near.y = (near.y * near.count + cy) / (near.count + 1);
+                                near.module = (near.module * near.count + module) / (near.count + 1);
+                                near.count++;
+                            } else {
+                                candidates.push({ x: centerX, y: cy, module, count: 1 });
+                            }
+                        }
+                    }
+                }
+                runs[0] = runs[2];
+                runs[1] = runs[3];
+                runs[2] = runs[4];
+                runs[3] = 1;
+                runs[4] = 0;
+                state = 3;
+            }
+        }
+        return candidates;
+    }
+
+    // Picks three finders of similar size and orders them TL, TR, BL
+    function orderFinders(candidates) {
+        const pool = candidates.filter(c => c.count >= 2).sort((a, b) => b.count - a.count).slice(0, 6);
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        let best = null;
+
+        for (let i = 0; i < pool.length; i++) {
+            for (let j = i + 1; j < pool.length; j++) {
+                for (let k = j + 1; k < pool.length; k++) {
+                    const trio = [pool[i], pool[j], pool[k]];
+                    const modules = trio.map(c => c.module);
+                    if (Math.max(...modules) > Math.min(...modules) * 1.5) continue;
+
+                    // The corner opposite the longest side is top-left
+                    const sides = [dist(trio[1], trio[2]), dist(trio[0], trio[2]), dist(trio[0], trio[1])];
+                    const corner = sides.indexOf(Math.max(...sides));
+                    const tl = trio[corner];
+                    let [tr, bl] = trio.filter((c, n) => n !== corner);
+                    if ((tr.x - tl.x) * (bl.y - tl.y) - (tr.y - tl.y) * (bl.x - tl.x) < 0) [tr, bl] = [bl, tr];
+
+                    // Right angle with equal legs, as a square symbol has
+                    const legA = dist(tl, tr);
+                    const legB = dist(tl, bl);
+                    const skew = Math.abs(legA - legB) / Math.max(legA, legB) +
+                        Math.abs(Math.hypot(legA, legB) - Math.max(...sides)) / Math.max(...sides);
+                    if (!best || skew < best.skew) best = { skew, tl, tr, bl };
+                }
+            }
+        }
+        return best && best.skew < 0.3 ? best : null;
+    }
+
+    function sampleGrid(image, finders, size) {
+        const { width, height, dark } = image;
+        const { tl, tr, bl } = finders;
+        const span = size - 7;
+        const modules = [];
+        for (let y = 0; y < size; y++) {
+            const row = [];
+            for (let x = 0; x < size; x++) {
+                // Finder centres sit at module (3.5, 3.5) and its mirrors
+                const u = (x + 0.5 - 3.5) / span;
+                const v = (y + 0.5 - 3.5) / span;
+                const px = Math.round(tl.x + u * (tr.x - tl.x) + v * (bl.x - tl.x));
+                const py = Math.round(tl.y + u * (tr.y - tl.y) + v * (bl.y - tl.y));
+                row.push(px >= 0 && py >= 0 && px < width && py < height && dark[py * width + px] === 1);
+            }
+            modules.push(row);
+        }
+        return modules;
+    }
+
+    /**
+     * Finds and decodes a QR code in an ImageData-like { width, height, data }
+     * (RGBA). Returns the text, or null when nothing readable is in view.
+     * Works best with the code roughly facing the camera.
+     */
+    function decodeImage(imageData) {
+        const image = binarize(imageData);
+        const finders = orderFinders(findFinderPatterns(image));
+        if (!finders) return null;
+
+        const module = (finders.tl.module + finders.tr.module + finders.bl.module) / 3;
+        const across = (Math.hypot(finders.tr.x - finders.tl.x, finders.tr.y - finders.tl.y) +
+            Math.hypot(finders.bl.x - finders.tl.x, finders.bl.y - finders.tl.y)) / 2;
+        const estimate = Math.round(across / module) + 7;
+
+        // Nearest valid size first, then its neighbours
+        const nearest = Math.round((estimate - 17) / 4);
+        for (const version of [nearest, nearest - 1, nearest + 1]) {
+            if (version < 1 || version > MAX_VERSION) continue;
+            try {
+                return decodeMatrix(sampleGrid(image, finders, sizeOf(version)));
+            } catch (error) {
+                // Try the next size
+            }
+        }
+        return null;
+    }
+
+    return {
+        MAX_VERSION,
+        encode,
+        toSvg,
+        decodeMatrix,
+        decodeImage
+    };
+});
@@ -9,23 +9,82 @@
     "use strict";
 
     // ---------- CONSTANTS ----------
-    const APP_VERSION = '1.0.0';
+    const APP_VERSION = BingoChangelog.CURRENT_VERSION;
     const CACHE_NAME = 'bingo-pwa-v1';
-    const BINGO_RANGES = [
-        { letter: "B", start: 1, end: 15 },
-        { letter: "I", start: 16, end: 30 },
-        { letter: "N", start: 31, end: 45 },
-        { letter: "G", start: 46, end: 60 },
-        { letter: "O", start: 61, end: 75 }
-    ];
+    const { BINGO_RANGES, FREE_SPACE_INDEX } = BingoDeck;
+    const { t } = BingoI18n;
     const MAX_BOARDS = 300;
-    const FREE_SPACE_INDEX = 12;
+    const WINDOW_MIN_BOARDS = 4;        // From here cards scroll and render only near the viewport
+    const QR_PREFIX = 'MERKEB1';        // Kartela QR codes read "MERKEB1/<board>/<deck seed>"
+    const BENCH_MODE = new URLSearchParams(location.search).has('bench'); // benchmark.html's frame
+    const BENCH_DB_NAME = 'BingoBenchDB';
+    const RANDOM_PICK = /^(?:random|በዘፈቀደ)\s*(\d+)(?:\s+unused)?$/i; // "random 5 unused"
+    const DAUB_MODES = [
+        { id: 'off', icon: '✋', labelKey: 'daub.off' },
+        { id: 'auto', icon: '🤖', labelKey: 'daub.auto' },
+        { id: 'assist', icon: '💡', labelKey: 'daub.assist' }
+    ];
+
+    // Round lifecycle: waiting → playing (first call or daub) → over (first valid win)
+    const ROUND_WAITING = 'waiting';
+    const ROUND_PLAYING = 'playing';
+    const ROUND_OVER = 'over';
+
+    const BOARD_VIEWS = [
+        { id: 'cards', icon: '🃏', labelKey: 'view.cards' },
+        { id: 'mini', icon: '▦', labelKey: 'view.mini' }
+    ];
+    const DISPLAY_MODES = ['windowed', 'fullscreen', 'kiosk'];
 
     // ---------- STATE MANAGEMENT ----------
     let allBoards = [];                 // All available boards (fetched from API/IndexedDB)
+    let deckSeed = BingoDeck.DEFAULT_DECK_SEED; // Seed the kartela numbers are derived from, or an imported deck's id
+    const importedDecks = new Map();    // Deck id → { id, name, boards } of fixed decks loaded from a file
     let selectedBoards = [];            // Currently displayed board IDs
     let pendingSelected = new Set();    // Temporary selection set
     let isOffline = !navigator.onLine;  // Track online status
+    let caller = BingoCaller.createCaller(); // Draw engine for this game
+    let autoDrawTimer = null;           // Interval id while auto-draw runs
+    let autoDrawInterval = 5000;        // Milliseconds between auto draws
+    let daubMode = 'off';               // 'off' | 'auto' | 'assist'
+    let activePatterns = [...BingoPatterns.DEFAULT_PATTERNS]; // Patterns played this round
+    let maskDraft = new Set();          // Cells ticked in the custom pattern editor
+    let winners = [];                   // Every round's wins: { round, boardId, patternId, pattern, cells, callCount, at, player? }
+    let round = newRound(1);            // { number, state, startedAt, endedAt, endCall, patternCount } of the current round
+    let pastRounds = [];                // Finished rounds' calls: { number, calls, endedAt }, for the stats
+    let ledger = BingoLedger.createLedger(); // Card sales and prize payouts, see ledger.js
+    let currentSession = createSessionInfo(); // { id, name, createdAt } of the open game
+    let net = null;                     // BingoNet connection while in a shared room
+    let netRoom = null;                 // { role, url, code, playerId, hostToken, playerToken, name }
+    let takenBoards = new Set();        // Boards other players in the room hold
+    let boardLimit = 0;                 // Most boards one player may hold (0 = no limit)
+    const boardCards = new Map();       // Board id → its card in boardsContainer
+    let cardObserver = null;            // Fills cards near the viewport once the list scrolls
+    const dirtyBoards = new Set();      // Boards whose marks changed since the last save
+    let syncRetryTimer = null;          // Next outbox replay while events are backing off
+    let pendingUpdate = null;           // { registration, version, releases } of a waiting worker
+    let reloadingForUpdate = false;     // Set once we asked the waiting worker to take over
+    let settings = {                    // Device preferences (gameState 'settings')
+        language: null,
+        voice: BingoVoice.AUTO_VOICE,
+        volume: 1,
+        boardView: 'cards',             // 'cards' | 'mini'
+        focusMode: false,               // Bring boards holding the last call to the front
+        nearWinAlert: false,            // Chime and vibrate when a board gets to one to go
+        highContrast: false,            // Black, white and yellow theme
+        displayMode: 'windowed'         // One of DISPLAY_MODES
+    };
+    let zoomedBoardId = null;           // Board opened full-size from the compact view
+    const oneToGo = new Map();          // Board id → called numbers that would finish it
+    let nearWinAlerts = [];             // Boards that reached one to go during this call
+    const announcer = BingoVoice.createAnnouncer({  // Speaks each call
+        onMissingPack: () => showToast(t('voice.noClips'), 'error')
+    });
+    const qrCache = new Map();          // QR payload → SVG markup
+    let focusBeforeModal = null;        // Where focus goes back to when a modal closes on Escape
+    let wakeLock = null;                // Screen wake lock held in kiosk mode
+    let scanStream = null;              // Camera stream while the scanner is open
+    let scanTimer = null;               // Next frame check
 
     // DOM Elements cache
     const elements = {
@@ -39,48 +98,254 @@
         okBtn: document.getElementById('okBtn'),
         cancelBtn: document.getElementById('cancelBtn'),
         chipsContainer: document.getElementById('selectedChipsContainer'),
+        searchMessage: document.getElementById('searchMessage'),
+        boardLimitInput: document.getElementById('boardLimitInput'),
+        boardPicker: document.getElementById('boardPicker'),
         noBoardsSelectBtn: document.getElementById('noBoardsSelectBtn'),
         noBoardsInfoBtn: document.getElementById('noBoardsInfoBtn'),
+        noBoardsSessionsBtn: document.getElementById('noBoardsSessionsBtn'),
+        languageSelect: document.getElementById('languageSelect'),
+        sessionsSection: document.getElementById('sessionsSection'),
+        sessionList: document.getElementById('sessionList'),
+        sessionNameInput: document.getElementById('sessionNameInput'),
+        newSessionBtn: document.getElementById('newSessionBtn'),
+        deckFilesBtn: document.getElementById('deckFilesBtn'),
+        deckModal: document.getElementById('deckModal'),
+        statsBtn: document.getElementById('statsBtn'),
+        statsModal: document.getElementById('statsModal'),
+        closeStatsModal: document.getElementById('closeStatsModal'),
+        statsTiles: document.getElementById('statsTiles'),
+        statsEmpty: document.getElementById('statsEmpty'),
+        statsBody: document.getElementById('statsBody'),
+        statsPatterns: document.getElementById('statsPatterns'),
+        statsCalls: document.getElementById('statsCalls'),
+        statsLucky: document.getElementById('statsLucky'),
+        statsFrequency: document.getElementById('statsFrequency'),
+        statsHot: document.getElementById('statsHot'),
+        statsCold: document.getElementById('statsCold'),
+        statsDroughts: document.getElementById('statsDroughts'),
+        deckCurrent: document.getElementById('deckCurrent'),
+        exportDeckBtn: document.getElementById('exportDeckBtn'),
+        exportSessionBtn: document.getElementById('exportSessionBtn'),
+        deckFileInput: document.getElementById('deckFileInput'),
+        deckPasteInput: document.getElementById('deckPasteInput'),
+        importPasteBtn: document.getElementById('importPasteBtn'),
+        deckErrors: document.getElementById('deckErrors'),
+        closeDeckModal: document.getElementById('closeDeckModal'),
+        closeSessionsBtn: document.getElementById('closeSessionsBtn'),
+        syncEndpointInput: document.getElementById('syncEndpointInput'),
+        syncSaveBtn: document.getElementById('syncSaveBtn'),
+        syncNowBtn: document.getElementById('syncNowBtn'),
+        syncStatus: document.getElementById('syncStatus'),
         infoModal: document.getElementById('infoModal'),
         closeInfoModal: document.getElementById('closeInfoModal'),
-        noBoardsStatus: document.getElementById('noBoardsStatus')
+        noBoardsStatus: document.getElementById('noBoardsStatus'),
+        noBoardsHint: document.getElementById('noBoardsHint'),
+        callerCurrent: document.getElementById('callerCurrent'),
+        callerDrawBtn: document.getElementById('callerDrawBtn'),
+        callerAutoBtn: document.getElementById('callerAutoBtn'),
+        callerIntervalSelect: document.getElementById('callerIntervalSelect'),
+        callerUndoBtn: document.getElementById('callerUndoBtn'),
+        callerResetBtn: document.getElementById('callerResetBtn'),
+        daubModeBtn: document.getElementById('daubModeBtn'),
+        boardViewBtn: document.getElementById('boardViewBtn'),
+        closestBtn: document.getElementById('closestBtn'),
+        winnersBtn: document.getElementById('winnersBtn'),
+        celebrationModal: document.getElementById('celebrationModal'),
+        celebrationTitle: document.getElementById('celebrationTitle'),
+        celebrationSummary: document.getElementById('celebrationSummary'),
+        celebrationBoards: document.getElementById('celebrationBoards'),
+        winnersList: document.getElementById('winnersList'),
+        newRoundBtn: document.getElementById('newRoundBtn'),
+        closeCelebrationModal: document.getElementById('closeCelebrationModal'),
+        closestModal: document.getElementById('closestModal'),
+        closestList: document.getElementById('closestList'),
+        closeClosestModal: document.getElementById('closeClosestModal'),
+        nearWinAlertInput: document.getElementById('nearWinAlertInput'),
+        highContrastInput: document.getElementById('highContrastInput'),
+        displayModeSelect: document.getElementById('displayModeSelect'),
+        liveRegion: document.getElementById('liveRegion'),
+        focusBtn: document.getElementById('focusBtn'),
+        zoomModal: document.getElementById('zoomModal'),
+        zoomTitle: document.getElementById('zoomTitle'),
+        zoomCard: document.getElementById('zoomCard'),
+        closeZoomModal: document.getElementById('closeZoomModal'),
+        patternsBtn: document.getElementById('patternsBtn'),
+        verifyBtn: document.getElementById('verifyBtn'),
+        verifyModal: document.getElementById('verifyModal'),
+        closeVerifyModal: document.getElementById('closeVerifyModal'),
+        verifyBoardInput: document.getElementById('verifyBoardInput'),
+        verifyCheckBtn: document.getElementById('verifyCheckBtn'),
+        verifyResult: document.getElementById('verifyResult'),
+        callerPanel: document.getElementById('callerPanel'),
+        claimBtn: document.getElementById('claimBtn'),
+        netBtn: document.getElementById('netBtn'),
+        netModal: document.getElementById('netModal'),
+        closeNetModal: document.getElementById('closeNetModal'),
+        netServerInput: document.getElementById('netServerInput'),
+        netNameInput: document.getElementById('netNameInput'),
+        netCodeInput: document.getElementById('netCodeInput'),
+        netHostBtn: document.getElementById('netHostBtn'),
+        netJoinBtn: document.getElementById('netJoinBtn'),
+        netLeaveBtn: document.getElementById('netLeaveBtn'),
+        netStatus: document.getElementById('netStatus'),
+        repeatCallBtn: document.getElementById('repeatCallBtn'),
+        voiceBtn: document.getElementById('voiceBtn'),
+        settingsBtn: document.getElementById('settingsBtn'),
+        settingsModal: document.getElementById('settingsModal'),
+        closeSettingsModal: document.getElementById('closeSettingsModal'),
+        voiceModal: document.getElementById('voiceModal'),
+        closeVoiceModal: document.getElementById('closeVoiceModal'),
+        voiceVolumeInput: document.getElementById('voiceVolumeInput'),
+        voiceSelect: document.getElementById('voiceSelect'),
+        voiceTestBtn: document.getElementById('voiceTestBtn'),
+        ledgerBtn: document.getElementById('ledgerBtn'),
+        ledgerModal: document.getElementById('ledgerModal'),
+        closeLedgerModal: document.getElementById('closeLedgerModal'),
+        cardPriceInput: document.getElementById('cardPriceInput'),
+        houseCutInput: document.getElementById('houseCutInput'),
+        ledgerRoundTitle: document.getElementById('ledgerRoundTitle'),
+        ledgerPool: document.getElementById('ledgerPool'),
+        salePlayerInput: document.getElementById('salePlayerInput'),
+        saleBoardsInput: document.getElementById('saleBoardsInput'),
+        recordSaleBtn: document.getElementById('recordSaleBtn'),
+        saleMessage: document.getElementById('saleMessage'),
+        salesList: document.getElementById('salesList'),
+        prizesList: document.getElementById('prizesList'),
+        walletsTable: document.getElementById('walletsTable'),
+        ledgerTotals: document.getElementById('ledgerTotals'),
+        exportLedgerBtn: document.getElementById('exportLedgerBtn'),
+        printBtn: document.getElementById('printBtn'),
+        printModal: document.getElementById('printModal'),
+        closePrintModal: document.getElementById('closePrintModal'),
+        printRangeInput: document.getElementById('printRangeInput'),
+        printPerPageSelect: document.getElementById('printPerPageSelect'),
+        printError: document.getElementById('printError'),
+        printSheetsBtn: document.getElementById('printSheetsBtn'),
+        printSheets: document.getElementById('printSheets'),
+        qrModal: document.getElementById('qrModal'),
+        qrTitle: document.getElementById('qrTitle'),
+        qrLarge: document.getElementById('qrLarge'),
+        qrCaption: document.getElementById('qrCaption'),
+        closeQrModal: document.getElementById('closeQrModal'),
+        scanBoardBtn: document.getElementById('scanBoardBtn'),
+        scanModal: document.getElementById('scanModal'),
+        scanVideo: document.getElementById('scanVideo'),
+        scanStatus: document.getElementById('scanStatus'),
+        closeScanModal: document.getElementById('closeScanModal'),
+        patternsModal: document.getElementById('patternsModal'),
+        closePatternsModal: document.getElementById('closePatternsModal'),
+        patternList: document.getElementById('patternList'),
+        maskEditor: document.getElementById('maskEditor'),
+        customPatternName: document.getElementById('customPatternName'),
+        addPatternBtn: document.getElementById('addPatternBtn'),
+        callerCount: document.getElementById('callerCount'),
+        callerHistory: document.getElementById('callerHistory')
     };
 
     // ---------- INITIALIZATION ----------
     async function initApp() {
         console.log(`Initializing Bingo PWA v${APP_VERSION}`);
+        if (BENCH_MODE) BingoStorage.useDatabase(BENCH_DB_NAME);
         
-        // Register service worker
-        await registerServiceWorker();
+        // Language first, so everything below renders translated
+        await loadSettings();
+        applyLanguage(settings.language || BingoI18n.detectLanguage(navigator.languages || [navigator.language]));
+        announcer.setVoice(settings.voice);
+        announcer.setVolume(settings.volume);
+        applyTheme();
+        
+        // Register service worker (not for benchmark runs)
+        if (!BENCH_MODE) await registerServiceWorker();
         
         // Load boards from storage
+        await loadImportedDecks();
         await loadBoards();
         
         // Set up event listeners
         setupEventListeners();
+        renderCaller();
         
         // Check online status
         setupOnlineDetection();
         
-        // Show appropriate view
-        showNoBoards();
+        // Resume the last session, or show the empty state.
+        // The "New Game" manifest shortcut opens /?new on the sessions list.
+        const restored = await loadGameState();
+        if (new URLSearchParams(location.search).has('new')) {
+            openSessionsScreen();
+        } else if (!restored) {
+            showNoBoards();
+        }
+        
+        // Fullscreen needs a tap, so a saved fullscreen or kiosk choice waits for the first one;
+        // the kiosk layout and wake lock need none
+        document.body.classList.toggle('kiosk', displayMode() === 'kiosk');
+        if (displayMode() === 'kiosk') keepScreenAwake();
+        if (displayMode() !== 'windowed') {
+            document.addEventListener('click', applyDisplayMode, { once: true });
+        }
+        // Same for the near-win chime's audio
+        if (settings.nearWinAlert) {
+            document.addEventListener('click', () => announcer.unlockChime(), { once: true });
+        }
+        document.addEventListener('visibilitychange', () => {
+            // The wake lock is dropped whenever the page is hidden
+            if (document.visibilityState === 'visible' && displayMode() === 'kiosk') keepScreenAwake();
+        });
         
-        // Request fullscreen for better PWA experience
-        setupFullscreenHandler();
+        if (BENCH_MODE) exposeBenchHooks();
         
         // Log successful initialization
         console.log('App initialized successfully');
     }
 
+    // benchmark.html drives the real rendering and saving through these;
+    // cells are daubed by clicking them like a player would
+    function exposeBenchHooks() {
+        window.BingoBench = {
+            container: elements.boardsContainer,
+            showBoards(ids) {
+                selectedBoards = [...ids];
+                hideAllSections();
+                elements.bingoSection.style.display = 'flex';
+                renderAllBoards();
+            },
+            removeBoard: (id) => removeBoardById(id),
+            save: () => saveGameState()
+        };
+    }
+
     // ---------- SERVICE WORKER REGISTRATION ----------
     async function registerServiceWorker() {
         if ('serviceWorker' in navigator) {
             try {
-                const registration = await navigator.serviceWorker.register('/service-worker.js', {
+                const registration = await navigator.serviceWorker.register('/sw.js', {
                     scope: '/'
                 });
                 console.log('ServiceWorker registered:', registration.scope);
                 
+                // Background sync results and update announcements from the worker
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (!event.data) return;
+                    if (event.data.type === 'SYNC_COMPLETE') {
+                        handleSyncSummary(event.data.summary);
+                    } else if (event.data.type === 'UPDATE_READY') {
+                        handleUpdateReady(registration, event.data);
+                    }
+                });
+                
+                // The worker we asked to activate has taken over - load its files
+                navigator.serviceWorker.addEventListener('controllerchange', () => {
+                    if (!reloadingForUpdate) return;
+                    location.reload();
+                });
+                
+                // An update that finished installing before this page loaded
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    registration.waiting.postMessage({ type: 'GET_VERSION' });
+                }
+                
                 // Check for updates
                 registration.addEventListener('updatefound', () => {
                     const newWorker = registration.installing;
@@ -88,8 +353,8 @@
                     
                     newWorker.addEventListener('statechange', () => {
                         if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                            // New version available
-                            showUpdateNotification();
+                            // New version available - ask it what changed
+                            newWorker.postMessage({ type: 'GET_VERSION' });
                         }
                     });
                 });
@@ -104,6 +369,45 @@
         }
     }
 
+    // ---------- APP UPDATES ----------
+    // A new worker installs and waits. We only offer to switch between
+    // rounds, then activate it and reload once it controls the page.
+    function handleUpdateReady(registration, data) {
+        if (!registration.waiting) return;
+        
+        pendingUpdate = {
+            registration,
+            version: data.version,
+            releases: BingoChangelog.changesBetween(APP_VERSION, data.version, data.releases || [])
+        };
+        maybeShowUpdatePrompt();
+    }
+
+    function isRoundInProgress() {
+        return round.state === ROUND_PLAYING && !caller.isComplete();
+    }
+
+    function maybeShowUpdatePrompt() {
+        if (!pendingUpdate || document.querySelector('.update-banner')) return;
+        if (isRoundInProgress()) {
+            console.log(`Update ${pendingUpdate.version} ready - waiting for the round to finish`);
+            return;
+        }
+        showUpdateNotification(pendingUpdate);
+    }
+
+    async function applyUpdate() {
+        const waiting = pendingUpdate && pendingUpdate.registration.waiting;
+        if (!waiting) {
+            location.reload();
+            return;
+        }
+        
+        await saveGameState();
+        reloadingForUpdate = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
     // ---------- OFFLINE DETECTION ----------
     function setupOnlineDetection() {
         window.addEventListener('online', () => {
@@ -125,7 +429,7 @@
         // Show subtle connection status indicator
         const statusEl = document.createElement('div');
         statusEl.className = `connection-status ${status}`;
-        statusEl.textContent = status === 'online' ? '🟢 Online' : '🔴 Offline';
+        statusEl.textContent = t(`connection.${status}`);
         statusEl.style.cssText = `
             position: fixed;
             top: 10px;
@@ -142,106 +446,84 @@
         setTimeout(() => statusEl.remove(), 3000);
     }
 
-    // ---------- BOARD GENERATION (Mock - Replace with API) ----------
+    // ---------- BOARD GENERATION (Seeded deck) ----------
     async function loadBoards() {
+        generateDeckBoards();
+
         try {
-            // Try to load from IndexedDB first (offline storage)
+            // Restore marks from IndexedDB, but only for cards of this deck
             const storedBoards = await loadFromIndexedDB();
             if (storedBoards && storedBoards.length > 0) {
-                allBoards = storedBoards;
+                storedBoards.forEach(stored => {
+                    const board = allBoards[stored.id - 1];
+                    if (board && stored.deckSeed === deckSeed) {
+                        board.markedCells = stored.markedCells;
+                        board.score = stored.score || 0;
+                        board.lastUpdated = stored.lastUpdated;
+                    }
+                });
                 return;
             }
             
-            // If no stored boards, generate mock data
-            // In production: fetch from API with fallback to IndexedDB
-            generateMockBoards();
-            
             // Store in IndexedDB for offline use
             await saveToIndexedDB(allBoards);
             
         } catch (error) {
             console.error('Failed to load boards:', error);
-            generateMockBoards(); // Fallback to mock data
         }
     }
 
-    function generateMockBoards() {
+    // An imported deck brings its own cards; any other deck id is a seed
+    function generateDeckBoards() {
+        const imported = importedDecks.get(deckSeed);
+        const count = imported ? imported.boards.length : MAX_BOARDS;
         allBoards = [];
-        for (let id = 1; id <= MAX_BOARDS; id++) {
-            const board = {
+        for (let id = 1; id <= count; id++) {
+            allBoards.push({
                 id,
-                numbers: [],
+                deckSeed,
+                numbers: imported ? imported.boards[id - 1].numbers : BingoDeck.generateBoard(deckSeed, id),
                 markedCells: new Set([FREE_SPACE_INDEX]),
                 score: 0,
                 lastUpdated: Date.now()
-            };
-            
-            // Generate BINGO numbers
-            for (let col = 0; col < 5; col++) {
-                const range = BINGO_RANGES[col];
-                const colNums = [];
-                while (colNums.length < 5) {
-                    const n = Math.floor(Math.random() * (range.end - range.start + 1)) + range.start;
-                    if (!colNums.includes(n)) colNums.push(n);
-                }
-                colNums.sort((a, b) => a - b);
-                for (let row = 0; row < 5; row++) {
-                    board.numbers[row * 5 + col] = colNums[row];
-                }
-            }
-            board.numbers[FREE_SPACE_INDEX] = "FREE";
-            allBoards.push(board);
+            });
+        }
+    }
+
+    // Boards in the current deck: 300, or however many an imported deck has
+    function deckSize() {
+        return allBoards.length;
+    }
+
+    async function loadImportedDecks() {
+        try {
+            (await BingoStorage.getAll('decks')).forEach(deck => importedDecks.set(deck.id, deck));
+        } catch (error) {
+            reportStorageError('storage.loadDecks', error);
         }
     }
 
     // ---------- INDEXEDDB STORAGE (Offline Support) ----------
-    function openIndexedDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('BingoDB', 1);
-            
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result);
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('boards')) {
-                    db.createObjectStore('boards', { keyPath: 'id' });
-                }
-                if (!db.objectStoreNames.contains('gameState')) {
-                    db.createObjectStore('gameState', { keyPath: 'id' });
-                }
-            };
-        });
+    // Sets don't survive structured cloning as we want them; store arrays
+    function serializeBoard(board) {
+        return {
+            ...board,
+            markedCells: Array.from(board.markedCells)
+        };
     }
 
     async function saveToIndexedDB(boards) {
         try {
-            const db = await openIndexedDB();
-            const tx = db.transaction('boards', 'readwrite');
-            const store = tx.objectStore('boards');
-            
-            boards.forEach(board => {
-                // Convert Set to Array for storage
-                const boardCopy = {
-                    ...board,
-                    markedCells: Array.from(board.markedCells)
-                };
-                store.put(boardCopy);
-            });
-            
-            await tx.complete;
+            await BingoStorage.putAll('boards', boards.map(serializeBoard));
             console.log('Boards saved to IndexedDB');
         } catch (error) {
-            console.error('Failed to save to IndexedDB:', error);
+            reportStorageError('storage.saveBoards', error);
         }
     }
 
     async function loadFromIndexedDB() {
         try {
-            const db = await openIndexedDB();
-            const tx = db.transaction('boards', 'readonly');
-            const store = tx.objectStore('boards');
-            const boards = await store.getAll();
+            const boards = await BingoStorage.getAll('boards');
             
             // Convert markedCells back to Set
             return boards.map(board => ({
@@ -249,11 +531,17 @@
                 markedCells: new Set(board.markedCells || [FREE_SPACE_INDEX])
             }));
         } catch (error) {
-            console.error('Failed to load from IndexedDB:', error);
+            reportStorageError('storage.loadBoards', error);
             return null;
         }
     }
 
+    // `key` is the i18n key of what failed
+    function reportStorageError(key, error) {
+        console.error(`${t(key)}:`, error);
+        showToast(t('storage.notKept', { message: t(key) }), 'error');
+    }
+
     // ---------- UI FUNCTIONS ----------
     function setupEventListeners() {
         // Selection section
@@ -262,42 +550,342 @@
             if (e.key === 'Enter') addBoard();
         });
         elements.addBtn.addEventListener('click', addBoard);
+        elements.boardsContainer.addEventListener('click', handleBoardClick);
+        elements.boardsContainer.addEventListener('keydown', handleBoardKeydown);
+        elements.boardPicker.addEventListener('click', (e) => {
+            const cell = e.target.closest('.picker-cell');
+            if (cell) togglePickedBoard(parseInt(cell.dataset.id, 10));
+        });
+        elements.boardLimitInput.addEventListener('change', () => setBoardLimit(elements.boardLimitInput.value));
         elements.okBtn.addEventListener('click', confirmSelection);
         elements.cancelBtn.addEventListener('click', cancelSelection);
+        elements.scanBoardBtn.addEventListener('click', openScanner);
+        elements.closeScanModal.addEventListener('click', closeScanner);
         
         // No boards section
         elements.noBoardsSelectBtn.addEventListener('click', openSelectionMode);
         elements.noBoardsInfoBtn.addEventListener('click', showInfoModal);
+        elements.noBoardsSessionsBtn.addEventListener('click', openSessionsScreen);
+        
+        // Language picker (info modal)
+        BingoI18n.LANGUAGES.forEach(lang => {
+            const option = document.createElement('option');
+            option.value = lang.code;
+            option.textContent = lang.name;
+            elements.languageSelect.appendChild(option);
+        });
+        elements.languageSelect.value = BingoI18n.getLanguage();
+        elements.languageSelect.addEventListener('change', () => changeLanguage(elements.languageSelect.value));
+        
+        // Sessions screen
+        elements.newSessionBtn.addEventListener('click', startNewSession);
+        
+        // Deck and game files
+        elements.deckFilesBtn.addEventListener('click', showDeckModal);
+        elements.closeDeckModal.addEventListener('click', () => {
+            elements.deckModal.style.display = 'none';
+        });
+        elements.exportDeckBtn.addEventListener('click', exportDeckFile);
+        elements.exportSessionBtn.addEventListener('click', exportSessionFile);
+        elements.deckFileInput.addEventListener('change', async () => {
+            const file = elements.deckFileInput.files[0];
+            if (!file) return;
+            const text = await file.text();
+            elements.deckFileInput.value = '';
+            await importDeckText(text);
+        });
+        elements.importPasteBtn.addEventListener('click', () => importDeckText(elements.deckPasteInput.value));
+        
+        // Statistics
+        elements.statsBtn.addEventListener('click', showStatsModal);
+        elements.closeStatsModal.addEventListener('click', () => {
+            elements.statsModal.style.display = 'none';
+        });
+        elements.closeSessionsBtn.addEventListener('click', cancelSelection);
+        elements.syncSaveBtn.addEventListener('click', saveSyncSettings);
+        elements.syncNowBtn.addEventListener('click', flushOutbox);
+        
+        // Caller panel
+        elements.callerDrawBtn.addEventListener('click', callNextNumber);
+        elements.callerAutoBtn.addEventListener('click', toggleAutoDraw);
+        elements.callerUndoBtn.addEventListener('click', undoLastCall);
+        elements.callerResetBtn.addEventListener('click', resetCaller);
+        elements.daubModeBtn.addEventListener('click', cycleDaubMode);
+        elements.boardViewBtn.addEventListener('click', cycleBoardView);
+        elements.focusBtn.addEventListener('click', toggleFocusMode);
+        elements.closestBtn.addEventListener('click', showClosestModal);
+        elements.closeClosestModal.addEventListener('click', () => {
+            elements.closestModal.style.display = 'none';
+        });
+        elements.zoomCard.addEventListener('click', handleBoardClick);
+        elements.zoomCard.addEventListener('keydown', handleBoardKeydown);
+        elements.closeZoomModal.addEventListener('click', closeBoardZoom);
+        elements.patternsBtn.addEventListener('click', showPatternsModal);
+        
+        // Patterns modal
+        elements.closePatternsModal.addEventListener('click', () => {
+            elements.patternsModal.style.display = 'none';
+        });
+        elements.addPatternBtn.addEventListener('click', addCustomPattern);
+        
+        // Claim verification
+        elements.verifyBtn.addEventListener('click', showVerifyModal);
+        elements.closeVerifyModal.addEventListener('click', () => {
+            elements.verifyModal.style.display = 'none';
+        });
+        elements.verifyCheckBtn.addEventListener('click', checkClaim);
+        
+        // Winners: the celebration stays up until closed, so no backdrop close
+        elements.winnersBtn.addEventListener('click', showCelebration);
+        elements.closeCelebrationModal.addEventListener('click', () => {
+            elements.celebrationModal.style.display = 'none';
+        });
+        elements.newRoundBtn.addEventListener('click', resetCaller);
+        elements.verifyBoardInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') checkClaim();
+        });
+        
+        // Multiplayer
+        elements.netBtn.addEventListener('click', showNetModal);
+        elements.closeNetModal.addEventListener('click', () => {
+            elements.netModal.style.display = 'none';
+        });
+        elements.netHostBtn.addEventListener('click', () => joinRoom('host'));
+        elements.netJoinBtn.addEventListener('click', () => joinRoom('player'));
+        elements.netLeaveBtn.addEventListener('click', leaveRoom);
+        elements.claimBtn.addEventListener('click', sendClaims);
+        elements.callerIntervalSelect.addEventListener('change', () => {
+            autoDrawInterval = parseInt(elements.callerIntervalSelect.value, 10);
+            if (autoDrawTimer) {
+                stopAutoDraw();
+                startAutoDraw();
+            }
+            saveGameState();
+        });
+        
+        // Voice
+        elements.repeatCallBtn.addEventListener('click', () => announcer.repeat());
+        elements.voiceBtn.addEventListener('click', showVoiceModal);
+        elements.closeVoiceModal.addEventListener('click', () => {
+            elements.voiceModal.style.display = 'none';
+        });
+        elements.voiceVolumeInput.addEventListener('change', () => {
+            settings.volume = parseFloat(elements.voiceVolumeInput.value);
+            announcer.setVolume(settings.volume);
+            saveSettings();
+        });
+        elements.voiceSelect.addEventListener('change', () => {
+            settings.voice = elements.voiceSelect.value;
+            announcer.setVoice(settings.voice);
+            saveSettings();
+        });
+        
+        // Settings
+        elements.settingsBtn.addEventListener('click', showSettingsModal);
+        elements.closeSettingsModal.addEventListener('click', () => {
+            elements.settingsModal.style.display = 'none';
+        });
+        elements.displayModeSelect.addEventListener('change', () => {
+            settings.displayMode = elements.displayModeSelect.value;
+            applyDisplayMode();
+            saveSettings();
+        });
+        elements.highContrastInput.addEventListener('change', () => {
+            settings.highContrast = elements.highContrastInput.checked;
+            applyTheme();
+            saveSettings();
+        });
+        elements.nearWinAlertInput.addEventListener('change', () => {
+            settings.nearWinAlert = elements.nearWinAlertInput.checked;
+            if (settings.nearWinAlert) announcer.unlockChime();
+            saveSettings();
+        });
+        elements.voiceTestBtn.addEventListener('click', () => {
+            announcer.announce(caller.current() || 5);
+        });
+        if ('speechSynthesis' in window) {
+            // Voices load asynchronously on most browsers
+            speechSynthesis.addEventListener('voiceschanged', renderVoiceOptions);
+        }
+        
+        // Hall ledger
+        elements.ledgerBtn.addEventListener('click', showLedgerModal);
+        elements.closeLedgerModal.addEventListener('click', () => {
+            elements.ledgerModal.style.display = 'none';
+        });
+        elements.cardPriceInput.addEventListener('change', saveLedgerSettings);
+        elements.houseCutInput.addEventListener('change', saveLedgerSettings);
+        elements.recordSaleBtn.addEventListener('click', recordSale);
+        elements.saleBoardsInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') recordSale();
+        });
+        elements.exportLedgerBtn.addEventListener('click', exportLedgerCsv);
+        
+        // Paper kartelas
+        elements.printBtn.addEventListener('click', showPrintModal);
+        elements.closePrintModal.addEventListener('click', () => {
+            elements.printModal.style.display = 'none';
+        });
+        elements.printSheetsBtn.addEventListener('click', printSheets);
+        elements.printRangeInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') printSheets();
+        });
+        window.addEventListener('afterprint', clearPrintSheets);
+        
+        // Kartela QR codes
+        elements.closeQrModal.addEventListener('click', () => {
+            elements.qrModal.style.display = 'none';
+        });
         
         // Info modal
-        elements.closeInfoModal.addEventListener('click', () => {
-            elements.infoModal.style.display = 'none';
+        elements.closeInfoModal.addEventListener('click', () => closeModal(elements.infoModal));
+        
+        // Modals keep Tab inside and close on Escape
+        document.addEventListener('keydown', handleModalKeydown);
+        document.addEventListener('focusin', (e) => {
+            if (!e.target.closest('.info-modal')) focusBeforeModal = e.target;
         });
         window.addEventListener('click', (e) => {
             if (e.target === elements.infoModal) {
                 elements.infoModal.style.display = 'none';
             }
+            if (e.target === elements.patternsModal) {
+                elements.patternsModal.style.display = 'none';
+            }
+            if (e.target === elements.verifyModal) {
+                elements.verifyModal.style.display = 'none';
+            }
+            if (e.target === elements.netModal) {
+                elements.netModal.style.display = 'none';
+            }
+            if (e.target === elements.voiceModal) {
+                elements.voiceModal.style.display = 'none';
+            }
+            if (e.target === elements.settingsModal) {
+                elements.settingsModal.style.display = 'none';
+            }
+            if (e.target === elements.printModal) {
+                elements.printModal.style.display = 'none';
+            }
+            if (e.target === elements.qrModal) {
+                elements.qrModal.style.display = 'none';
+            }
+            if (e.target === elements.zoomModal) {
+                closeBoardZoom();
+            }
+            if (e.target === elements.closestModal) {
+                elements.closestModal.style.display = 'none';
+            }
+            if (e.target === elements.deckModal) {
+                elements.deckModal.style.display = 'none';
+            }
+            if (e.target === elements.ledgerModal) {
+                elements.ledgerModal.style.display = 'none';
+            }
+            if (e.target === elements.statsModal) {
+                elements.statsModal.style.display = 'none';
+            }
+            if (e.target === elements.scanModal) {
+                closeScanner();
+            }
         });
     }
 
+    // "12", "10-25", "3,7,19" or "random 5 unused" → boards that can still be added
+    function parseSelectionInput(text) {
+        const random = text.trim().match(RANDOM_PICK);
+        if (random) {
+            const count = parseInt(random[1], 10);
+            if (count < 1) throw new Error(t('boards.empty'));
+            return { boards: pickRandomBoards(count), taken: [] };
+        }
+        
+        const ids = parseBoardList(text);
+        return {
+            boards: ids.filter(id => !pendingSelected.has(id) && !takenBoards.has(id)),
+            taken: ids.filter(id => takenBoards.has(id))
+        };
+    }
+
+    // Partial Fisher-Yates over the boards nobody holds yet
+    function pickRandomBoards(count) {
+        const free = [];
+        for (let id = 1; id <= deckSize(); id++) {
+            if (!pendingSelected.has(id) && !takenBoards.has(id)) free.push(id);
+        }
+        const picks = Math.min(count, free.length);
+        for (let i = 0; i < picks; i++) {
+            const j = i + Math.floor(Math.random() * (free.length - i));
+            [free[i], free[j]] = [free[j], free[i]];
+        }
+        return free.slice(0, picks);
+    }
+
+    function boardsLeft() {
+        return boardLimit > 0 ? Math.max(0, boardLimit - pendingSelected.size) : Infinity;
+    }
+
     function validateInput() {
-        const val = parseInt(elements.searchInput.value, 10);
-        if (isNaN(val) || val < 1 || val > MAX_BOARDS) {
+        const text = elements.searchInput.value.trim();
+        if (!text) {
             elements.addBtn.disabled = true;
             return false;
         }
-        elements.addBtn.disabled = pendingSelected.has(val);
+        try {
+            elements.addBtn.disabled = parseSelectionInput(text).boards.length === 0 || boardsLeft() === 0;
+            showSearchMessage('');
+        } catch (error) {
+            elements.addBtn.disabled = true;
+            showSearchMessage(error.message, true);
+        }
         return !elements.addBtn.disabled;
     }
 
     function addBoard() {
-        const val = parseInt(elements.searchInput.value, 10);
-        if (!isNaN(val) && val >= 1 && val <= MAX_BOARDS && !pendingSelected.has(val)) {
-            pendingSelected.add(val);
-            renderChips();
-            elements.searchInput.value = '';
-            validateInput();
+        let parsed;
+        try {
+            parsed = parseSelectionInput(elements.searchInput.value);
+        } catch (error) {
+            showSearchMessage(error.message, true);
+            return;
+        }
+        
+        const added = parsed.boards.slice(0, boardsLeft());
+        added.forEach(id => pendingSelected.add(id));
+        
+        const notes = [];
+        if (added.length > 0) notes.push(t('selection.added', { count: BingoI18n.formatNumber(added.length) }));
+        else if (parsed.taken.length === 0 && parsed.boards.length === 0) notes.push(t('selection.nothingNew'));
+        if (parsed.taken.length > 0) {
+            notes.push(t('selection.takenSkipped', { list: parsed.taken.map(id => `#${id}`).join(', ') }));
+        }
+        if (added.length < parsed.boards.length) notes.push(t('selection.limitReached', { limit: boardLimit }));
+        showSearchMessage(notes.join(' · '), added.length < parsed.boards.length || parsed.taken.length > 0);
+        
+        renderChips();
+        elements.searchInput.value = '';
+        validateInput();
+    }
+
+    function togglePickedBoard(id) {
+        if (pendingSelected.has(id)) {
+            pendingSelected.delete(id);
+        } else if (takenBoards.has(id)) {
+            return;
+        } else if (boardsLeft() === 0) {
+            showSearchMessage(t('selection.limitReached', { limit: boardLimit }), true);
+            return;
+        } else {
+            pendingSelected.add(id);
         }
+        showSearchMessage('');
+        renderChips();
+        validateInput();
+    }
+
+    function showSearchMessage(text, isError = false) {
+        elements.searchMessage.textContent = text;
+        elements.searchMessage.classList.toggle('error', isError);
     }
 
     function renderChips() {
@@ -307,7 +895,7 @@
         sorted.forEach(id => {
             const chip = document.createElement('span');
             chip.className = 'chip';
-            chip.innerHTML = `#${id} <button class="chip-remove" data-id="${id}" aria-label="Remove board ${id}">✕</button>`;
+            chip.innerHTML = `#${id} <button class="chip-remove" data-id="${id}" aria-label="${t('board.removeLabel', { id })}">✕</button>`;
             
             chip.querySelector('.chip-remove').addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -318,6 +906,43 @@
             
             elements.chipsContainer.appendChild(chip);
         });
+        renderBoardPicker();
+    }
+
+    // 1–300 at a glance: picked boards are gold, other players' are locked
+    function renderBoardPicker() {
+        if (elements.boardPicker.children.length !== deckSize()) {
+            elements.boardPicker.innerHTML = '';
+            const fragment = document.createDocumentFragment();
+            for (let id = 1; id <= deckSize(); id++) {
+                const cell = document.createElement('button');
+                cell.type = 'button';
+                cell.className = 'picker-cell';
+                cell.dataset.id = id;
+                cell.textContent = id;
+                fragment.appendChild(cell);
+            }
+            elements.boardPicker.appendChild(fragment);
+        }
+        
+        Array.from(elements.boardPicker.children).forEach(cell => {
+            const id = parseInt(cell.dataset.id, 10);
+            const taken = takenBoards.has(id) && !pendingSelected.has(id);
+            cell.classList.toggle('picked', pendingSelected.has(id));
+            cell.classList.toggle('taken', taken);
+            cell.disabled = taken;
+            cell.setAttribute('aria-pressed', pendingSelected.has(id));
+            cell.title = taken ? t('selection.takenTitle', { id }) : '';
+        });
+    }
+
+    function setBoardLimit(value) {
+        const limit = parseInt(value, 10);
+        boardLimit = Number.isInteger(limit) ? Math.min(MAX_BOARDS, Math.max(0, limit)) : 0;
+        elements.boardLimitInput.value = boardLimit;
+        if (net && netRoom.role === 'host') net.send({ type: 'limit', boardLimit });
+        validateInput();
+        saveGameState();
     }
 
     function openSelectionMode() {
@@ -327,12 +952,26 @@
         elements.footer.classList.remove('hidden');
         elements.searchInput.value = '';
         elements.addBtn.disabled = true;
+        // In a shared room only the host sets the limit
+        elements.boardLimitInput.value = boardLimit;
+        elements.boardLimitInput.disabled = isNetPlayer();
+        showSearchMessage('');
         renderChips();
     }
 
     function confirmSelection() {
+        if (boardLimit > 0 && pendingSelected.size > boardLimit) {
+            showSearchMessage(t('selection.overLimit', {
+                limit: boardLimit,
+                extra: pendingSelected.size - boardLimit
+            }), true);
+            return;
+        }
         selectedBoards = Array.from(pendingSelected).sort((a, b) => a - b);
         
+        // In a shared room the server has the final say on who owns a board
+        if (net) net.send({ type: 'reserve', boards: selectedBoards });
+        
         if (selectedBoards.length > 0) {
             hideAllSections();
             elements.bingoSection.style.display = 'flex';
@@ -358,14 +997,19 @@
         elements.noBoardsSection.style.display = 'flex';
         elements.footer.classList.remove('hidden');
         elements.noBoardsStatus.textContent = isOffline ? 
-            'Offline - No boards available' : 
-            'No boards selected';
+            t('noBoards.offline') : 
+            t('noBoards.none');
+        elements.noBoardsHint.textContent = t('noBoards.hint', {
+            min: BingoI18n.formatNumber(1),
+            max: BingoI18n.formatNumber(deckSize())
+        });
     }
 
     function hideAllSections() {
         elements.selectionSection.style.display = 'none';
         elements.bingoSection.style.display = 'none';
         elements.noBoardsSection.style.display = 'none';
+        elements.sessionsSection.style.display = 'none';
     }
 
     // ---------- BINGO BOARD FUNCTIONS ----------
@@ -378,10 +1022,14 @@
         else if (len === 2) section.classList.add('two-boards');
         else if (len === 3) section.classList.add('three-boards');
         else if (len >= 4) section.classList.add('many-boards');
+        section.classList.toggle('mini-view', settings.boardView === 'mini');
     }
 
     function renderAllBoards() {
+        if (cardObserver) cardObserver.disconnect();
+        boardCards.clear();
         elements.boardsContainer.innerHTML = '';
+        elements.boardsContainer.style.removeProperty('--kartela-height');
         
         if (selectedBoards.length === 0) {
             showNoBoards();
@@ -389,37 +1037,89 @@
         }
         
         setLayoutMode();
+        cardObserver = createCardObserver();
+        oneToGo.clear();
+        refreshNearWins();
         
-        selectedBoards.forEach((id, index) => {
-            const board = allBoards.find(b => b.id === id);
-            if (board) {
-                elements.boardsContainer.appendChild(
-                    createBoardCard(board, index === 0)
-                );
-            }
+        const fragment = document.createDocumentFragment();
+        if (settings.boardView === 'mini') fragment.appendChild(createMiniActions());
+        selectedBoards.forEach(id => {
+            const board = allBoards[id - 1];
+            if (board) fragment.appendChild(createBoardCard(board));
         });
+        elements.boardsContainer.appendChild(fragment);
+        focusOnCall(caller.current());
         
         elements.footer.classList.add('hidden');
-        requestFullscreen();
     }
 
-    function createBoardCard(board, isFirst) {
+    // ---------- WINDOWED RENDERING ----------
+    // From WINDOW_MIN_BOARDS cards the list scrolls. Every board keeps a card
+    // in the DOM, but only cards near the viewport hold a header and grid;
+    // the rest are empty shells sized like a real card.
+    function createCardObserver() {
+        if (selectedBoards.length < WINDOW_MIN_BOARDS || typeof IntersectionObserver === 'undefined') {
+            return null;
+        }
+        return new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const card = entry.target;
+                if (entry.isIntersecting) {
+                    fillBoardCard(card);
+                } else if (card.classList.contains('filled')) {
+                    emptyBoardCard(card);
+                }
+            });
+        }, { root: elements.boardsContainer, rootMargin: '100% 0px' });
+    }
+
+    function createBoardCard(board) {
         const card = document.createElement('div');
         card.className = 'board-card';
         card.dataset.boardId = board.id;
+        if (settings.boardView === 'mini') {
+            card.classList.add('mini-card');
+            card.setAttribute('role', 'button');
+            card.tabIndex = 0;
+            card.setAttribute('aria-label', t('mini.open', { id: board.id }));
+        }
+        boardCards.set(board.id, card);
+        
+        if (cardObserver) {
+            cardObserver.observe(card);
+        } else {
+            fillBoardCard(card);
+        }
+        return card;
+    }
 
-        // Header
-        const header = createBoardHeader(board, isFirst, card);
-        card.appendChild(header);
-
-        // Bingo grid
-        const grid = createBingoGrid(board, card);
-        card.appendChild(grid);
+    function fillBoardCard(card) {
+        if (card.classList.contains('filled')) return;
+        const board = allBoards[card.dataset.boardId - 1];
+        
+        card.style.height = '';
+        if (card.classList.contains('mini-card')) {
+            fillMiniCard(card, board);
+        } else {
+            card.appendChild(createBoardHeader(board, selectedBoards[0] === board.id));
+            card.appendChild(createBingoGrid(board));
+        }
+        card.classList.add('filled');
+        
+        // Shells take the height of the last card that was laid out
+        if (cardObserver && !elements.boardsContainer.style.getPropertyValue('--kartela-height')) {
+            elements.boardsContainer.style.setProperty('--kartela-height', `${card.offsetHeight}px`);
+        }
+    }
 
-        return card;
+    function emptyBoardCard(card) {
+        card.style.height = `${card.offsetHeight}px`;
+        card.textContent = '';
+        card.classList.remove('filled');
     }
 
-    function createBoardHeader(board, isFirst, card) {
+    // Header buttons carry data-action; handleBoardClick dispatches them
+    function createBoardHeader(board, isFirst) {
         const header = document.createElement('div');
         header.className = 'board-header';
 
@@ -430,64 +1130,40 @@
         const numCircle = document.createElement('div');
         numCircle.className = 'board-number-circular';
         numCircle.textContent = board.id;
+        numCircle.title = `${board.deckSeed} · ${BingoDeck.cardChecksum(board.deckSeed, board.id, board.numbers)}`;
         leftDiv.appendChild(numCircle);
 
+        // QR code of deck + board, tap for a scannable size
+        const qrBtn = document.createElement('button');
+        qrBtn.className = 'board-qr';
+        qrBtn.dataset.action = 'qr';
+        qrBtn.title = t('qr.show');
+        qrBtn.setAttribute('aria-label', t('qr.show'));
+        qrBtn.innerHTML = boardQrSvg(board);
+        leftDiv.appendChild(qrBtn);
+
         // Reset button
-        const resetBtn = document.createElement('button');
-        resetBtn.className = 'header-icon';
-        resetBtn.textContent = '↻';
-        resetBtn.title = 'Reset board';
-        resetBtn.setAttribute('aria-label', `Reset board ${board.id}`);
-        resetBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            resetBoard(board, card);
-        });
-        leftDiv.appendChild(resetBtn);
+        leftDiv.appendChild(createHeaderButton('reset', '↻', t('board.reset'), t('board.resetLabel', { id: board.id })));
 
         // Center section
         const centerDiv = document.createElement('div');
         centerDiv.className = 'header-center';
-        centerDiv.textContent = 'መርከብ ቢንጎ ጨዋታ';
+        const wins = roundWins(board.id);
+        centerDiv.textContent = winTitle(wins);
+        if (wins.length > 0) centerDiv.classList.add('win-flash');
 
         // Right section
         const rightDiv = document.createElement('div');
         rightDiv.className = 'header-right';
+        rightDiv.appendChild(createNearWinBadges(boardProgress(board)));
 
         if (isFirst) {
-            const searchBtn = document.createElement('button');
-            searchBtn.className = 'header-icon';
-            searchBtn.textContent = '📋';
-            searchBtn.title = 'Select boards';
-            searchBtn.setAttribute('aria-label', 'Select boards');
-            searchBtn.addEventListener('click', (e) => { 
-                e.stopPropagation(); 
-                openSelectionMode(); 
-            });
-            rightDiv.appendChild(searchBtn);
-
-            const infoBtn = document.createElement('button');
-            infoBtn.className = 'header-icon';
-            infoBtn.textContent = 'ℹ️';
-            infoBtn.title = 'About Insite Digital Group';
-            infoBtn.setAttribute('aria-label', 'About');
-            infoBtn.addEventListener('click', (e) => { 
-                e.stopPropagation(); 
-                showInfoModal(); 
-            });
-            rightDiv.appendChild(infoBtn);
+            rightDiv.appendChild(createHeaderButton('select', '📋', t('board.select'), t('board.select')));
+            rightDiv.appendChild(createHeaderButton('sessions', '🗂️', t('board.sessions'), t('board.sessions')));
+            rightDiv.appendChild(createHeaderButton('info', 'ℹ️', t('board.aboutTitle'), t('board.about')));
         }
 
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'header-icon';
-        removeBtn.textContent = '🗑️';
-        removeBtn.title = 'Remove board';
-        removeBtn.setAttribute('aria-label', `Remove board ${board.id}`);
-        removeBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            card.classList.add('fade-out');
-            setTimeout(() => removeBoardById(board.id), 280);
-        });
-        rightDiv.appendChild(removeBtn);
+        rightDiv.appendChild(createHeaderButton('remove', '🗑️', t('board.remove'), t('board.removeLabel', { id: board.id })));
 
         header.appendChild(leftDiv);
         header.appendChild(centerDiv);
@@ -496,31 +1172,65 @@
         return header;
     }
 
-    function createBingoGrid(board, card) {
+    function createHeaderButton(action, icon, title, label) {
+        const button = document.createElement('button');
+        button.className = 'header-icon';
+        button.dataset.action = action;
+        button.textContent = icon;
+        button.title = title;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    // readOnly grids (claim check, print) skip the call hints
+    function createBingoGrid(board, readOnly = false) {
+        const winCells = new Set(readOnly ? [] : [].concat(...roundWins(board.id).map(w => w.cells || [])));
         const bingoBoard = document.createElement('div');
         bingoBoard.className = 'bingo-board';
         
         const grid = document.createElement('div');
         grid.className = 'bingo-grid-unified';
+        grid.setAttribute('role', 'grid');
+        grid.setAttribute('aria-label', t('a11y.board', { id: board.id }));
+        if (readOnly) grid.setAttribute('aria-readonly', 'true');
+        
+        // ARIA rows are display: contents, so cells still fill the 5-column grid
+        const addRow = () => {
+            const row = document.createElement('div');
+            row.className = 'bingo-grid-row';
+            row.setAttribute('role', 'row');
+            grid.appendChild(row);
+            return row;
+        };
 
         // Add BINGO letters
+        const letters = addRow();
         for (let col = 0; col < 5; col++) {
             const cell = document.createElement('div');
             cell.className = 'bingo-letter-cell';
+            cell.setAttribute('role', 'columnheader');
             cell.textContent = BINGO_RANGES[col].letter;
-            grid.appendChild(cell);
+            letters.appendChild(cell);
         }
 
-        // Add number cells
+        // Add number cells; one tab stop per grid, arrow keys move it
+        let gridRow = null;
         for (let i = 0; i < 25; i++) {
+            if (i % 5 === 0) gridRow = addRow();
             const cell = document.createElement('div');
             cell.className = 'bingo-cell';
+            cell.dataset.index = i;
+            cell.setAttribute('role', 'gridcell');
+            if (!readOnly) cell.tabIndex = i === 0 ? 0 : -1;
             const col = i % 5;
             const row = Math.floor(i / 5);
             const letter = BINGO_RANGES[col].letter;
 
             if (i === FREE_SPACE_INDEX) {
-                cell.classList.add('free', 'selected');
+                cell.classList.add('free');
+                paintCellMark(cell, true);
+                cell.setAttribute('aria-readonly', 'true');
+                cell.setAttribute('aria-label', t('a11y.free'));
                 const heartContainer = document.createElement('div');
                 heartContainer.className = 'heart-container';
                 heartContainer.innerHTML = `
@@ -534,193 +1244,2850 @@
                     <div class="cell-number">${board.numbers[i]}</div>
                     <div class="cell-coordinates">${letter}${row + 1}</div>
                 `;
-                if (board.markedCells.has(i)) {
-                    cell.classList.add('selected');
-                }
+                cell.setAttribute('aria-label', BingoCaller.formatCall(board.numbers[i]));
+                paintCellMark(cell, board.markedCells.has(i));
+                if (!readOnly) updateCellHint(cell, board, i);
             }
+            if (winCells.has(i)) cell.classList.add('winning-cell');
 
-            cell.addEventListener('click', (e) => {
-                e.stopPropagation();
-                toggleCell(cell, board, i, card);
-            });
-
-            grid.appendChild(cell);
+            gridRow.appendChild(cell);
         }
 
         bingoBoard.appendChild(grid);
         return bingoBoard;
     }
 
+    // One listener for every card: cells daub, header buttons act
+    function handleBoardClick(e) {
+        const card = e.target.closest('.board-card');
+        const board = card ? allBoards[card.dataset.boardId - 1] : null;
+        
+        const button = e.target.closest('[data-action]');
+        if (button) {
+            switch (button.dataset.action) {
+                case 'qr':
+                    showQrModal(board);
+                    break;
+                case 'reset':
+                    resetBoard(board, card);
+                    break;
+                case 'select':
+                    openSelectionMode();
+                    break;
+                case 'sessions':
+                    openSessionsScreen();
+                    break;
+                case 'info':
+                    showInfoModal();
+                    break;
+                case 'remove':
+                    card.classList.add('fade-out');
+                    setTimeout(() => removeBoardById(board.id), 280);
+                    break;
+            }
+            return;
+        }
+        
+        if (!card) return;
+        if (card.classList.contains('mini-card')) {
+            openBoardZoom(board);
+            return;
+        }
+        const cell = e.target.closest('.bingo-cell');
+        if (cell) daubByHand(cell, board, card);
+    }
+
+    // Arrow keys, Home and End move between cells; Space or Enter daubs
+    function handleBoardKeydown(e) {
+        const card = e.target.closest('.board-card');
+        if (!card) return;
+        const board = allBoards[card.dataset.boardId - 1];
+        
+        if (e.target === card && card.classList.contains('mini-card')) {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            openBoardZoom(board);
+            return;
+        }
+        
+        const cell = e.target.closest('.bingo-cell');
+        if (!cell || !cell.hasAttribute('tabindex')) return;
+        const index = parseInt(cell.dataset.index, 10);
+        const col = index % 5;
+        let next;
+        switch (e.key) {
+            case ' ':
+            case 'Enter':
+                e.preventDefault();
+                daubByHand(cell, board, card);
+                return;
+            case 'ArrowLeft': next = col > 0 ? index - 1 : index; break;
+            case 'ArrowRight': next = col < 4 ? index + 1 : index; break;
+            case 'ArrowUp': next = index >= 5 ? index - 5 : index; break;
+            case 'ArrowDown': next = index < 20 ? index + 5 : index; break;
+            case 'Home': next = e.ctrlKey ? 0 : index - col; break;
+            case 'End': next = e.ctrlKey ? 24 : index - col + 4; break;
+            default: return;
+        }
+        e.preventDefault();
+        focusCell(card, next);
+    }
+
+    function focusCell(card, index) {
+        const target = getBoardCell(card, index);
+        if (!target) return;
+        card.querySelectorAll('.bingo-cell[tabindex="0"]').forEach(cell => { cell.tabIndex = -1; });
+        target.tabIndex = 0;
+        target.focus();
+    }
+
+    // A tap or key press on a cell; auto-daub goes through toggleCell quietly
+    function daubByHand(cell, board, card) {
+        const index = parseInt(cell.dataset.index, 10);
+        if (index === FREE_SPACE_INDEX) return;
+        toggleCell(cell, board, index, card);
+        announceLive(t(board.markedCells.has(index) ? 'a11y.marked' : 'a11y.unmarked', {
+            call: BingoCaller.formatCall(board.numbers[index]),
+            id: board.id
+        }));
+    }
+
     function toggleCell(cell, board, index, card) {
         if (index === FREE_SPACE_INDEX) return; // Free space can't be toggled
         
-        cell.classList.toggle('selected');
-        
         if (board.markedCells.has(index)) {
             board.markedCells.delete(index);
         } else {
             board.markedCells.add(index);
         }
+        if (cell) {
+            paintCellMark(cell, board.markedCells.has(index));
+            updateCellHint(cell, board, index);
+        }
+        markBoardDirty(board);
+        updateNearWin(board);
+        
+        queueSyncEvent('mark', {
+            sessionId: currentSession.id,
+            boardId: board.id,
+            index,
+            marked: board.markedCells.has(index),
+            at: Date.now()
+        });
         
-        checkBingo(board, card);
+        if (board.markedCells.has(index)) startRound();
+        checkBingo(board);
         
         // Debounce save to IndexedDB
-        debounce(() => saveGameState(), 500);
+        scheduleSave();
     }
 
     function resetBoard(board, card) {
         board.markedCells.clear();
         board.markedCells.add(FREE_SPACE_INDEX);
         board.score = 0;
+        markBoardDirty(board);
         
-        // Update UI
-        const newCard = createBoardCard(board, false);
-        card.replaceWith(newCard);
+        // Update the cells in place
+        for (let i = 0; i < 25; i++) {
+            if (i === FREE_SPACE_INDEX) continue;
+            const cell = getBoardCell(card, i);
+            if (!cell) break;
+            cell.classList.remove('winning-cell');
+            paintCellMark(cell, false);
+            updateCellHint(cell, board, i);
+        }
+        updateNearWin(board, true);
         
         saveGameState();
     }
 
     function removeBoardById(id) {
+        if (zoomedBoardId === id) closeBoardZoom();
+        oneToGo.delete(id);
         const index = selectedBoards.indexOf(id);
         if (index > -1) {
             selectedBoards.splice(index, 1);
         }
         
         if (selectedBoards.length === 0) {
-            showNoBoards();
+            renderAllBoards();
             elements.footer.classList.remove('hidden');
-            exitFullscreen();
-        } else {
+        } else if (selectedBoards.length < WINDOW_MIN_BOARDS && cardObserver) {
+            // Back to a fixed layout: every card needs its grid again
             renderAllBoards();
+        } else {
+            const card = boardCards.get(id);
+            if (card) {
+                if (cardObserver) cardObserver.unobserve(card);
+                card.remove();
+                boardCards.delete(id);
+            }
+            // The first card carries the app buttons
+            if (index === 0) refreshBoardHeader(selectedBoards[0]);
+            setLayoutMode();
         }
         
         saveGameState();
     }
 
-    // ---------- WIN CHECKING ----------
-    function checkBingo(board, card) {
-        const marked = board.markedCells;
-        
-        // All possible winning patterns
-        const patterns = [
-            // Rows
-            [0,1,2,3,4], [5,6,7,8,9], [10,11,12,13,14], 
-            [15,16,17,18,19], [20,21,22,23,24],
-            // Columns
-            [0,5,10,15,20], [1,6,11,16,21], [2,7,12,17,22], 
-            [3,8,13,18,23], [4,9,14,19,24],
-            // Diagonals
-            [0,6,12,18,24], [4,8,12,16,20]
-        ];
+    function refreshBoardHeader(id) {
+        const card = boardCards.get(id);
+        const header = card && card.querySelector('.board-header');
+        if (header) header.replaceWith(createBoardHeader(allBoards[id - 1], selectedBoards[0] === id));
+    }
 
-        const grid = card.querySelector('.bingo-grid-unified');
-        if (!grid) return;
+    // ---------- COMPACT VIEW ----------
+    // Each board is a 5x5 heatmap of its marks; the cell that would finish
+    // the closest pattern glows when only one is left. Tap to open full size.
+    function renderBoardViewButton() {
+        const info = BOARD_VIEWS.find(v => v.id === settings.boardView) || BOARD_VIEWS[0];
+        elements.boardViewBtn.textContent = info.icon;
+        elements.boardViewBtn.title = t(info.labelKey);
+        elements.boardViewBtn.setAttribute('aria-label', t(info.labelKey));
+    }
 
-        for (let pattern of patterns) {
-            if (pattern.every(i => marked.has(i))) {
-                // Winning pattern found
-                pattern.forEach(i => {
-                    const cell = grid.children[i + 5];
-                    if (cell) cell.classList.add('winning-cell');
-                });
-                
-                board.score++;
-                
-                // Remove winning highlight after delay
-                setTimeout(() => {
-                    pattern.forEach(i => {
-                        const cell = grid.children[i + 5];
-                        if (cell) cell.classList.remove('winning-cell');
-                    });
-                }, 2000);
-                
-                // Only show first winning pattern
-                break;
-            }
-        }
+    function cycleBoardView() {
+        const index = BOARD_VIEWS.findIndex(v => v.id === settings.boardView);
+        settings.boardView = BOARD_VIEWS[(index + 1) % BOARD_VIEWS.length].id;
+        renderBoardViewButton();
+        if (elements.bingoSection.style.display === 'flex') renderAllBoards();
+        saveSettings();
     }
 
-    // ---------- FULLSCREEN HANDLING ----------
-    function setupFullscreenHandler() {
-        document.addEventListener('fullscreenchange', () => {
-            if (!document.fullscreenElement && selectedBoards.length > 0) {
-                // Re-enter fullscreen if boards are active
-                requestFullscreen();
-            }
-        });
+    // Mini cards have no header, so the app buttons get a tile of their own
+    function createMiniActions() {
+        const tile = document.createElement('div');
+        tile.className = 'mini-actions';
+        tile.appendChild(createHeaderButton('select', '📋', t('board.select'), t('board.select')));
+        tile.appendChild(createHeaderButton('sessions', '🗂️', t('board.sessions'), t('board.sessions')));
+        tile.appendChild(createHeaderButton('info', 'ℹ️', t('board.aboutTitle'), t('board.about')));
+        return tile;
     }
 
-    function requestFullscreen() {
-        const element = document.documentElement;
-        if (element.requestFullscreen) {
-            element.requestFullscreen().catch(() => {
-                // Ignore errors - may be blocked by browser
+    function fillMiniCard(card, board) {
+        const number = document.createElement('span');
+        number.className = 'mini-number';
+        number.textContent = board.id;
+        card.appendChild(number);
+        
+        const grid = document.createElement('div');
+        grid.className = 'mini-grid';
+        for (let i = 0; i < 25; i++) {
+            const cell = document.createElement('span');
+            cell.className = 'mini-cell';
+            grid.appendChild(cell);
+        }
+        card.appendChild(grid);
+        
+        const badge = document.createElement('span');
+        badge.className = 'mini-badge';
+        card.appendChild(badge);
+        
+        paintMiniCard(card, board);
+    }
+
+    function paintMiniCard(card, board) {
+        const grid = card.querySelector('.mini-grid');
+        if (!grid) return;
+        
+        const closest = BingoPatterns.closestShape(board.markedCells, activePatterns);
+        const won = Boolean(closest) && closest.missing.length === 0;
+        const needed = closest && closest.missing.length === 1 ? closest.missing[0] : -1;
+        
+        Array.from(grid.children).forEach((cell, i) => {
+            cell.classList.toggle('marked', board.markedCells.has(i));
+            cell.classList.toggle('needed', i === needed);
+        });
+        card.classList.toggle('one-away', needed !== -1);
+        card.classList.toggle('won', won);
+        card.querySelector('.mini-badge').textContent =
+            won ? `🏆 ${t('mini.won')}` : needed !== -1 ? t('mini.oneAway') : '';
+    }
+
+    function updateMiniCard(board) {
+        const card = boardCards.get(board.id);
+        if (card && card.classList.contains('mini-card')) paintMiniCard(card, board);
+    }
+
+
+    function openBoardZoom(board) {
+        const card = document.createElement('div');
+        card.className = 'board-card filled';
+        card.dataset.boardId = board.id;
+        card.appendChild(createBoardHeader(board, false));
+        card.appendChild(createBingoGrid(board));
+        
+        zoomedBoardId = board.id;
+        elements.zoomCard.innerHTML = '';
+        elements.zoomCard.appendChild(card);
+        elements.zoomTitle.textContent = t('qr.title', { id: board.id });
+        elements.zoomModal.style.display = 'block';
+        focusCell(card, 0);
+    }
+
+    function closeBoardZoom() {
+        zoomedBoardId = null;
+        elements.zoomModal.style.display = 'none';
+        elements.zoomCard.innerHTML = '';
+    }
+
+    // ---------- ONE TO GO ----------
+    // Per active pattern: the closest shape and the numbers that would finish it
+    function boardProgress(board) {
+        return BingoPatterns.patternProgress(board.markedCells, activePatterns).map(p => ({
+            ...p,
+            toGo: p.missing.length,
+            numbers: p.finishers.map(i => board.numbers[i])
+        }));
+    }
+
+    function createNearWinBadges(progress) {
+        const badges = document.createElement('span');
+        badges.className = 'near-win-badges';
+        progress.filter(p => p.numbers.length > 0).forEach(p => {
+            const badge = document.createElement('span');
+            badge.className = 'near-win-badge';
+            badge.textContent = `🎯 ${p.numbers.join(' ')}`;
+            badge.title = t('nearWin.badge', {
+                pattern: p.name,
+                numbers: p.numbers.map(BingoCaller.formatCall).join(', ')
+            });
+            badges.appendChild(badge);
+        });
+        return badges;
+    }
+
+    // Repaints the board's badges; `silent` skips the alert (restores, pattern changes)
+    function updateNearWin(board, silent = false) {
+        const progress = boardProgress(board);
+        const numbers = Array.from(new Set([].concat(...progress.map(p => p.numbers)))).sort((a, b) => a - b);
+        
+        const wasClose = oneToGo.has(board.id);
+        if (numbers.length > 0) oneToGo.set(board.id, numbers);
+        else oneToGo.delete(board.id);
+        if (!wasClose && numbers.length > 0 && !silent) queueNearWinAlert(board.id, numbers);
+        
+        const card = findBoardCard(board.id);
+        const badges = card && card.querySelector('.near-win-badges');
+        if (badges) badges.replaceWith(createNearWinBadges(progress));
+        updateMiniCard(board);
+    }
+
+    function refreshNearWins() {
+        selectedBoards.forEach(id => updateNearWin(allBoards[id - 1], true));
+    }
+
+    // Auto-daub can bring several boards close on one call: alert once for all of them
+    function queueNearWinAlert(boardId, numbers) {
+        if (!settings.nearWinAlert) return;
+        if (nearWinAlerts.length === 0) setTimeout(flushNearWinAlerts, 0);
+        nearWinAlerts.push({ boardId, numbers });
+    }
+
+    function flushNearWinAlerts() {
+        const alerts = nearWinAlerts;
+        nearWinAlerts = [];
+        announcer.chime();
+        if (navigator.vibrate) navigator.vibrate([80, 60, 80]);
+        showToast(`🎯 ${alerts.map(a => t('nearWin.needs', {
+            id: a.boardId,
+            numbers: a.numbers.map(BingoCaller.formatCall).join(', ')
+        })).join(' · ')}`);
+    }
+
+    // Selected boards, closest to a win first: [{ boardId, toGo, pattern, numbers }]
+    function rankBoards() {
+        return selectedBoards
+            .map(id => {
+                const progress = boardProgress(allBoards[id - 1]);
+                if (progress.length === 0) return null;
+                const best = progress.reduce((a, b) => (b.toGo < a.toGo ? b : a));
+                return { boardId: id, toGo: best.toGo, pattern: best.name, numbers: best.numbers };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.toGo - b.toGo || a.boardId - b.boardId);
+    }
+
+    function showClosestModal() {
+        renderClosestList();
+        elements.closestModal.style.display = 'block';
+    }
+
+    function renderClosestList() {
+        elements.closestList.innerHTML = '';
+        const ranking = rankBoards();
+        if (ranking.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'session-empty';
+            empty.textContent = t('nearWin.empty');
+            elements.closestList.appendChild(empty);
+            return;
+        }
+        
+        ranking.forEach(entry => {
+            const item = document.createElement('li');
+            const row = document.createElement('button');
+            row.className = 'closest-item';
+            if (entry.toGo === 1) row.classList.add('one-away');
+            
+            const id = document.createElement('span');
+            id.className = 'closest-board';
+            id.textContent = `#${entry.boardId}`;
+            row.appendChild(id);
+            
+            const status = document.createElement('span');
+            status.className = 'closest-status';
+            status.textContent = entry.toGo === 0 ?
+                `🏆 ${t('mini.won')}` :
+                `${t('nearWin.toGo', { count: BingoI18n.formatNumber(entry.toGo) })} · ${entry.pattern}`;
+            row.appendChild(status);
+            
+            const numbers = document.createElement('span');
+            numbers.className = 'closest-numbers';
+            numbers.textContent = entry.numbers.map(BingoCaller.formatCall).join(', ');
+            row.appendChild(numbers);
+            
+            row.addEventListener('click', () => {
+                elements.closestModal.style.display = 'none';
+                revealBoard(entry.boardId);
+            });
+            item.appendChild(row);
+            elements.closestList.appendChild(item);
+        });
+    }
+
+    function revealBoard(id) {
+        if (settings.boardView === 'mini') {
+            openBoardZoom(allBoards[id - 1]);
+            return;
+        }
+        const card = boardCards.get(id);
+        if (card) card.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    // ---------- FOCUS MODE ----------
+    function renderFocusButton() {
+        const label = t(settings.focusMode ? 'view.focusOn' : 'view.focusOff');
+        elements.focusBtn.classList.toggle('active', settings.focusMode);
+        elements.focusBtn.setAttribute('aria-pressed', String(settings.focusMode));
+        elements.focusBtn.title = label;
+        elements.focusBtn.setAttribute('aria-label', label);
+    }
+
+    function toggleFocusMode() {
+        settings.focusMode = !settings.focusMode;
+        renderFocusButton();
+        // Switching off puts the cards back in selection order
+        if (elements.bingoSection.style.display === 'flex') renderAllBoards();
+        saveSettings();
+    }
+
+    // Boards holding `number` move to the front, in selection order
+    function focusOnCall(number) {
+        if (!settings.focusMode) return;
+        const container = elements.boardsContainer;
+        container.querySelectorAll('.board-card.focused').forEach(card => card.classList.remove('focused'));
+        if (number == null) return;
+        
+        let anchor = container.firstChild;
+        if (anchor && anchor.classList.contains('mini-actions')) anchor = anchor.nextSibling;
+        
+        selectedBoards
+            .filter(id => allBoards[id - 1].numbers.includes(number))
+            .forEach(id => {
+                const card = boardCards.get(id);
+                if (!card) return;
+                if (card === anchor) anchor = card.nextSibling;
+                else container.insertBefore(card, anchor);
+                card.classList.add('focused');
+            });
+        container.scrollTop = 0;
+    }
+
+    // ---------- WIN CHECKING ----------
+    // Wins count even for boards whose card is scrolled out of the window.
+    // Each pattern scores once per round, and the first valid win ends it.
+    function checkBingo(board) {
+        if (!acceptsWins()) return;
+        
+        const won = validWins(board)
+            .map(win => recordWinner(board, win))
+            .filter(Boolean);
+        if (won.length === 0) return;
+        
+        board.score += won.length;
+        board.patternScores = board.patternScores || {};
+        won.forEach(winner => {
+            board.patternScores[winner.patternId] = (board.patternScores[winner.patternId] || 0) + 1;
+            queueSyncEvent('claim', {
+                sessionId: currentSession.id,
+                ...winner,
+                markedCells: Array.from(board.markedCells)
+            });
+        });
+        markBoardDirty(board);
+        paintRoundWins(board.id);
+        endRound();
+    }
+
+    // Completed patterns made of called numbers only; with no calls the
+    // caller is not in use (paper game) and every daub counts
+    function validWins(board) {
+        const calls = caller.getCalls();
+        if (calls.length === 0) return BingoPatterns.findWins(board.markedCells, activePatterns);
+        
+        const called = new Set(calls);
+        const cells = new Set(Array.from(board.markedCells)
+            .filter(i => i === FREE_SPACE_INDEX || called.has(board.numbers[i])));
+        return BingoPatterns.findWins(cells, activePatterns);
+    }
+
+    // The new winner record, or null when this round already has it
+    function recordWinner(board, win, extra = {}) {
+        const known = winners.some(w =>
+            w.round === round.number && w.boardId === board.id && w.patternId === win.patternId);
+        if (known) return null;
+        
+        const winner = {
+            round: round.number,
+            boardId: board.id,
+            patternId: win.patternId,
+            pattern: win.name,
+            cells: win.cells,
+            callCount: caller.getCalls().length,
+            at: Date.now(),
+            ...extra
+        };
+        winners.push(winner);
+        return winner;
+    }
+
+    function roundWinners() {
+        return winners.filter(w => w.round === round.number);
+    }
+
+    function roundWins(boardId) {
+        return roundWinners().filter(w => w.boardId === boardId);
+    }
+
+    // Sessions saved before rounds kept only the pattern id
+    function winnerPattern(winner) {
+        const pattern = BingoPatterns.getPattern(winner.patternId);
+        return winner.pattern || (pattern ? pattern.name : winner.patternId);
+    }
+
+    function winTitle(wins) {
+        return wins.length > 0 ? `🏆 ${wins.map(winnerPattern).join(' · ')}` : t('app.title');
+    }
+
+    // Winning cells and title stay lit until the next round starts
+    function paintRoundWins(boardId) {
+        const card = findBoardCard(boardId);
+        if (!card) return;
+        
+        const wins = roundWins(boardId);
+        wins.forEach(w => (w.cells || []).forEach(i => {
+            const cell = getBoardCell(card, i);
+            if (cell) cell.classList.add('winning-cell');
+        }));
+        const title = card.querySelector('.header-center');
+        if (title) {
+            title.textContent = winTitle(wins);
+            title.classList.add('win-flash');
+        }
+    }
+
+    // ---------- ROUND LIFECYCLE ----------
+    function newRound(number) {
+        return { number, state: ROUND_WAITING, startedAt: null, endedAt: null, endCall: null, patternCount: null };
+    }
+
+    // Sessions saved before rounds: a win on the last call had ended the round
+    function restoreRound(session) {
+        if (session.round) return session.round;
+        
+        const restored = newRound(1);
+        const calls = (session.calls || []).length;
+        if (calls === 0) return restored;
+        
+        const lastWin = winners[winners.length - 1];
+        restored.state = ROUND_PLAYING;
+        if (lastWin && lastWin.callCount === calls) {
+            restored.state = ROUND_OVER;
+            restored.endedAt = lastWin.at;
+            restored.endCall = calls;
+        }
+        return restored;
+    }
+
+    function startRound() {
+        if (round.state !== ROUND_WAITING) return;
+        round.state = ROUND_PLAYING;
+        round.startedAt = Date.now();
+    }
+
+    // Boards that complete on the call that ended the round split it
+    function acceptsWins() {
+        if (round.state === ROUND_PLAYING) return true;
+        const calls = caller.getCalls().length;
+        return round.state === ROUND_OVER && calls > 0 && calls === round.endCall;
+    }
+
+    function endRound() {
+        if (round.state !== ROUND_OVER) {
+            round.state = ROUND_OVER;
+            round.endedAt = Date.now();
+            round.endCall = caller.getCalls().length;
+            round.patternCount = activePatterns.length; // The ledger shares its prizes by this
+            stopAutoDraw();
+            maybeShowUpdatePrompt();
+        }
+        announceLive(roundWinners().map(winnerLine).join('. '));
+        showCelebration();
+    }
+
+    // The call that ended the round was taken back: its wins no longer stand
+    function reopenRound() {
+        roundWinners().forEach(winner => {
+            const board = allBoards[winner.boardId - 1];
+            if (!board || winner.player) return; // Room wins never scored here
+            board.score = Math.max(0, board.score - 1);
+            if (board.patternScores && board.patternScores[winner.patternId]) {
+                board.patternScores[winner.patternId]--;
+            }
+            markBoardDirty(board);
+        });
+        winners = winners.filter(w => w.round !== round.number);
+        round.state = ROUND_PLAYING;
+        round.endedAt = null;
+        round.endCall = null;
+        round.patternCount = null;
+        elements.celebrationModal.style.display = 'none';
+        if (selectedBoards.length > 0) renderAllBoards();
+    }
+
+    // New calls mean a new round: daubs and the celebration are cleared too
+    function beginNextRound() {
+        if (round.state !== ROUND_WAITING) round = newRound(round.number + 1);
+        selectedBoards.forEach(id => {
+            const board = allBoards[id - 1];
+            if (!board || board.markedCells.size <= 1) return;
+            board.markedCells = new Set([FREE_SPACE_INDEX]);
+            markBoardDirty(board);
+        });
+        elements.celebrationModal.style.display = 'none';
+        if (selectedBoards.length > 0) renderAllBoards();
+    }
+
+    // A finished round takes no more calls until a new one starts
+    function drawBlocked() {
+        if (round.state !== ROUND_OVER) return false;
+        stopAutoDraw();
+        showToast(t('round.drawBlocked'), 'error');
+        return true;
+    }
+
+    // ---------- CELEBRATION ----------
+    function showCelebration() {
+        renderCelebration();
+        elements.celebrationModal.style.display = 'block';
+    }
+
+    function renderCelebration() {
+        const current = round.state === ROUND_OVER ? roundWinners() : [];
+        elements.celebrationTitle.textContent = round.state === ROUND_OVER ?
+            t('round.over', { number: BingoI18n.formatNumber(round.number) }) :
+            `🥇 ${t('round.winners')}`;
+        elements.celebrationSummary.textContent = current.length > 1 ?
+            t('round.split', { count: BingoI18n.formatNumber(current.length) }) : '';
+        
+        elements.celebrationBoards.innerHTML = '';
+        current.forEach(winner => elements.celebrationBoards.appendChild(createWinnerCard(winner)));
+        elements.newRoundBtn.hidden = isNetPlayer() || round.state !== ROUND_OVER;
+        renderWinnersList();
+    }
+
+    function winnerLine(winner) {
+        const line = t('round.winner', {
+            id: winner.boardId,
+            pattern: winnerPattern(winner),
+            calls: BingoI18n.formatNumber(winner.callCount),
+            time: BingoI18n.formatDate(winner.at, { timeStyle: 'short' })
+        });
+        return winner.player ? `${line} · ${winner.player}` : line;
+    }
+
+    // Read-only kartela with the winning shape lit
+    function createWinnerCard(winner) {
+        const item = document.createElement('div');
+        item.className = 'celebration-board';
+        
+        const caption = document.createElement('p');
+        caption.className = 'celebration-caption';
+        caption.textContent = winnerLine(winner);
+        item.appendChild(caption);
+        
+        const board = allBoards[winner.boardId - 1];
+        if (!board) return item;
+        
+        // Someone else's board in a room: only its winning cells are known
+        const shown = selectedBoards.includes(board.id) ? board :
+            { ...board, markedCells: new Set(winner.cells || []) };
+        const grid = createBingoGrid(shown, true);
+        grid.classList.add('verify-card');
+        (winner.cells || []).forEach(i => getBoardCell(grid, i).classList.add('winning-cell'));
+        item.appendChild(grid);
+        return item;
+    }
+
+    // Every round's winners, newest first
+    function renderWinnersList() {
+        elements.winnersList.innerHTML = '';
+        if (winners.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'session-empty';
+            empty.textContent = t('round.none');
+            elements.winnersList.appendChild(empty);
+            return;
+        }
+        
+        [...winners].reverse().forEach(winner => {
+            const item = document.createElement('li');
+            item.className = 'winners-item';
+            const roundLabel = t('round.historyRow', { number: BingoI18n.formatNumber(winner.round) });
+            item.textContent = `${roundLabel} · ${winnerLine(winner)}`;
+            elements.winnersList.appendChild(item);
+        });
+    }
+
+    // ---------- PRINTED KARTELAS ----------
+    function showPrintModal() {
+        elements.printRangeInput.value = selectedBoards.length > 0 ?
+            selectedBoards.join(',') :
+            `1-${deckSize()}`;
+        elements.printError.textContent = '';
+        elements.printModal.style.display = 'block';
+        elements.printRangeInput.focus();
+    }
+
+    function printSheets() {
+        let ids;
+        try {
+            ids = parseBoardList(elements.printRangeInput.value);
+        } catch (error) {
+            elements.printError.textContent = error.message;
+            return;
+        }
+        
+        renderPrintSheets(ids, parseInt(elements.printPerPageSelect.value, 10));
+        elements.printModal.style.display = 'none';
+        document.documentElement.classList.add('printing-sheets');
+        window.print();
+    }
+
+    function renderPrintSheets(ids, perPage) {
+        elements.printSheets.innerHTML = '';
+        for (let i = 0; i < ids.length; i += perPage) {
+            const page = document.createElement('div');
+            page.className = `print-page per-${perPage}`;
+            ids.slice(i, i + perPage).forEach(id => page.appendChild(createPrintCard(id)));
+            elements.printSheets.appendChild(page);
+        }
+    }
+
+    // Same grid as on screen, unmarked, with the seed and checksum to match it
+    function createPrintCard(id) {
+        const board = allBoards[id - 1];
+        const paper = { ...board, markedCells: new Set([FREE_SPACE_INDEX]) };
+        
+        const card = document.createElement('div');
+        card.className = 'print-card';
+        
+        const header = document.createElement('div');
+        header.className = 'print-card-header';
+        const number = document.createElement('span');
+        number.className = 'print-card-number';
+        number.textContent = id;
+        const title = document.createElement('span');
+        title.textContent = t('app.title');
+        const qr = document.createElement('span');
+        qr.className = 'print-card-qr';
+        qr.innerHTML = boardQrSvg(board);
+        header.appendChild(number);
+        header.appendChild(title);
+        header.appendChild(qr);
+        
+        const footer = document.createElement('div');
+        footer.className = 'print-card-footer';
+        const seed = document.createElement('span');
+        seed.textContent = board.deckSeed;
+        const checksum = document.createElement('span');
+        checksum.textContent = BingoDeck.cardChecksum(board.deckSeed, id, board.numbers);
+        footer.appendChild(seed);
+        footer.appendChild(checksum);
+        
+        card.appendChild(header);
+        card.appendChild(createBingoGrid(paper, true));
+        card.appendChild(footer);
+        return card;
+    }
+
+    function clearPrintSheets() {
+        document.documentElement.classList.remove('printing-sheets');
+        elements.printSheets.innerHTML = '';
+    }
+
+    // ---------- KARTELA QR CODES ----------
+    function boardQrText(board) {
+        return `${QR_PREFIX}/${board.id}/${board.deckSeed}`;
+    }
+
+    function parseBoardQr(text) {
+        const match = new RegExp(`^${QR_PREFIX}/(\\d+)/(.+)$`).exec(text);
+        if (!match) return null;
+        const boardId = parseInt(match[1], 10);
+        if (boardId < 1 || boardId > MAX_BOARDS) return null;
+        return { boardId, deckSeed: match[2] };
+    }
+
+    function boardQrSvg(board, margin = 2) {
+        const text = boardQrText(board);
+        const key = `${margin}:${text}`;
+        if (!qrCache.has(key)) {
+            qrCache.set(key, BingoQR.toSvg(BingoQR.encode(text), { margin }));
+        }
+        return qrCache.get(key);
+    }
+
+    function showQrModal(board) {
+        elements.qrTitle.textContent = t('qr.title', { id: board.id });
+        elements.qrLarge.innerHTML = boardQrSvg(board, 4);
+        elements.qrCaption.textContent = `${board.deckSeed} · ${BingoDeck.cardChecksum(board.deckSeed, board.id, board.numbers)}`;
+        elements.qrModal.style.display = 'block';
+    }
+
+    // Camera scanner: the native BarcodeDetector when there is one,
+    // otherwise BingoQR decodes the frames itself
+    async function openScanner() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            showToast(t('scan.unsupported'), 'error');
+            return;
+        }
+        
+        elements.scanStatus.textContent = t('scan.looking');
+        elements.scanModal.style.display = 'block';
+        try {
+            scanStream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+            elements.scanVideo.srcObject = scanStream;
+            await elements.scanVideo.play();
+        } catch (error) {
+            console.error('Camera unavailable:', error);
+            elements.scanStatus.textContent = t('scan.noCamera');
+            closeScanner(false);
+            return;
+        }
+        
+        let detector = null;
+        if ('BarcodeDetector' in window) {
+            try {
+                detector = new BarcodeDetector({ formats: ['qr_code'] });
+            } catch (error) {
+                detector = null;
+            }
+        }
+        scanFrame(detector, document.createElement('canvas'));
+    }
+
+    async function scanFrame(detector, canvas) {
+        if (!scanStream) return;
+        const video = elements.scanVideo;
+        let text = null;
+        
+        if (video.videoWidth > 0) {
+            try {
+                if (detector) {
+                    const codes = await detector.detect(video);
+                    text = codes.length > 0 ? codes[0].rawValue : null;
+                } else {
+                    // Downscale: plenty for a card held up to the camera, and fast
+                    const scale = Math.min(1, 480 / Math.max(video.videoWidth, video.videoHeight));
+                    canvas.width = Math.round(video.videoWidth * scale);
+                    canvas.height = Math.round(video.videoHeight * scale);
+                    const context = canvas.getContext('2d', { willReadFrequently: true });
+                    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                    text = BingoQR.decodeImage(context.getImageData(0, 0, canvas.width, canvas.height));
+                }
+            } catch (error) {
+                console.warn('Native QR detection failed, decoding frames instead:', error);
+                detector = null;
+            }
+        }
+        
+        if (text) handleScannedText(text);
+        if (scanStream) scanTimer = setTimeout(() => scanFrame(detector, canvas), 250);
+    }
+
+    // Keeps scanning, so a stack of paper cards can be added one after another
+    function handleScannedText(text) {
+        const scanned = parseBoardQr(text);
+        if (!scanned) {
+            elements.scanStatus.textContent = t('scan.notKartela');
+        } else if (scanned.deckSeed !== deckSeed) {
+            elements.scanStatus.textContent = t('scan.otherDeck', { id: scanned.boardId, seed: scanned.deckSeed });
+        } else if (scanned.boardId > deckSize()) {
+            elements.scanStatus.textContent = t('scan.notKartela');
+        } else if (takenBoards.has(scanned.boardId)) {
+            elements.scanStatus.textContent = t('scan.taken', { id: scanned.boardId });
+        } else if (!pendingSelected.has(scanned.boardId) && boardsLeft() === 0) {
+            elements.scanStatus.textContent = t('selection.limitReached', { limit: boardLimit });
+        } else if (!pendingSelected.has(scanned.boardId)) {
+            pendingSelected.add(scanned.boardId);
+            renderChips();
+            validateInput();
+            elements.scanStatus.textContent = t('scan.added', { id: scanned.boardId });
+            if (navigator.vibrate) navigator.vibrate(80);
+        }
+    }
+
+    function closeScanner(hide = true) {
+        clearTimeout(scanTimer);
+        scanTimer = null;
+        if (scanStream) {
+            scanStream.getTracks().forEach(track => track.stop());
+            scanStream = null;
+        }
+        elements.scanVideo.srcObject = null;
+        if (hide) elements.scanModal.style.display = 'none';
+    }
+
+    // ---------- CLAIM VERIFICATION ----------
+    /**
+     * Checks board `id` against the call history. Boards played on this
+     * device are judged on their daubs; any other id is treated as a
+     * paper kartela where every called number counts.
+     */
+    function verifyBoard(id, markedCells = undefined) {
+        const board = allBoards[id - 1];
+        if (!board) return null;
+        
+        if (markedCells === undefined) {
+            markedCells = selectedBoards.includes(id) ? board.markedCells : null;
+        }
+        return BingoPatterns.verifyClaim({
+            numbers: board.numbers,
+            calls: caller.getCalls(),
+            markedCells,
+            patternIds: activePatterns
+        });
+    }
+
+    function showVerifyModal() {
+        elements.verifyBoardInput.value = '';
+        elements.verifyResult.innerHTML = '';
+        elements.verifyModal.style.display = 'block';
+        elements.verifyBoardInput.focus();
+    }
+
+    function checkClaim() {
+        const id = parseInt(elements.verifyBoardInput.value, 10);
+        elements.verifyResult.innerHTML = '';
+        
+        const result = isNaN(id) ? null : verifyBoard(id);
+        if (!result) {
+            elements.verifyResult.textContent = t('verify.range', { min: 1, max: deckSize() });
+            return;
+        }
+        
+        const board = allBoards[id - 1];
+        const summary = document.createElement('p');
+        summary.className = `verify-summary ${result.valid ? 'valid' : 'invalid'}`;
+        if (!result.valid) {
+            summary.textContent = t('verify.invalid', { id });
+        } else if (result.winningNumber === null) {
+            summary.textContent = t('verify.valid', { id, pattern: result.win.name });
+        } else {
+            summary.textContent = t('verify.validAt', {
+                id,
+                pattern: result.win.name,
+                call: BingoCaller.formatCall(result.winningNumber),
+                count: result.completedAtCall
+            });
+        }
+        elements.verifyResult.appendChild(summary);
+        
+        if (result.misDaubed.length > 0) {
+            const mis = document.createElement('p');
+            mis.className = 'verify-detail';
+            mis.textContent = t('verify.misDaubed', {
+                calls: result.misDaubed.map(c => BingoCaller.formatCall(c.number)).join(', ')
+            });
+            elements.verifyResult.appendChild(mis);
+        }
+        
+        // Read-only card: called cells daubed, mistakes and win highlighted
+        const called = new Set(caller.getCalls());
+        const preview = {
+            ...board,
+            markedCells: new Set(board.numbers
+                .map((n, i) => (n === BingoDeck.FREE || called.has(n) ? i : -1))
+                .filter(i => i !== -1))
+        };
+        const grid = createBingoGrid(preview, true);
+        grid.classList.add('verify-card');
+        result.misDaubed.forEach(c => getBoardCell(grid, c.index).classList.add('mis-daub'));
+        if (result.win) {
+            result.win.cells.forEach(i => getBoardCell(grid, i).classList.add('winning-cell'));
+        }
+        elements.verifyResult.appendChild(grid);
+    }
+
+    // ---------- PATTERN SELECTION ----------
+    function showPatternsModal() {
+        renderPatternList();
+        renderMaskEditor();
+        elements.patternsModal.style.display = 'block';
+    }
+
+    function renderPatternList() {
+        elements.patternList.innerHTML = '';
+        
+        BingoPatterns.listPatterns().forEach(pattern => {
+            const item = document.createElement('label');
+            item.className = 'pattern-item';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = activePatterns.includes(pattern.id);
+            checkbox.addEventListener('change', () => togglePattern(pattern.id, checkbox));
+            item.appendChild(checkbox);
+            
+            item.appendChild(createPatternPreview(pattern.shapes[0]));
+            
+            const name = document.createElement('span');
+            name.className = 'pattern-name';
+            name.textContent = pattern.name;
+            item.appendChild(name);
+            
+            if (pattern.custom) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'chip-remove';
+                removeBtn.textContent = '✕';
+                removeBtn.setAttribute('aria-label', t('patterns.remove', { name: pattern.name }));
+                removeBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    BingoPatterns.removePattern(pattern.id);
+                    activePatterns = activePatterns.filter(id => id !== pattern.id);
+                    if (activePatterns.length === 0) activePatterns = [...BingoPatterns.DEFAULT_PATTERNS];
+                    sendRoomPatterns();
+                    renderPatternList();
+                    refreshNearWins();
+                    saveGameState();
+                });
+                item.appendChild(removeBtn);
+            }
+            
+            elements.patternList.appendChild(item);
+        });
+    }
+
+    function togglePattern(id, checkbox) {
+        if (checkbox.checked) {
+            activePatterns.push(id);
+        } else if (activePatterns.length > 1) {
+            activePatterns = activePatterns.filter(p => p !== id);
+        } else {
+            // A round needs at least one pattern
+            checkbox.checked = true;
+            return;
+        }
+        sendRoomPatterns();
+        refreshNearWins();
+        saveGameState();
+    }
+
+    function createPatternPreview(shape) {
+        const preview = document.createElement('span');
+        preview.className = 'pattern-preview';
+        for (let i = 0; i < 25; i++) {
+            const dot = document.createElement('span');
+            if (shape.includes(i)) dot.className = 'on';
+            preview.appendChild(dot);
+        }
+        return preview;
+    }
+
+    function renderMaskEditor() {
+        elements.maskEditor.innerHTML = '';
+        for (let i = 0; i < 25; i++) {
+            const cell = document.createElement('button');
+            cell.className = 'mask-cell';
+            cell.classList.toggle('on', maskDraft.has(i));
+            cell.setAttribute('aria-label', `${BINGO_RANGES[i % 5].letter}${Math.floor(i / 5) + 1}`);
+            cell.setAttribute('aria-pressed', String(maskDraft.has(i)));
+            cell.addEventListener('click', () => {
+                if (maskDraft.has(i)) maskDraft.delete(i);
+                else maskDraft.add(i);
+                cell.classList.toggle('on', maskDraft.has(i));
+                cell.setAttribute('aria-pressed', String(maskDraft.has(i)));
+            });
+            elements.maskEditor.appendChild(cell);
+        }
+    }
+
+    function addCustomPattern() {
+        const mask = [];
+        for (let i = 0; i < 25; i++) mask.push(maskDraft.has(i));
+        
+        try {
+            const pattern = BingoPatterns.defineCustomPattern(elements.customPatternName.value.trim(), mask);
+            if (!activePatterns.includes(pattern.id)) activePatterns.push(pattern.id);
+        } catch (error) {
+            if (!(error instanceof BingoPatterns.PatternError)) throw error;
+            showToast(t(`patternError.${error.code}`, error.params), 'error');
+            return;
+        }
+        
+        maskDraft = new Set();
+        elements.customPatternName.value = '';
+        sendRoomPatterns();
+        renderPatternList();
+        renderMaskEditor();
+        refreshNearWins();
+        saveGameState();
+    }
+
+    // ---------- NUMBER CALLER ----------
+    function callNextNumber() {
+        if (isNetPlayer()) return; // Only the room host calls
+        if (drawBlocked()) return;
+        
+        const number = caller.draw();
+        if (number === null) {
+            // All 75 numbers are out
+            stopAutoDraw();
+            return;
+        }
+        
+        if (isNetHost()) net.send({ type: 'call', number });
+        queueSessionEvent('call', { number });
+        applyCall(number);
+    }
+
+    function applyCall(number) {
+        startRound();
+        announcer.announce(number);
+        announceLive(t('a11y.called', {
+            call: BingoCaller.formatCall(number),
+            count: BingoI18n.formatNumber(caller.getCalls().length)
+        }));
+        renderCaller();
+        daubCalledNumber(number);
+        focusOnCall(number);
+        saveGameState();
+        if (caller.isComplete()) maybeShowUpdatePrompt();
+    }
+
+    function undoLastCall() {
+        if (isNetPlayer()) return;
+        
+        const number = caller.undo();
+        if (number !== null) {
+            if (isNetHost()) net.send({ type: 'undo' });
+            queueSessionEvent('undo', { number });
+            applyUndo(number);
+        }
+    }
+
+    function applyUndo(number) {
+        if (round.state === ROUND_OVER && caller.getCalls().length < round.endCall) reopenRound();
+        renderCaller();
+        undaubNumber(number);
+        focusOnCall(caller.current());
+        saveGameState();
+    }
+
+    function resetCaller() {
+        if (isNetPlayer()) return;
+        if (caller.getCalls().length > 0 && !confirm(t('round.confirmNew'))) return;
+        
+        if (isNetHost()) net.send({ type: 'reset', ...roomPatterns() });
+        queueSessionEvent('reset');
+        applyReset();
+    }
+
+    function applyReset() {
+        stopAutoDraw();
+        const calls = caller.getCalls();
+        if (calls.length > 0) {
+            pastRounds.push({
+                number: round.number,
+                calls,
+                endedAt: round.endedAt || Date.now(),
+                patternCount: round.patternCount || activePatterns.length
+            });
+        }
+        caller.reset();
+        beginNextRound();
+        renderCaller();
+        refreshCallHints();
+        focusOnCall(null);
+        saveGameState();
+        maybeShowUpdatePrompt();
+    }
+
+    function toggleAutoDraw() {
+        if (autoDrawTimer) {
+            stopAutoDraw();
+        } else {
+            startAutoDraw();
+        }
+    }
+
+    function startAutoDraw() {
+        if (autoDrawTimer || caller.isComplete() || drawBlocked()) return;
+        
+        autoDrawTimer = setInterval(callNextNumber, autoDrawInterval);
+        renderAutoDrawButton();
+    }
+
+    function stopAutoDraw() {
+        clearInterval(autoDrawTimer);
+        autoDrawTimer = null;
+        renderAutoDrawButton();
+    }
+
+    function renderAutoDrawButton() {
+        const label = t(autoDrawTimer ? 'caller.autoPause' : 'caller.autoStart');
+        elements.callerAutoBtn.textContent = autoDrawTimer ? '⏸' : '▶';
+        elements.callerAutoBtn.title = label;
+        elements.callerAutoBtn.setAttribute('aria-label', label);
+    }
+
+    function renderCaller() {
+        const current = caller.current();
+        const calls = caller.getCalls();
+        
+        elements.callerCurrent.textContent = BingoCaller.formatCall(current);
+        elements.callerCount.textContent =
+            `${BingoI18n.formatNumber(calls.length)}/${BingoI18n.formatNumber(BingoCaller.TOTAL_NUMBERS)}`;
+        elements.callerUndoBtn.disabled = calls.length === 0;
+        elements.callerIntervalSelect.value = String(autoDrawInterval);
+        
+        // History strip: one row per letter, numbers in call order
+        const groups = caller.historyByLetter();
+        elements.callerHistory.innerHTML = '';
+        BINGO_RANGES.forEach(range => {
+            const row = document.createElement('div');
+            row.className = 'caller-history-row';
+            
+            const letter = document.createElement('span');
+            letter.className = 'caller-history-letter';
+            letter.textContent = range.letter;
+            row.appendChild(letter);
+            
+            groups[range.letter].forEach(n => {
+                const ball = document.createElement('span');
+                ball.className = 'caller-ball';
+                if (n === current) ball.classList.add('latest');
+                ball.textContent = n;
+                row.appendChild(ball);
+            });
+            
+            elements.callerHistory.appendChild(row);
+        });
+    }
+
+    // ---------- VOICE CALLER ----------
+    function showVoiceModal() {
+        elements.voiceVolumeInput.value = settings.volume;
+        renderVoiceOptions();
+        elements.voiceModal.style.display = 'block';
+    }
+
+    function renderVoiceOptions() {
+        elements.voiceSelect.innerHTML = '';
+        const options = [
+            { value: BingoVoice.AUTO_VOICE, label: t('voice.auto') },
+            ...(announcer.hasClips() ? [{ value: BingoVoice.CLIPS_VOICE, label: t('voice.clips') }] : []),
+            ...announcer.listVoices().map(v => ({ value: v.voiceURI, label: `${v.name} (${v.lang})` }))
+        ];
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            elements.voiceSelect.appendChild(option);
+        });
+        // A saved voice this device doesn't have falls back to automatic
+        elements.voiceSelect.value = options.some(o => o.value === settings.voice) ? settings.voice : BingoVoice.AUTO_VOICE;
+    }
+
+    // ---------- AUTO-DAUB ----------
+    function renderDaubModeButton() {
+        const info = DAUB_MODES.find(m => m.id === daubMode);
+        elements.daubModeBtn.textContent = info.icon;
+        elements.daubModeBtn.title = t(info.labelKey);
+        elements.daubModeBtn.setAttribute('aria-label', t(info.labelKey));
+    }
+
+    function cycleDaubMode() {
+        const index = DAUB_MODES.findIndex(m => m.id === daubMode);
+        setDaubMode(DAUB_MODES[(index + 1) % DAUB_MODES.length].id);
+        saveGameState();
+    }
+
+    function setDaubMode(mode) {
+        daubMode = DAUB_MODES.some(m => m.id === mode) ? mode : 'off';
+        renderDaubModeButton();
+        
+        // Catch up on numbers called before auto-daub was switched on
+        if (daubMode === 'auto') {
+            caller.getCalls().forEach(daubCalledNumber);
+        }
+        refreshCallHints();
+    }
+
+    // Marks `number` on every selected board through the manual tap path
+    function daubCalledNumber(number) {
+        forEachSelectedCell(number, (board, index, card, cell) => {
+            if (daubMode === 'auto') {
+                if (!board.markedCells.has(index)) {
+                    toggleCell(cell, board, index, card);
+                }
+            } else if (cell) {
+                updateCellHint(cell, board, index);
+            }
+        });
+    }
+
+    // Reverses an auto-daub when its call is undone
+    function undaubNumber(number) {
+        forEachSelectedCell(number, (board, index, card, cell) => {
+            if (daubMode === 'auto' && board.markedCells.has(index)) {
+                toggleCell(cell, board, index, card);
+            } else if (cell) {
+                updateCellHint(cell, board, index);
+            }
+        });
+    }
+
+    function forEachSelectedCell(number, callback) {
+        selectedBoards.forEach(id => {
+            const board = allBoards[id - 1];
+            if (!board) return;
+            
+            const index = board.numbers.indexOf(number);
+            if (index === -1) return;
+            
+            const card = findBoardCard(id);
+            callback(board, index, card, card ? getBoardCell(card, index) : null);
+        });
+    }
+
+    // Assist mode: outline called-but-unmarked cells, leave the tap to the player
+    // Colour, a ✓ and aria-selected all say "marked" (gridcells take
+    // aria-selected where a button would take aria-pressed)
+    function paintCellMark(cell, marked) {
+        cell.classList.toggle('selected', marked);
+        cell.setAttribute('aria-selected', String(marked));
+    }
+
+    function updateCellHint(cell, board, index) {
+        const hinted = daubMode === 'assist' &&
+            !board.markedCells.has(index) &&
+            caller.hasCalled(board.numbers[index]);
+        cell.classList.toggle('called-hint', hinted);
+    }
+
+    function refreshCallHints() {
+        selectedBoards.forEach(id => {
+            const board = allBoards[id - 1];
+            const card = findBoardCard(id);
+            if (!board || !card) return;
+            
+            for (let i = 0; i < 25; i++) {
+                if (i === FREE_SPACE_INDEX) continue;
+                const cell = getBoardCell(card, i);
+                if (cell) updateCellHint(cell, board, i);
+            }
+        });
+    }
+
+    // The full-size card of a board: the zoomed one while the compact view has it open
+    function findBoardCard(id) {
+        if (id === zoomedBoardId) return elements.zoomCard.firstChild;
+        return boardCards.get(id) || null;
+    }
+
+    function getBoardCell(card, index) {
+        return card.querySelector(`.bingo-cell[data-index="${index}"]`);
+    }
+
+    // ---------- MULTIPLAYER (LAN room) ----------
+    function isNetHost() {
+        return Boolean(net) && netRoom.role === 'host';
+    }
+
+    function isNetPlayer() {
+        return Boolean(net) && netRoom.role === 'player';
+    }
+
+    function showNetModal() {
+        elements.netServerInput.value = (netRoom && netRoom.url) || BingoNet.defaultServerUrl(location);
+        elements.netNameInput.value = (netRoom && netRoom.name) || '';
+        elements.netCodeInput.value = (netRoom && netRoom.code) || '';
+        renderNetStatus(net ? 'open' : 'closed');
+        elements.netModal.style.display = 'block';
+    }
+
+    function joinRoom(role) {
+        const code = elements.netCodeInput.value.trim().toUpperCase();
+        if (role === 'player' && !code) {
+            showToast(t('net.needCode'), 'error');
+            return;
+        }
+        
+        if (net) net.close();
+        netRoom = {
+            role,
+            url: elements.netServerInput.value.trim() || BingoNet.defaultServerUrl(location),
+            code: role === 'player' ? code : null,
+            name: elements.netNameInput.value.trim() || t('net.defaultName'),
+            playerId: null,
+            hostToken: null,
+            playerToken: null
+        };
+        connectRoom();
+    }
+
+    function connectRoom() {
+        try {
+            net = BingoNet.connect(netRoom.url, {
+                onOpen: sendRoomHello,
+                onMessage: handleNetMessage,
+                onStatus: renderNetStatus
+            });
+        } catch (error) {
+            net = null;
+            console.warn('Could not connect:', error.message);
+            showToast(`⚠️ ${t('netError.unsupported')}`, 'error');
+        }
+        updateNetControls();
+    }
+
+    // Server errors carry a code; one this version does not know gets a general line
+    function netErrorText(msg) {
+        const key = `netError.${msg.code}`;
+        return t(Object.prototype.hasOwnProperty.call(BingoI18n.CATALOGS.en, key) ? key : 'netError.unknown', msg.params);
+    }
+
+    // Sent on every (re)connect so the server restores our seat and boards
+    function sendRoomHello() {
+        if (netRoom.role === 'host') {
+            net.send({
+                type: 'host',
+                code: netRoom.code,
+                hostToken: netRoom.hostToken,
+                deckSeed,
+                ...roomPatterns(),
+                calls: caller.getCalls(),
+                boardLimit
+            });
+        } else {
+            net.send({
+                type: 'join',
+                code: netRoom.code,
+                name: netRoom.name,
+                playerId: netRoom.playerId,
+                playerToken: netRoom.playerToken
+            });
+        }
+        if (selectedBoards.length > 0) net.send({ type: 'reserve', boards: selectedBoards });
+    }
+
+    function leaveRoom() {
+        if (net) {
+            net.send({ type: 'leave' });
+            net.close();
+        }
+        net = null;
+        netRoom = null;
+        takenBoards = new Set();
+        updateNetControls();
+        renderNetStatus('closed');
+        saveGameState();
+    }
+
+    function handleNetMessage(msg) {
+        switch (msg.type) {
+            case 'room-created':
+            case 'joined':
+                netRoom.code = msg.code;
+                netRoom.playerId = msg.playerId;
+                if (msg.hostToken) netRoom.hostToken = msg.hostToken;
+                if (msg.playerToken) netRoom.playerToken = msg.playerToken;
+                if (netRoom.role === 'player') syncFromRoom(msg);
+                takenBoards = new Set(msg.taken.filter(id => !selectedBoards.includes(id)));
+                renderNetStatus('open');
+                saveGameState();
+                break;
+            case 'taken':
+                takenBoards = new Set(msg.taken.filter(id => !selectedBoards.includes(id)));
+                validateInput();
+                if (elements.selectionSection.style.display === 'flex') renderBoardPicker();
+                break;
+            case 'reserved': {
+                const overLimit = msg.overLimit || [];
+                if (msg.rejected.length > 0 || overLimit.length > 0) {
+                    selectedBoards = selectedBoards.filter(id => !msg.rejected.includes(id) && !overLimit.includes(id));
+                    if (msg.rejected.length > 0) {
+                        showToast(t('net.taken', { list: msg.rejected.map(id => `#${id}`).join(', ') }), 'error');
+                    }
+                    if (overLimit.length > 0) {
+                        showToast(`⚠️ ${t('selection.limitReached', { limit: boardLimit })}: ${overLimit.map(id => `#${id}`).join(', ')}`, 'error');
+                    }
+                    renderAllBoards();
+                    saveGameState();
+                }
+                break;
+            }
+            case 'limit':
+                if (netRoom.role === 'player') {
+                    boardLimit = msg.boardLimit;
+                    elements.boardLimitInput.value = boardLimit;
+                    validateInput();
+                }
+                break;
+            case 'called':
+                if (netRoom.role === 'player') {
+                    caller = BingoCaller.createCaller({ calls: msg.calls });
+                    applyCall(msg.number);
+                }
+                break;
+            case 'uncalled':
+                if (netRoom.role === 'player') {
+                    caller = BingoCaller.createCaller({ calls: msg.calls });
+                    applyUndo(msg.number);
+                }
+                break;
+            case 'reset':
+                if (netRoom.role === 'player') {
+                    setRoomPatterns(msg.patterns, msg.customPatterns);
+                    applyReset();
+                }
+                break;
+            case 'patterns':
+                if (netRoom.role === 'player') setRoomPatterns(msg.patterns, msg.customPatterns);
+                break;
+            case 'claim':
+                adjudicateClaim(msg);
+                break;
+            case 'claim-result':
+                showToast(msg.valid ?
+                    t('net.claimWon', { id: msg.boardId, pattern: msg.pattern }) :
+                    t('net.claimRejected', { id: msg.boardId }), msg.valid ? 'info' : 'error');
+                break;
+            case 'winner':
+                showToast(t('net.winner', { name: msg.name, id: msg.boardId, pattern: msg.pattern }));
+                recordRoomWinner(msg);
+                break;
+            case 'player-joined':
+                if (netRoom.role === 'host') showToast(t('net.playerJoined', { name: msg.name }));
+                break;
+            case 'player-left':
+                if (netRoom.role === 'host') showToast(t('net.playerLeft', { name: msg.name }));
+                break;
+            case 'room-closed':
+                showToast(t('net.roomClosed'), 'error');
+                leaveRoom();
+                break;
+            case 'error':
+                console.warn('Room error:', msg.message);
+                showToast(`⚠️ ${netErrorText(msg)}`, 'error');
+                if (msg.request === 'join' || msg.request === 'host') leaveRoom();
+                break;
+        }
+    }
+
+    // Players follow the host's deck, patterns and call sequence
+    function syncFromRoom(snapshot) {
+        if (snapshot.deckSeed !== deckSeed) {
+            deckSeed = snapshot.deckSeed;
+            generateDeckBoards();
+        }
+        setRoomPatterns(snapshot.patterns, snapshot.customPatterns);
+        boardLimit = snapshot.boardLimit || 0;
+        caller = BingoCaller.createCaller({ calls: snapshot.calls });
+        renderCaller();
+        if (selectedBoards.length > 0) renderAllBoards();
+        caller.getCalls().forEach(daubCalledNumber);
+    }
+
+    // The host's active patterns, with the masks of its custom ones
+    function roomPatterns() {
+        return {
+            patterns: activePatterns,
+            customPatterns: activePatterns
+                .map(id => BingoPatterns.getPattern(id))
+                .filter(pattern => pattern && pattern.custom)
+                .map(pattern => ({ name: pattern.name, mask: pattern.mask }))
+        };
+    }
+
+    function sendRoomPatterns() {
+        if (isNetHost()) net.send({ type: 'patterns', ...roomPatterns() });
+    }
+
+    // Player side: define the host's custom patterns, then follow its choice
+    function setRoomPatterns(patterns, customPatterns = []) {
+        customPatterns.forEach(pattern => {
+            try {
+                BingoPatterns.defineCustomPattern(pattern.name, pattern.mask);
+            } catch (error) {
+                console.error('Skipping invalid room pattern:', error);
+            }
+        });
+        const known = (patterns || []).filter(id => BingoPatterns.getPattern(id));
+        activePatterns = known.length > 0 ? known : [...BingoPatterns.DEFAULT_PATTERNS];
+        refreshNearWins();
+    }
+
+    // Host side: judge a player's claim with the same check the 🔎 modal uses
+    function adjudicateClaim(claim) {
+        const result = verifyBoard(claim.boardId, new Set(claim.markedCells));
+        if (!result) return;
+        
+        net.send({
+            type: 'verdict',
+            claimId: claim.claimId,
+            valid: result.valid,
+            pattern: result.win ? result.win.name : null,
+            winningNumber: result.winningNumber
+        });
+        const params = { name: claim.name, id: claim.boardId };
+        showToast(result.valid ?
+            t('net.verdictValid', { ...params, pattern: result.win.name }) :
+            t('net.verdictInvalid', params), result.valid ? 'info' : 'error');
+    }
+
+    // The host accepted a claim: the room's round is over on every device.
+    // The board is checked as a paper card, every called number daubed.
+    function recordRoomWinner(msg) {
+        const result = verifyBoard(msg.boardId, null);
+        if (!result || !result.valid) return;
+        
+        startRound();
+        if (!acceptsWins()) return;
+        const winner = recordWinner(allBoards[msg.boardId - 1], result.win, { player: msg.name });
+        if (!winner) return;
+        paintRoundWins(winner.boardId);
+        endRound();
+        saveGameState();
+    }
+
+    // Player side: claim every selected board that shows a completed pattern
+    function sendClaims() {
+        if (!isNetPlayer()) return;
+        
+        const claims = selectedBoards
+            .map(id => allBoards[id - 1])
+            .filter(board => board && BingoPatterns.findWin(board.markedCells, activePatterns));
+        if (claims.length === 0) {
+            showToast(t('net.noClaim'), 'error');
+            return;
+        }
+        claims.forEach(board => {
+            net.send({
+                type: 'claim',
+                boardId: board.id,
+                markedCells: Array.from(board.markedCells)
+            });
+            queueSyncEvent('claim', {
+                sessionId: currentSession.id,
+                room: netRoom.code,
+                boardId: board.id,
+                callCount: caller.getCalls().length,
+                markedCells: Array.from(board.markedCells),
+                at: Date.now()
+            });
+        });
+        showToast(t('net.claimSent', { list: claims.map(b => `#${b.id}`).join(', ') }));
+    }
+
+    function updateNetControls() {
+        elements.callerPanel.classList.toggle('net-player', isNetPlayer());
+        elements.claimBtn.hidden = !isNetPlayer();
+        elements.netLeaveBtn.hidden = !net;
+        if (isNetPlayer()) stopAutoDraw();
+    }
+
+    function renderNetStatus(status) {
+        const labels = {
+            connecting: t('net.connecting'),
+            open: netRoom && netRoom.code ?
+                t(netRoom.role === 'host' ? 'net.hosting' : 'net.joined', { code: netRoom.code }) : t('net.connected'),
+            reconnecting: t('net.reconnecting'),
+            closed: t('net.closed')
+        };
+        elements.netStatus.textContent = labels[status] || status;
+        elements.netBtn.classList.toggle('active', status === 'open');
+    }
+
+    // ---------- LANGUAGE ----------
+    function applyLanguage(code) {
+        const language = BingoI18n.setLanguage(code);
+        document.documentElement.lang = language;
+        announcer.setLanguage(language);
+        BingoI18n.translatePage(document);
+        renderAutoDrawButton();
+        renderDaubModeButton();
+        renderBoardViewButton();
+        renderFocusButton();
+        return language;
+    }
+
+    async function changeLanguage(code) {
+        settings.language = applyLanguage(code);
+        
+        // Rebuild whatever is on screen with the new catalog
+        renderCaller();
+        if (elements.bingoSection.style.display === 'flex') renderAllBoards();
+        if (elements.noBoardsSection.style.display === 'flex') showNoBoards();
+        if (elements.sessionsSection.style.display === 'flex') renderSessionList();
+        
+        await saveSettings();
+    }
+
+    // ---------- SETTINGS ----------
+    // Device preferences that are not about the voice
+    function showSettingsModal() {
+        elements.displayModeSelect.value = displayMode();
+        elements.highContrastInput.checked = Boolean(settings.highContrast);
+        elements.nearWinAlertInput.checked = settings.nearWinAlert;
+        elements.settingsModal.style.display = 'block';
+    }
+
+    // ---------- DISPLAY MODE ----------
+    // Windowed, fullscreen or kiosk (fullscreen for hall screens: orientation
+    // locked, selection controls hidden, screen kept awake). Leaving
+    // fullscreen with Esc or the back gesture is always allowed.
+    function displayMode() {
+        return DISPLAY_MODES.includes(settings.displayMode) ? settings.displayMode : 'windowed';
+    }
+
+    function applyDisplayMode() {
+        const mode = displayMode();
+        document.body.classList.toggle('kiosk', mode === 'kiosk');
+        
+        if (mode === 'windowed') {
+            if (isFullscreen()) exitFullscreen();
+        } else if (!isFullscreen()) {
+            requestFullscreen().then(() => {
+                if (displayMode() === 'kiosk') lockOrientation();
+            });
+        } else if (mode === 'kiosk') {
+            lockOrientation();
+        }
+        
+        if (mode === 'kiosk') {
+            keepScreenAwake();
+        } else {
+            unlockOrientation();
+            releaseWakeLock();
+        }
+    }
+
+    function isFullscreen() {
+        return Boolean(document.fullscreenElement || document.webkitFullscreenElement);
+    }
+
+    function requestFullscreen() {
+        const element = document.documentElement;
+        if (element.requestFullscreen) {
+            return element.requestFullscreen().catch(error => {
+                console.warn('Fullscreen unavailable:', error.message);
+            });
+        }
+        if (element.webkitRequestFullscreen) element.webkitRequestFullscreen();
+        return Promise.resolve();
+    }
+
+    function exitFullscreen() {
+        if (document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        } else if (document.webkitExitFullscreen) {
+            document.webkitExitFullscreen();
+        }
+    }
+
+    // Holds whichever way the screen is turned now; browsers only lock in fullscreen
+    function lockOrientation() {
+        const orientation = screen.orientation;
+        if (!orientation || !orientation.lock || !isFullscreen()) return;
+        orientation.lock(orientation.type.split('-')[0]).catch(error => {
+            console.warn('Orientation lock unavailable:', error.message);
+        });
+    }
+
+    function unlockOrientation() {
+        const orientation = screen.orientation;
+        if (!orientation || !orientation.unlock) return;
+        try {
+            orientation.unlock();
+        } catch (error) {
+            // Nothing was locked
+        }
+    }
+
+    async function keepScreenAwake() {
+        if (wakeLock || !('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            // Kiosk may have been turned off, or another request won, while this one waited
+            if (displayMode() !== 'kiosk' || wakeLock) {
+                lock.release().catch(() => {});
+                return;
+            }
+            wakeLock = lock;
+            lock.addEventListener('release', () => {
+                if (wakeLock === lock) wakeLock = null;
+            });
+        } catch (error) {
+            console.warn('Wake lock unavailable:', error.message);
+        }
+    }
+
+    function releaseWakeLock() {
+        if (!wakeLock) return;
+        wakeLock.release().catch(() => {});
+        wakeLock = null;
+    }
+
+    // ---------- INFO MODAL ----------
+    function showInfoModal() {
+        elements.infoModal.style.display = 'block';
+        elements.closeInfoModal.focus();
+    }
+
+    // ---------- KEYBOARD & SCREEN READERS ----------
+    // Marks, calls and wins are read out by screen readers from one polite region
+    function announceLive(message) {
+        if (!message) return;
+        elements.liveRegion.textContent = '';
+        // A fresh node each time, so the same words twice are read twice
+        setTimeout(() => { elements.liveRegion.textContent = message; }, 50);
+    }
+
+    function applyTheme() {
+        document.body.classList.toggle('high-contrast', Boolean(settings.highContrast));
+    }
+
+    // The last one in the page is on top
+    function openModalElement() {
+        const open = Array.from(document.querySelectorAll('.info-modal'))
+            .filter(modal => modal.style.display === 'block');
+        return open[open.length - 1] || null;
+    }
+
+    function closeModal(modal) {
+        if (modal === elements.zoomModal) closeBoardZoom();
+        else if (modal === elements.scanModal) closeScanner();
+        else modal.style.display = 'none';
+        if (focusBeforeModal && focusBeforeModal.isConnected) focusBeforeModal.focus();
+    }
+
+    function focusableIn(modal) {
+        return Array.from(modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )).filter(el => !el.disabled && !el.closest('[hidden]'));
+    }
+
+    function handleModalKeydown(e) {
+        const modal = openModalElement();
+        if (!modal) return;
+        
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeModal(modal);
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        
+        const focusable = focusableIn(modal);
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (!modal.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // ---------- GAME STATE PERSISTENCE ----------
+    // Device preferences live beside the game pointer and outlast sessions
+    async function loadSettings() {
+        try {
+            const stored = await BingoStorage.get('gameState', 'settings');
+            if (stored) settings = { ...settings, ...stored };
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+    }
+
+    async function saveSettings() {
+        try {
+            await BingoStorage.put('gameState', { ...settings, id: 'settings' });
+        } catch (error) {
+            reportStorageError('storage.saveSettings', error);
+        }
+    }
+
+    // Each game is a record in the 'sessions' store; gameState 'current'
+    // only points at the session that is open on this device.
+    function buildSessionRecord() {
+        return {
+            id: currentSession.id,
+            name: currentSession.name,
+            createdAt: currentSession.createdAt,
+            updatedAt: Date.now(),
+            deckSeed,
+            selectedBoards,
+            calls: caller.getCalls(),
+            autoDrawInterval,
+            boardLimit,
+            daubMode,
+            activePatterns,
+            customPatterns: BingoPatterns.listPatterns()
+                .filter(p => p.custom)
+                .map(p => ({ name: p.name, mask: p.mask })),
+            winners,
+            round,
+            pastRounds,
+            ledger,
+            netRoom
+        };
+    }
+
+    // Marks live in 'sessionBoards', one record per board. Untouched boards
+    // are regenerated from the deck, and a save writes only the dirty ones.
+    function sessionBoardRecord(board, sessionId) {
+        return {
+            sessionId,
+            id: board.id,
+            deckSeed: board.deckSeed,
+            markedCells: Array.from(board.markedCells),
+            score: board.score,
+            patternScores: board.patternScores,
+            lastUpdated: board.lastUpdated
+        };
+    }
+
+    function markBoardDirty(board) {
+        board.lastUpdated = Date.now();
+        dirtyBoards.add(board.id);
+    }
+
+    async function readSessionBoards(sessionId) {
+        try {
+            return await BingoStorage.getAllByIndex('sessionBoards', 'sessionId', sessionId);
+        } catch (error) {
+            reportStorageError('storage.loadMarks', error);
+            return [];
+        }
+    }
+
+    async function saveGameState() {
+        // Taken up front so marks made while this save runs go in the next one
+        const dirty = Array.from(dirtyBoards);
+        dirtyBoards.clear();
+        try {
+            const session = buildSessionRecord();
+            await BingoStorage.put('sessions', session);
+            if (dirty.length > 0) {
+                await BingoStorage.putAll('sessionBoards',
+                    dirty.map(id => sessionBoardRecord(allBoards[id - 1], session.id)));
+            }
+            await BingoStorage.put('gameState', { id: 'current', sessionId: session.id });
+            console.log('Game state saved');
+        } catch (error) {
+            dirty.forEach(id => dirtyBoards.add(id));
+            reportStorageError('storage.saveGame', error);
+        }
+    }
+
+    // Restores the last session; resolves true when boards were brought back
+    async function loadGameState() {
+        try {
+            const pointer = await BingoStorage.get('gameState', 'current');
+            const session = pointer && pointer.sessionId ?
+                await BingoStorage.get('sessions', pointer.sessionId) : null;
+            
+            if (session) {
+                applySession(session, await readSessionBoards(session.id));
+                
+                if (selectedBoards.length > 0) {
+                    hideAllSections();
+                    elements.bingoSection.style.display = 'flex';
+                    renderAllBoards();
+                    return true;
+                }
+            }
+        } catch (error) {
+            reportStorageError('storage.restoreGame', error);
+        }
+        return false;
+    }
+
+    // `boards` are the session's saved marks (see sessionBoardRecord)
+    function applySession(session, boards = []) {
+        stopAutoDraw();
+        if (net) {
+            net.close();
+            net = null;
+        }
+        currentSession = {
+            id: session.id,
+            name: session.name,
+            createdAt: session.createdAt
+        };
+        selectedBoards = session.selectedBoards || [];
+        winners = (session.winners || []).map(w => ({ round: 1, ...w }));
+        round = restoreRound(session);
+        pastRounds = session.pastRounds || [];
+        ledger = BingoLedger.createLedger(session.ledger);
+        elements.celebrationModal.style.display = 'none';
+        caller = BingoCaller.createCaller({ calls: session.calls || [] });
+        autoDrawInterval = session.autoDrawInterval || autoDrawInterval;
+        boardLimit = session.boardLimit || 0;
+        renderCaller();
+
+        // Numbers always come from the deck; only marks are restored
+        deckSeed = session.deckSeed || BingoDeck.DEFAULT_DECK_SEED;
+        generateDeckBoards();
+        dirtyBoards.clear();
+        boards.forEach(stored => {
+            const board = allBoards[stored.id - 1];
+            if (board && stored.deckSeed === deckSeed) {
+                board.markedCells = new Set(stored.markedCells || [FREE_SPACE_INDEX]);
+                board.score = stored.score || 0;
+                board.patternScores = stored.patternScores;
+                board.lastUpdated = stored.lastUpdated || board.lastUpdated;
+            }
+        });
+        setDaubMode(session.daubMode);
+        
+        // Custom patterns belong to the session that defined them
+        BingoPatterns.listPatterns()
+            .filter(p => p.custom)
+            .forEach(p => BingoPatterns.removePattern(p.id));
+        (session.customPatterns || []).forEach(p => {
+            try {
+                BingoPatterns.defineCustomPattern(p.name, p.mask);
+            } catch (error) {
+                console.error('Skipping invalid custom pattern:', error);
+            }
+        });
+        activePatterns = (session.activePatterns || [])
+            .filter(id => BingoPatterns.getPattern(id));
+        if (activePatterns.length === 0) activePatterns = [...BingoPatterns.DEFAULT_PATTERNS];
+        
+        // Rejoin the shared room this game was played in
+        netRoom = session.netRoom || null;
+        takenBoards = new Set();
+        if (netRoom) connectRoom();
+        else updateNetControls();
+        maybeShowUpdatePrompt();
+    }
+
+    // ---------- SAVED SESSIONS ----------
+    function createSessionInfo(name) {
+        const now = Date.now();
+        return {
+            id: `s-${now}`,
+            name: name || t('sessions.defaultName', { date: BingoI18n.formatDate(now) }),
+            createdAt: now
+        };
+    }
+
+    async function openSessionsScreen() {
+        hideAllSections();
+        elements.sessionsSection.style.display = 'flex';
+        elements.footer.classList.remove('hidden');
+        elements.sessionNameInput.value = '';
+        await renderSessionList();
+        await renderSyncSettings();
+    }
+
+    async function renderSessionList() {
+        let sessions = [];
+        try {
+            sessions = await BingoStorage.getAll('sessions');
+        } catch (error) {
+            reportStorageError('storage.loadSessions', error);
+        }
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        
+        elements.sessionList.innerHTML = '';
+        if (sessions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'session-empty';
+            empty.textContent = t('sessions.empty');
+            elements.sessionList.appendChild(empty);
+            return;
+        }
+        
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            if (session.id === currentSession.id) item.classList.add('current');
+            
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            const title = document.createElement('div');
+            title.className = 'session-name';
+            title.textContent = session.name;
+            const meta = document.createElement('div');
+            meta.className = 'session-meta';
+            meta.textContent = [
+                BingoI18n.formatDate(session.updatedAt, { dateStyle: 'medium', timeStyle: 'short' }),
+                t('sessions.boards', { count: BingoI18n.formatNumber((session.selectedBoards || []).length) }),
+                t('sessions.calls', { count: BingoI18n.formatNumber((session.calls || []).length) }),
+                t('sessions.winners', { count: BingoI18n.formatNumber((session.winners || []).length) })
+            ].join(' · ');
+            info.appendChild(title);
+            info.appendChild(meta);
+            item.appendChild(info);
+            
+            [
+                { icon: '▶', label: t('sessions.resume'), action: () => resumeSession(session) },
+                { icon: '⧉', label: t('sessions.duplicate'), action: () => duplicateSession(session) },
+                { icon: '🗑️', label: t('sessions.delete'), action: () => deleteSession(session) }
+            ].forEach(({ icon, label, action }) => {
+                const btn = document.createElement('button');
+                btn.className = 'header-icon';
+                btn.textContent = icon;
+                btn.title = label;
+                btn.setAttribute('aria-label', `${label} ${session.name}`);
+                btn.addEventListener('click', action);
+                item.appendChild(btn);
             });
-        } else if (element.webkitRequestFullscreen) {
-            element.webkitRequestFullscreen();
+            
+            elements.sessionList.appendChild(item);
+        });
+    }
+
+    function startNewSession() {
+        return beginSession(elements.sessionNameInput.value.trim(), deckSeed);
+    }
+
+    async function beginSession(name, seed) {
+        // Make sure the game being left is on disk before switching
+        await saveGameState();
+        
+        applySession({
+            ...createSessionInfo(name),
+            deckSeed: seed,
+            selectedBoards: [],
+            activePatterns: [...BingoPatterns.DEFAULT_PATTERNS]
+        });
+        await saveGameState();
+        queueSessionEvent('created', { name: currentSession.name });
+        openSelectionMode();
+    }
+
+    async function resumeSession(session) {
+        if (session.id !== currentSession.id) {
+            await saveGameState();
+            applySession(session, await readSessionBoards(session.id));
+            await saveGameState();
+        }
+        
+        if (selectedBoards.length > 0) {
+            hideAllSections();
+            elements.bingoSection.style.display = 'flex';
+            renderAllBoards();
+        } else {
+            showNoBoards();
         }
     }
 
-    function exitFullscreen() {
-        if (document.exitFullscreen) {
-            document.exitFullscreen().catch(() => {});
-        } else if (document.webkitExitFullscreen) {
-            document.webkitExitFullscreen();
+    // Same boards, deck and patterns as a fresh game: calls, marks and winners start empty
+    async function duplicateSession(session) {
+        const copy = {
+            ...session,
+            ...createSessionInfo(`${session.name} (copy)`),
+            updatedAt: Date.now(),
+            calls: [],
+            winners: [],
+            round: null,
+            pastRounds: [],
+            ledger: BingoLedger.createLedger({
+                cardPrice: session.ledger && session.ledger.cardPrice,
+                houseCut: session.ledger && session.ledger.houseCut
+            }),
+            netRoom: null
+        };
+        
+        try {
+            await BingoStorage.put('sessions', copy);
+        } catch (error) {
+            reportStorageError('storage.duplicateSession', error);
         }
+        await renderSessionList();
     }
 
-    // ---------- INFO MODAL ----------
-    function showInfoModal() {
-        elements.infoModal.style.display = 'block';
+    async function deleteSession(session) {
+        if (!confirm(t('sessions.confirmDelete', { name: session.name }))) return;
+        
+        try {
+            await BingoStorage.remove('sessions', session.id);
+            await BingoStorage.removeByIndex('sessionBoards', 'sessionId', session.id);
+            queueSyncEvent('session', { sessionId: session.id, event: 'deleted', at: Date.now() });
+        } catch (error) {
+            reportStorageError('storage.deleteSession', error);
+        }
+        
+        // Deleting the open game leaves an empty one in its place, saved at once
+        // so the launch pointer never names the deleted game
+        if (session.id === currentSession.id) {
+            applySession({ ...createSessionInfo(), deckSeed, selectedBoards: [] });
+            await saveGameState();
+        }
+        await renderSessionList();
     }
 
-    // ---------- GAME STATE PERSISTENCE ----------
-    async function saveGameState() {
+    // ---------- STATISTICS ----------
+    // Worked out in stats.js from every saved game, this one included
+    async function showStatsModal() {
+        await saveGameState();
+        let sessions = [];
+        try {
+            sessions = await BingoStorage.getAll('sessions');
+        } catch (error) {
+            reportStorageError('storage.loadSessions', error);
+        }
+        renderStats(BingoStats.computeStats(sessions));
+        elements.statsModal.style.display = 'block';
+    }
+
+    function renderStats(stats) {
+        elements.statsTiles.innerHTML = '';
+        [
+            { value: BingoI18n.formatNumber(stats.games), label: t('stats.games') },
+            { value: BingoI18n.formatNumber(stats.wins), label: t('stats.wins') },
+            {
+                value: stats.wonGames > 0 ? BingoI18n.formatNumber(stats.averageCallsToWin, { maximumFractionDigits: 1 }) : '–',
+                label: t('stats.average')
+            }
+        ].forEach(({ value, label }) => {
+            const tile = document.createElement('div');
+            tile.className = 'stats-tile';
+            const number = document.createElement('strong');
+            number.textContent = value;
+            const caption = document.createElement('span');
+            caption.textContent = label;
+            tile.appendChild(number);
+            tile.appendChild(caption);
+            elements.statsTiles.appendChild(tile);
+        });
+        
+        elements.statsEmpty.hidden = stats.games > 0;
+        elements.statsBody.hidden = stats.games === 0;
+        if (stats.games === 0) return;
+        
+        renderChart(elements.statsPatterns, stats.patterns.length > 0 && BingoStats.barChart(
+            stats.patterns.map(entry => ({ label: entry.pattern, value: entry.count }))));
+        renderChart(elements.statsCalls, stats.callsToWin.length > 0 && BingoStats.columnChart(
+            BingoStats.histogram(stats.callsToWin).map(bucket => ({
+                label: t('stats.bucket', { from: bucket.from, to: bucket.to }),
+                value: bucket.count
+            }))));
+        renderChart(elements.statsLucky, stats.luckyBoards.length > 0 && BingoStats.barChart(
+            stats.luckyBoards.map(entry => ({ label: `#${entry.boardId}`, value: entry.count }))));
+        renderChart(elements.statsFrequency, BingoStats.columnChart(
+            stats.frequency.map(entry => ({
+                label: BingoCaller.formatCall(entry.number),
+                value: entry.count,
+                className: BingoStats.letterClass(entry.number)
+            })),
+            { labelEvery: 15 }));
+        
+        const listCalls = (entries) => entries
+            .map(entry => t('stats.times', {
+                call: BingoCaller.formatCall(entry.number),
+                count: BingoI18n.formatNumber(entry.count)
+            }))
+            .join(' · ');
+        elements.statsHot.textContent = listCalls(stats.hot);
+        elements.statsCold.textContent = listCalls(stats.cold);
+        
+        elements.statsDroughts.innerHTML = '';
+        stats.droughts.forEach(run => {
+            const item = document.createElement('li');
+            item.className = 'ledger-item';
+            item.textContent = t(run.current === run.longest ? 'stats.stillDry' : 'stats.drought', {
+                call: BingoCaller.formatCall(run.number),
+                longest: BingoI18n.formatNumber(run.longest)
+            });
+            elements.statsDroughts.appendChild(item);
+        });
+    }
+
+    // Chart markup comes from stats.js, which escapes every label
+    function renderChart(container, svg) {
+        if (svg) {
+            container.innerHTML = svg;
+            return;
+        }
+        container.innerHTML = '';
+        const empty = document.createElement('p');
+        empty.className = 'session-empty';
+        empty.textContent = t('stats.none');
+        container.appendChild(empty);
+    }
+
+    // ---------- HALL LEDGER ----------
+    // Sums and the CSV live in ledger.js; everything is stored with the session
+    function formatMoney(amount) {
+        return t('ledger.amount', { amount: BingoI18n.formatNumber(amount, { maximumFractionDigits: 2 }) });
+    }
+
+    // Boards sold once a round is over are for the next one
+    function saleRound() {
+        return round.state === ROUND_OVER ? round.number + 1 : round.number;
+    }
+
+    // Patterns a round's prizes were shared between: as recorded when it ended,
+    // the current choice for rounds still to finish (and older saves)
+    function patternsIn(number) {
+        const ended = number === round.number ? round : pastRounds.find(past => past.number === number);
+        return (ended && ended.patternCount) || activePatterns.length;
+    }
+
+    function showLedgerModal() {
+        elements.cardPriceInput.value = ledger.cardPrice || '';
+        elements.houseCutInput.value = ledger.houseCut || '';
+        elements.salePlayerInput.value = '';
+        elements.saleBoardsInput.value = '';
+        renderLedger();
+        elements.ledgerModal.style.display = 'block';
+        elements.salePlayerInput.focus();
+    }
+
+    function saveLedgerSettings() {
+        const settings = BingoLedger.createLedger({
+            cardPrice: elements.cardPriceInput.value,
+            houseCut: elements.houseCutInput.value
+        });
+        ledger.cardPrice = settings.cardPrice;
+        ledger.houseCut = settings.houseCut;
+        elements.cardPriceInput.value = ledger.cardPrice || '';
+        elements.houseCutInput.value = ledger.houseCut || '';
+        renderLedger();
+        saveGameState();
+    }
+
+    function setSaleMessage(message, isError = false) {
+        elements.saleMessage.textContent = message;
+        elements.saleMessage.classList.toggle('error', isError);
+    }
+
+    function recordSale() {
+        const player = elements.salePlayerInput.value.trim();
+        if (!player) {
+            setSaleMessage(t('ledger.needPlayer'), true);
+            elements.salePlayerInput.focus();
+            return;
+        }
+        
+        let boards;
         try {
-            const db = await openIndexedDB();
-            const tx = db.transaction('gameState', 'readwrite');
-            const store = tx.objectStore('gameState');
+            boards = parseBoardList(elements.saleBoardsInput.value);
+        } catch (error) {
+            setSaleMessage(error.message, true);
+            return;
+        }
+        const notInPlay = boards.filter(id => !selectedBoards.includes(id));
+        if (notInPlay.length > 0) {
+            setSaleMessage(t('ledger.notInPlay', { list: notInPlay.join(', ') }), true);
+            return;
+        }
+        const owners = BingoLedger.soldBoards(ledger, saleRound());
+        const sold = boards.filter(id => owners.has(id));
+        if (sold.length > 0) {
+            setSaleMessage(t('ledger.alreadySold', { list: sold.join(', ') }), true);
+            return;
+        }
+        
+        ledger.sales.push({ round: saleRound(), player, boards, price: ledger.cardPrice, at: Date.now() });
+        elements.saleBoardsInput.value = '';
+        renderLedger();
+        setSaleMessage(t('ledger.sold', { player, count: BingoI18n.formatNumber(boards.length) }));
+        saveGameState();
+    }
+
+    function removeSale(sale) {
+        ledger.sales = ledger.sales.filter(s => s !== sale);
+        renderLedger();
+        saveGameState();
+    }
+
+    function payPrize(due) {
+        BingoLedger.recordPayout(ledger, due);
+        renderLedger();
+        saveGameState();
+    }
+
+    function renderLedger() {
+        const number = saleRound();
+        const pool = BingoLedger.roundPool(ledger, number, patternsIn(number));
+        elements.ledgerRoundTitle.textContent = t('ledger.round', { number: BingoI18n.formatNumber(number) });
+        elements.ledgerPool.textContent = t('ledger.pool', {
+            boards: BingoI18n.formatNumber(pool.boards),
+            sales: formatMoney(pool.sales),
+            house: formatMoney(pool.house),
+            perPattern: formatMoney(pool.perPattern)
+        });
+        
+        const owners = BingoLedger.soldBoards(ledger, number);
+        const unsold = selectedBoards.filter(id => !owners.has(id));
+        if (!elements.saleMessage.classList.contains('error')) {
+            setSaleMessage(unsold.length > 0 ?
+                t('ledger.unsold', { list: unsold.join(', ') }) :
+                (selectedBoards.length > 0 ? t('ledger.allSold') : ''));
+        }
+        
+        renderSales(number);
+        renderPrizes();
+        renderWallets();
+        
+        const sums = BingoLedger.totals(ledger, winners, patternsIn);
+        elements.ledgerTotals.textContent = t('ledger.totals', {
+            sales: formatMoney(sums.sales),
+            house: formatMoney(sums.house),
+            paid: formatMoney(sums.paid),
+            unpaid: formatMoney(sums.unpaid),
+            kept: formatMoney(sums.kept)
+        });
+    }
+
+    function renderSales(number) {
+        elements.salesList.innerHTML = '';
+        ledger.sales
+            .filter(sale => sale.round === number)
+            .forEach(sale => {
+                const item = document.createElement('li');
+                item.className = 'ledger-item';
+                
+                const text = document.createElement('span');
+                text.textContent = t('ledger.sale', {
+                    player: sale.player,
+                    boards: sale.boards.join(', '),
+                    amount: formatMoney(sale.boards.length * sale.price)
+                });
+                item.appendChild(text);
+                
+                const remove = document.createElement('button');
+                remove.className = 'header-icon';
+                remove.textContent = '🗑️';
+                remove.title = t('ledger.removeSale');
+                remove.setAttribute('aria-label', `${t('ledger.removeSale')} ${sale.player}`);
+                remove.addEventListener('click', () => removeSale(sale));
+                item.appendChild(remove);
+                elements.salesList.appendChild(item);
+            });
+    }
+
+    function renderPrizes() {
+        elements.prizesList.innerHTML = '';
+        const prizes = BingoLedger.prizesDue(ledger, winners, patternsIn);
+        if (prizes.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'session-empty';
+            empty.textContent = t('ledger.noPrizes');
+            elements.prizesList.appendChild(empty);
+            return;
+        }
+        
+        prizes.forEach(due => {
+            const item = document.createElement('li');
+            item.className = 'ledger-item';
+            if (due.paid) item.classList.add('paid');
             
-            const state = {
-                id: 'current',
-                selectedBoards,
-                boards: allBoards.map(board => ({
-                    ...board,
-                    markedCells: Array.from(board.markedCells)
-                })),
-                timestamp: Date.now()
-            };
+            const text = document.createElement('span');
+            text.textContent = t('ledger.prize', {
+                round: BingoI18n.formatNumber(due.round),
+                id: due.boardId,
+                pattern: due.pattern,
+                player: due.player || t('ledger.notSold'),
+                amount: formatMoney(due.amount)
+            });
+            item.appendChild(text);
             
-            store.put(state);
-            await tx.complete;
-            console.log('Game state saved');
+            if (due.paid) {
+                const paid = document.createElement('span');
+                paid.textContent = t('ledger.paid');
+                item.appendChild(paid);
+            } else if (due.amount > 0) {
+                const pay = document.createElement('button');
+                pay.className = 'ledger-pay-btn';
+                pay.textContent = t('ledger.pay');
+                pay.addEventListener('click', () => payPrize(due));
+                item.appendChild(pay);
+            }
+            elements.prizesList.appendChild(item);
+        });
+    }
+
+    function renderWallets() {
+        const table = elements.walletsTable;
+        table.innerHTML = '';
+        const entries = BingoLedger.wallets(ledger);
+        if (entries.length === 0) {
+            const row = table.insertRow();
+            const cell = row.insertCell();
+            cell.className = 'session-empty';
+            cell.textContent = t('ledger.noPlayers');
+            return;
+        }
+        
+        const head = table.createTHead().insertRow();
+        ['colPlayer', 'colBoards', 'colSpent', 'colWon', 'colNet'].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = t(`ledger.${key}`);
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        entries.forEach(entry => {
+            const row = body.insertRow();
+            [
+                entry.player,
+                BingoI18n.formatNumber(entry.boards),
+                formatMoney(entry.spent),
+                formatMoney(entry.won),
+                formatMoney(entry.net)
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            if (entry.net < 0) row.cells[4].className = 'negative';
+        });
+    }
+
+    function exportLedgerCsv() {
+        const labels = {};
+        ['type', 'round', 'player', 'boards', 'pattern', 'amount', 'time', 'sale', 'payout', 'unpaid',
+            'wallet', 'totalSales', 'totalHouse', 'totalPaid', 'totalUnpaid', 'totalKept'].forEach(key => {
+            labels[key] = t(`ledger.csv${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+        });
+        const csv = BingoLedger.toCsv(ledger, winners, patternsIn, labels);
+        // The byte-order mark makes spreadsheet apps read Ge'ez names as UTF-8
+        shareFile(`${fileName(currentSession.name)}.ledger.csv`, `\uFEFF${csv}`, 'text/csv');
+    }
+
+    // ---------- DECK & GAME FILES ----------
+    // Format and checks live in deckfile.js
+    function currentDeck() {
+        const imported = importedDecks.get(deckSeed);
+        return {
+            id: deckSeed,
+            name: imported ? imported.name : deckSeed,
+            seed: imported ? null : deckSeed,
+            boards: allBoards.map(board => ({ id: board.id, numbers: board.numbers }))
+        };
+    }
+
+    function showDeckModal() {
+        elements.deckCurrent.textContent = t('deckFile.current', {
+            name: currentDeck().name,
+            count: BingoI18n.formatNumber(deckSize())
+        });
+        elements.deckPasteInput.value = '';
+        elements.deckErrors.innerHTML = '';
+        elements.deckModal.style.display = 'block';
+    }
+
+    function exportDeckFile() {
+        const deck = currentDeck();
+        const file = BingoDeckFile.exportDeck(deck);
+        shareFile(`${fileName(deck.name)}.deck.json`, JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    function exportSessionFile() {
+        const record = buildSessionRecord();
+        const marks = allBoards
+            .filter(board => board.markedCells.size > 1 || board.score > 0)
+            .map(board => ({
+                id: board.id,
+                markedCells: Array.from(board.markedCells),
+                score: board.score,
+                patternScores: board.patternScores
+            }));
+        const session = {
+            name: record.name,
+            createdAt: record.createdAt,
+            calls: record.calls,
+            selectedBoards: record.selectedBoards,
+            autoDrawInterval: record.autoDrawInterval,
+            boardLimit: record.boardLimit,
+            daubMode: record.daubMode,
+            activePatterns: record.activePatterns,
+            customPatterns: record.customPatterns,
+            winners: record.winners,
+            round: record.round,
+            pastRounds: record.pastRounds,
+            ledger: record.ledger,
+            marks
+        };
+        const file = BingoDeckFile.exportSession(currentDeck(), session);
+        shareFile(`${fileName(record.name)}.game.json`, JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    function fileName(name) {
+        return String(name).replace(/[\\/:*?"<>|]+/g, '-').trim() || 'bingo';
+    }
+
+    // The share sheet where the browser can share files, a download otherwise
+    async function shareFile(name, text, type) {
+        const file = typeof File !== 'undefined' ? new File([text], name, { type }) : null;
+        if (file && navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file], title: name });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Share failed, downloading instead:', error);
+            }
+        }
+        
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function importDeckText(text) {
+        elements.deckErrors.innerHTML = '';
+        let file;
+        try {
+            file = BingoDeckFile.parseFile(text);
+        } catch (error) {
+            if (error instanceof BingoDeckFile.DeckFileError) {
+                showDeckProblems(error.problems);
+            } else {
+                console.error('Deck file could not be read:', error);
+                showDeckProblems([{ code: 'importFailed', params: {} }]);
+            }
+            return;
+        }
+        
+        try {
+            await loadDeckFile(file);
         } catch (error) {
-            console.error('Failed to save game state:', error);
+            console.error('Deck import failed:', error);
+            showDeckProblems([{ code: 'importFailed', params: {} }]);
         }
     }
 
-    async function loadGameState() {
+    async function loadDeckFile(file) {
+        // A deck its own seed reproduces needs no storing; any other is kept whole
+        const deck = file.deck;
+        const fixed = deck.seed !== deck.id;
+        const known = importedDecks.get(deck.id);
+        if (fixed && known && !sameCards(known, deck)) {
+            showDeckProblems([{ code: 'conflict', params: { id: deck.id } }]);
+            return;
+        }
+        if (fixed && !known && await seedInUse(deck.id)) {
+            showDeckProblems([{ code: 'seedInUse', params: { id: deck.id } }]);
+            return;
+        }
+        if (fixed) await storeDeck(deck);
+        
+        elements.deckModal.style.display = 'none';
+        if (file.kind === 'deck') {
+            await beginSession(deck.name || deck.id, deck.id);
+            showToast(t('deckFile.importedDeck', {
+                name: deck.name || deck.id,
+                count: BingoI18n.formatNumber(deck.boards.length)
+            }));
+        } else {
+            await importSession(file);
+        }
+    }
+
+    function showDeckProblems(problems) {
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = t(`deckProblem.${problem.code}`, problem.params);
+            elements.deckErrors.appendChild(item);
+        });
+    }
+
+    // Sessions find their cards by deck id, so a fixed deck must not take an id
+    // whose cards are made from it as a seed: the default deck's or any game's here
+    async function seedInUse(id) {
+        if (id === BingoDeck.DEFAULT_DECK_SEED || id === deckSeed) return true;
+        let sessions = [];
+        try {
+            sessions = await BingoStorage.getAll('sessions');
+        } catch (error) {
+            reportStorageError('storage.loadSessions', error);
+        }
+        return sessions.some(session => (session.deckSeed || BingoDeck.DEFAULT_DECK_SEED) === id);
+    }
+
+    function sameCards(a, b) {
+        return a.boards.length === b.boards.length &&
+            a.boards.every((board, i) => board.numbers.join(',') === b.boards[i].numbers.join(','));
+    }
+
+    async function storeDeck(deck) {
+        const record = {
+            id: deck.id,
+            name: deck.name || deck.id,
+            boards: deck.boards.map(board => ({ id: board.id, numbers: board.numbers })),
+            importedAt: Date.now()
+        };
+        importedDecks.set(record.id, record);
+        try {
+            await BingoStorage.put('decks', record);
+        } catch (error) {
+            reportStorageError('storage.saveDeck', error);
+        }
+    }
+
+    // An imported game is a new session, so it never overwrites one on this device
+    async function importSession(file) {
+        const { marks = [], ...data } = file.session;
+        const session = {
+            ...data,
+            ...createSessionInfo(data.name),
+            updatedAt: Date.now(),
+            deckSeed: file.deck.id,
+            netRoom: null
+        };
+        const boards = marks.map(mark => ({
+            ...mark,
+            sessionId: session.id,
+            deckSeed: session.deckSeed,
+            lastUpdated: session.updatedAt
+        }));
+        
+        await saveGameState();
+        try {
+            await BingoStorage.put('sessions', session);
+            await BingoStorage.putAll('sessionBoards', boards);
+        } catch (error) {
+            reportStorageError('storage.importGame', error);
+            return;
+        }
+        await resumeSession(session);
+        showToast(t('deckFile.importedSession', { name: session.name }));
+    }
+
+    // ---------- SYNC OUTBOX ----------
+    // Marks, claims and session events wait in IndexedDB until the sync API
+    // accepts them; the service worker replays them on 'sync', we do on 'online'.
+    function queueSyncEvent(kind, payload) {
+        BingoOutbox.enqueue(kind, payload)
+            .then(queued => {
+                if (!queued) return;
+                requestBackgroundSync();
+                if (!isOffline) scheduleFlush();
+            })
+            .catch(error => reportStorageError('storage.queueSync', error));
+    }
+
+    function queueSessionEvent(event, details = {}) {
+        queueSyncEvent('session', { sessionId: currentSession.id, event, ...details, at: Date.now() });
+    }
+
+    function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register('sync-outbox'))
+            .catch(() => {
+                // No Background Sync (e.g. Safari/Firefox): the 'online' handler covers it
+            });
+    }
+
+    async function flushOutbox() {
         try {
-            const db = await openIndexedDB();
-            const tx = db.transaction('gameState', 'readonly');
-            const store = tx.objectStore('gameState');
-            const state = await store.get('current');
+            handleSyncSummary(await BingoOutbox.replay());
+        } catch (error) {
+            reportStorageError('storage.sync', error);
+        }
+    }
+
+    const scheduleFlush = debounce(flushOutbox, 2000);
+
+    function handleSyncSummary(summary) {
+        // Conflicting marks: the server kept a newer value, so show that one
+        summary.conflicts.forEach(({ entry, current }) => {
+            if (entry.kind !== 'mark' || !current || entry.payload.sessionId !== currentSession.id) return;
             
-            if (state) {
-                selectedBoards = state.selectedBoards || [];
-                allBoards = state.boards.map(board => ({
-                    ...board,
-                    markedCells: new Set(board.markedCells || [FREE_SPACE_INDEX])
-                }));
-                
-                if (selectedBoards.length > 0) {
-                    hideAllSections();
-                    elements.bingoSection.style.display = 'flex';
-                    renderAllBoards();
-                }
-            }
+            const board = allBoards[entry.payload.boardId - 1];
+            if (!board || board.markedCells.has(current.index) === current.marked) return;
+            
+            if (current.marked) board.markedCells.add(current.index);
+            else board.markedCells.delete(current.index);
+            markBoardDirty(board);
+            const card = findBoardCard(board.id);
+            const cell = card && getBoardCell(card, current.index);
+            if (cell) paintCellMark(cell, current.marked);
+            scheduleSave();
+        });
+        
+        if (summary.conflicts.length > 0) {
+            showToast(t('sync.conflicts', { count: BingoI18n.formatNumber(summary.conflicts.length) }));
+        }
+        if (summary.rejected.length > 0) {
+            console.warn('Sync server rejected events:', summary.rejected);
+            showToast(t('sync.rejected', { count: BingoI18n.formatNumber(summary.rejected.length) }), 'error');
+        }
+        
+        // Come back when the earliest backed-off event is due
+        clearTimeout(syncRetryTimer);
+        if (summary.nextAttemptAt !== null && !isOffline) {
+            syncRetryTimer = setTimeout(flushOutbox, Math.max(1000, summary.nextAttemptAt - Date.now()));
+        }
+        renderSyncStatus(summary.pending);
+    }
+
+    async function renderSyncSettings() {
+        try {
+            elements.syncEndpointInput.value = await BingoOutbox.getEndpoint();
+            renderSyncStatus(await BingoOutbox.pendingCount());
+        } catch (error) {
+            reportStorageError('storage.readSync', error);
+        }
+    }
+
+    function renderSyncStatus(pending) {
+        elements.syncStatus.textContent = pending > 0 ?
+            t('sync.pending', { count: BingoI18n.formatNumber(pending) }) : t('sync.done');
+    }
+
+    async function saveSyncSettings() {
+        try {
+            await BingoOutbox.setEndpoint(elements.syncEndpointInput.value);
+            showToast(t(elements.syncEndpointInput.value.trim() ? 'sync.on' : 'sync.off'));
+            flushOutbox();
         } catch (error) {
-            console.error('Failed to load game state:', error);
+            reportStorageError('storage.saveSync', error);
         }
     }
 
@@ -737,50 +4104,97 @@
         };
     }
 
-    function showUpdateNotification() {
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            left: 20px;
-            right: 20px;
-            background: #1e293b;
-            border: 2px solid #fbbf24;
-            border-radius: 12px;
-            padding: 15px;
-            color: white;
-            text-align: center;
-            z-index: 10000;
-            animation: slideUp 0.3s ease;
-        `;
-        notification.innerHTML = `
-            <p style="margin-bottom: 10px;">🔄 New version available!</p>
-            <button onclick="location.reload()" style="
-                background: #fbbf24;
-                border: none;
-                padding: 10px 20px;
-                border-radius: 8px;
-                font-weight: bold;
-                cursor: pointer;
-            ">Update Now</button>
-        `;
-        document.body.appendChild(notification);
+    const scheduleSave = debounce(() => saveGameState(), 500);
+
+    // "1-300", "3, 7, 19" or a mix → sorted unique board ids
+    function parseBoardList(text) {
+        const ids = new Set();
+        const parts = text.replace(/\s*[-–]\s*/g, '-').split(/[\s,]+/).filter(Boolean);
+        
+        parts.forEach(part => {
+            const match = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!match) throw new Error(t('boards.badPart', { part }));
+            
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            if (Math.min(start, end) < 1 || Math.max(start, end) > deckSize()) {
+                throw new Error(t('boards.outOfRange', { min: 1, max: deckSize() }));
+            }
+            for (let id = Math.min(start, end); id <= Math.max(start, end); id++) ids.add(id);
+        });
+        
+        if (ids.size === 0) throw new Error(t('boards.empty'));
+        return Array.from(ids).sort((a, b) => a - b);
+    }
+
+    function showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `app-toast ${type}`;
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 4000);
+    }
+
+    function showUpdateNotification(update) {
+        const banner = document.createElement('div');
+        banner.className = 'update-banner';
+        banner.setAttribute('role', 'alertdialog');
+        banner.setAttribute('aria-label', t('update.label'));
+        
+        const title = document.createElement('p');
+        title.className = 'update-title';
+        title.textContent = t('update.ready', { version: update.version });
+        banner.appendChild(title);
+        
+        // What changed since the version running now
+        if (update.releases.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'update-changes';
+            update.releases.forEach(release => {
+                release.changes.forEach(change => {
+                    const item = document.createElement('li');
+                    item.textContent = change;
+                    list.appendChild(item);
+                });
+            });
+            banner.appendChild(list);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'update-actions';
+        
+        const updateBtn = document.createElement('button');
+        updateBtn.className = 'update-now';
+        updateBtn.textContent = t('update.now');
+        updateBtn.addEventListener('click', () => {
+            updateBtn.disabled = true;
+            applyUpdate();
+        });
+        
+        // Asked again when the next round ends
+        const laterBtn = document.createElement('button');
+        laterBtn.className = 'update-later';
+        laterBtn.textContent = t('update.later');
+        laterBtn.addEventListener('click', () => banner.remove());
         
-        setTimeout(() => {
-            notification.remove();
-        }, 10000);
+        actions.appendChild(updateBtn);
+        actions.appendChild(laterBtn);
+        banner.appendChild(actions);
+        document.body.appendChild(banner);
     }
 
     function enableOfflineMode() {
         console.log('Running in offline mode');
-        // Load from IndexedDB if available
-        loadGameState();
+        // Game state already lives in IndexedDB; just refresh the empty-state text
+        // if that is the screen showing, never pulling the player off another one
+        if (elements.noBoardsSection.style.display === 'flex') showNoBoards();
     }
 
     function syncOfflineData() {
         console.log('Syncing offline data...');
-        // In production: sync with server
         saveGameState();
+        flushOutbox();
     }
 
     // ---------- START THE APP ----------
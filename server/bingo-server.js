@@ -0,0 +1,614 @@
+/* ========================================
+   BINGO-SERVER.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   LAN game server: serves the app and relays
+   calls, board reservations and claims over WebSocket.
+
+   Run on the hall laptop:  node server/bingo-server.js
+   (PORT env var, default 8787). Players open
+   http://<laptop-ip>:8787/ on the same network.
+   POST /api/sync accepts the app's offline outbox.
+   No npm packages needed - plain Node 14+.
+   ======================================== */
+
+"use strict";
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BingoDeck = require('../deck.js');
+
+// ---------- CONSTANTS ----------
+const DEFAULT_PORT = 8787;
+const MAX_BOARDS = 300;
+const MAX_CUSTOM_PATTERNS = 20;
+const TOTAL_NUMBERS = BingoDeck.BINGO_RANGES[BingoDeck.BINGO_RANGES.length - 1].end;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+const ROOM_IDLE_MS = 30 * 60 * 1000;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const APP_ROOT = path.resolve(__dirname, '..');
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg'
+};
+
+// ---------- WEBSOCKET CONNECTION ----------
+// Minimal RFC 6455 endpoint: text frames, fragmentation, ping/pong, close.
+class Peer {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        this.session = null;      // { room, playerId } once hosted/joined
+        this.onmessage = () => {};
+        this.onclose = () => {};
+
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2 && !this.closed) {
+            const b0 = this.buffer[0];
+            const b1 = this.buffer[1];
+            const fin = (b0 & 0x80) !== 0;
+            const opcode = b0 & 0x0f;
+            const masked = (b1 & 0x80) !== 0;
+            let length = b1 & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            // Clients must mask; oversized frames are refused outright
+            if (!masked) return this.close(1002, 'Frames must be masked');
+            if (length > MAX_PAYLOAD) return this.close(1009, 'Message too big');
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            this.buffer = this.buffer.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    let message;
+                    try {
+                        message = JSON.parse(text);
+                    } catch (error) {
+                        this.send({ type: 'error', code: 'badMessage', message: 'Invalid JSON' });
+                        return;
+                    }
+                    this.onmessage(message);
+                }
+                break;
+            case 0x8: // close
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            case 0x9: // ping
+                this.writeFrame(0xa, payload);
+                break;
+            case 0xa: // pong
+                break;
+            default:
+                this.close(1003, 'Only text frames are supported');
+        }
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(0x8, payload);
+        this.closed = true;
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        this.closed = true;
+        if (this.onclose) {
+            const onclose = this.onclose;
+            this.onclose = null;
+            onclose();
+        }
+    }
+}
+
+// ---------- ROOMS ----------
+function createRoomCode(rooms) {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < 4; i++) {
+            code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+        }
+    } while (rooms.has(code));
+    return code;
+}
+
+function takenBoards(room) {
+    const taken = [];
+    room.players.forEach(player => taken.push(...player.boards));
+    return taken.sort((a, b) => a - b);
+}
+
+function broadcast(room, message, except = null) {
+    room.players.forEach(player => {
+        if (player.peer && player.peer !== except) player.peer.send(message);
+    });
+}
+
+function roomSnapshot(room, playerId) {
+    const player = room.players.get(playerId);
+    return {
+        code: room.code,
+        playerId,
+        deckSeed: room.deckSeed,
+        patterns: room.patterns,
+        customPatterns: room.customPatterns,
+        calls: room.calls,
+        boardLimit: room.boardLimit,
+        boards: Array.from(player.boards).sort((a, b) => a - b),
+        taken: takenBoards(room)
+    };
+}
+
+// ---------- MESSAGE HANDLING ----------
+function handleMessage(rooms, peer, message) {
+    const reply = (msg) => peer.send(msg);
+    // `code` (and `params`) are for the page to word; `message` is for logs and tools
+    const fail = (code, text, params = {}) =>
+        reply({ type: 'error', code, params, message: text, request: message.type });
+
+    if (message.type === 'host') {
+        // Resume an existing room with its host token, or open a new one
+        let room = message.code && rooms.get(String(message.code).toUpperCase());
+        if (room && room.hostToken !== message.hostToken) return fail('wrongHostToken', 'Wrong host token');
+
+        if (!room) {
+            room = {
+                code: createRoomCode(rooms),
+                hostToken: crypto.randomBytes(16).toString('hex'),
+                hostId: crypto.randomUUID(),
+                deckSeed: String(message.deckSeed || BingoDeck.DEFAULT_DECK_SEED),
+                patterns: Array.isArray(message.patterns) ? message.patterns.map(String) : ['line'],
+                customPatterns: customPatternsFrom(message.customPatterns),
+                calls: Array.isArray(message.calls) ? message.calls.filter(isValidNumber) : [],
+                boardLimit: boardLimitFrom(message.boardLimit),
+                players: new Map(),
+                pendingClaims: new Map(),
+                lastActivity: Date.now()
+            };
+            rooms.set(room.code, room);
+            room.players.set(room.hostId, { id: room.hostId, name: 'Host', boards: new Set(), peer: null });
+        }
+
+        const host = room.players.get(room.hostId);
+        if (host.peer && host.peer !== peer) host.peer.close(4000, 'Host reconnected elsewhere');
+        host.peer = peer;
+        peer.session = { room, playerId: room.hostId };
+        reply({ type: 'room-created', hostToken: room.hostToken, ...roomSnapshot(room, room.hostId) });
+        return;
+    }
+
+    if (message.type === 'join') {
+        const room = rooms.get(String(message.code || '').toUpperCase());
+        if (!room) return fail('roomNotFound', 'Room not found');
+
+        // Ids are broadcast to the room, so taking a seat back needs its token too
+        let player = message.playerId && room.players.get(message.playerId);
+        if (player && player.id === room.hostId) return fail('hostSeat', 'Use host to rejoin as host');
+        if (player && player.token !== message.playerToken) return fail('wrongPlayerToken', 'Wrong player token');
+        if (!player) {
+            player = {
+                id: crypto.randomUUID(),
+                token: crypto.randomBytes(16).toString('hex'),
+                name: String(message.name || 'Player').slice(0, 40),
+                boards: new Set(),
+                peer: null
+            };
+            room.players.set(player.id, player);
+            broadcast(room, { type: 'player-joined', playerId: player.id, name: player.name });
+        }
+        if (player.peer && player.peer !== peer) player.peer.close(4000, 'Reconnected elsewhere');
+        player.peer = peer;
+        peer.session = { room, playerId: player.id };
+        reply({ type: 'joined', name: player.name, playerToken: player.token, ...roomSnapshot(room, player.id) });
+        return;
+    }
+
+    if (!peer.session) return fail('notInRoom', 'Host or join a room first');
+
+    const { room, playerId } = peer.session;
+    const player = room.players.get(playerId);
+    const isHost = playerId === room.hostId;
+    room.lastActivity = Date.now();
+
+    switch (message.type) {
+        case 'reserve': {
+            // All-or-nothing per board: ids someone else holds are rejected
+            const taken = new Set();
+            room.players.forEach(p => { if (p !== player) p.boards.forEach(id => taken.add(id)); });
+
+            const wanted = (Array.isArray(message.boards) ? message.boards : []).filter(isValidBoard);
+            const rejected = wanted.filter(id => taken.has(id));
+            const free = wanted.filter(id => !taken.has(id));
+
+            // Boards past the host's per-player limit are turned away too
+            const granted = room.boardLimit > 0 ? free.slice(0, room.boardLimit) : free;
+            const overLimit = free.slice(granted.length);
+
+            // The request replaces the player's previous reservation
+            player.boards = new Set(granted);
+            reply({ type: 'reserved', boards: granted, rejected, overLimit });
+            broadcast(room, { type: 'taken', taken: takenBoards(room) });
+            break;
+        }
+        case 'call': {
+            if (!isHost) return fail('hostOnly', 'Only the host can call numbers');
+            const number = message.number;
+            if (!isValidNumber(number) || room.calls.includes(number)) return fail('invalidCall', 'Invalid call');
+            room.calls.push(number);
+            broadcast(room, { type: 'called', number, calls: room.calls });
+            break;
+        }
+        case 'undo': {
+            if (!isHost) return fail('hostOnly', 'Only the host can undo calls');
+            const number = room.calls.pop();
+            if (number !== undefined) broadcast(room, { type: 'uncalled', number, calls: room.calls });
+            break;
+        }
+        case 'reset': {
+            if (!isHost) return fail('hostOnly', 'Only the host can reset the game');
+            room.calls = [];
+            if (Array.isArray(message.patterns)) {
+                room.patterns = message.patterns.map(String);
+                room.customPatterns = customPatternsFrom(message.customPatterns);
+            }
+            broadcast(room, { type: 'reset', calls: [], patterns: room.patterns, customPatterns: room.customPatterns });
+            break;
+        }
+        case 'patterns': {
+            if (!isHost) return fail('hostOnly', 'Only the host can choose patterns');
+            room.patterns = (Array.isArray(message.patterns) ? message.patterns : []).map(String);
+            room.customPatterns = customPatternsFrom(message.customPatterns);
+            broadcast(room, { type: 'patterns', patterns: room.patterns, customPatterns: room.customPatterns });
+            break;
+        }
+        case 'limit': {
+            if (!isHost) return fail('hostOnly', 'Only the host can set the board limit');
+            room.boardLimit = boardLimitFrom(message.boardLimit);
+            broadcast(room, { type: 'limit', boardLimit: room.boardLimit });
+            break;
+        }
+        case 'claim': {
+            const boardId = message.boardId;
+            if (!player.boards.has(boardId)) return fail('notYourBoard', `Board #${boardId} is not yours`, { board: boardId });
+            const host = room.players.get(room.hostId);
+            if (!host.peer) return fail('hostOffline', 'Host is offline');
+
+            const claimId = crypto.randomUUID();
+            room.pendingClaims.set(claimId, { playerId, boardId });
+            host.peer.send({
+                type: 'claim',
+                claimId,
+                playerId,
+                name: player.name,
+                boardId,
+                markedCells: Array.isArray(message.markedCells) ? message.markedCells : []
+            });
+            reply({ type: 'claim-sent', boardId });
+            break;
+        }
+        case 'verdict': {
+            if (!isHost) return fail('hostOnly', 'Only the host can adjudicate claims');
+            const claim = room.pendingClaims.get(message.claimId);
+            if (!claim) return fail('unknownClaim', 'Unknown claim');
+            room.pendingClaims.delete(message.claimId);
+
+            const claimant = room.players.get(claim.playerId);
+            const result = {
+                boardId: claim.boardId,
+                valid: Boolean(message.valid),
+                pattern: message.pattern || null,
+                winningNumber: message.winningNumber || null
+            };
+            if (claimant && claimant.peer) claimant.peer.send({ type: 'claim-result', ...result });
+            if (result.valid) {
+                broadcast(room, { type: 'winner', name: claimant ? claimant.name : '?', ...result });
+            }
+            break;
+        }
+        case 'leave': {
+            if (isHost) {
+                broadcast(room, { type: 'room-closed' }, peer);
+                rooms.delete(room.code);
+            } else {
+                room.players.delete(playerId);
+                broadcast(room, { type: 'player-left', playerId, name: player.name });
+                broadcast(room, { type: 'taken', taken: takenBoards(room) });
+            }
+            peer.session = null;
+            break;
+        }
+        default:
+            fail('badMessage', `Unknown message type "${message.type}"`);
+    }
+}
+
+function isValidNumber(n) {
+    return Number.isInteger(n) && n >= 1 && n <= TOTAL_NUMBERS;
+}
+
+function isValidBoard(id) {
+    return Number.isInteger(id) && id >= 1 && id <= MAX_BOARDS;
+}
+
+// The host's own patterns travel as { name, mask } (5 rows of 5) so
+// players can define them; players derive the same id from the mask
+function customPatternsFrom(value) {
+    return (Array.isArray(value) ? value : [])
+        .filter(p => p && Array.isArray(p.mask) && p.mask.length === 5 &&
+            p.mask.every(row => typeof row === 'string' && row.length === 5))
+        .slice(0, MAX_CUSTOM_PATTERNS)
+        .map(p => ({ name: String(p.name || 'Custom').slice(0, 40), mask: p.mask }));
+}
+
+// 0 means no limit
+function boardLimitFrom(value) {
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_BOARDS) : 0;
+}
+
+// ---------- STATIC FILES ----------
+function serveStatic(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        // Malformed escapes such as /%E0%A4%A
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    let filePath = path.normalize(path.join(APP_ROOT, pathname));
+    if (url.pathname === '/') filePath = path.join(APP_ROOT, 'index.html');
+
+    if (!filePath.startsWith(APP_ROOT + path.sep) || path.basename(filePath).startsWith('.')) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+// ---------- SYNC API ----------
+// Reference implementation of the endpoint outbox.js replays to.
+// In-memory only: enough for a hall laptop and for testing the client.
+function createSyncStore() {
+    return {
+        seen: new Map(),     // event id → response status, makes retries idempotent
+        marks: new Map(),    // session:board:cell → { index, marked, at }
+        claims: new Map(),   // session:board:pattern → claim payload
+        events: []           // session events in arrival order
+    };
+}
+
+function applySyncEvent(store, event) {
+    if (!event || typeof event.id !== 'string' || !event.payload) {
+        return { status: 400, body: { error: 'Event needs id and payload' } };
+    }
+    if (store.seen.has(event.id)) {
+        return { status: 200, body: { duplicate: true } };
+    }
+
+    const payload = event.payload;
+    let result = { status: 200, body: { ok: true } };
+
+    switch (event.kind) {
+        case 'mark': {
+            // Last write wins by device timestamp; older writes are conflicts
+            const key = `${payload.sessionId}:${payload.boardId}:${payload.index}`;
+            const current = store.marks.get(key);
+            if (current && current.at > payload.at) {
+                result = { status: 409, body: { current } };
+            } else {
+                store.marks.set(key, { index: payload.index, marked: Boolean(payload.marked), at: payload.at });
+            }
+            break;
+        }
+        case 'claim': {
+            const key = `${payload.sessionId}:${payload.boardId}:${payload.patternId || ''}`;
+            if (store.claims.has(key)) {
+                result = { status: 409, body: { current: store.claims.get(key) } };
+            } else {
+                store.claims.set(key, payload);
+            }
+            break;
+        }
+        case 'session':
+            store.events.push(payload);
+            break;
+        default:
+            result = { status: 422, body: { error: `Unknown event kind "${event.kind}"` } };
+    }
+
+    store.seen.set(event.id, result.status);
+    return result;
+}
+
+function handleSyncRequest(store, req, res) {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_PAYLOAD) req.destroy();
+    });
+    req.on('end', () => {
+        let result;
+        try {
+            result = applySyncEvent(store, JSON.parse(body));
+        } catch (error) {
+            result = { status: 400, body: { error: 'Invalid JSON' } };
+        }
+        res.writeHead(result.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result.body));
+    });
+}
+
+// ---------- SERVER ----------
+/**
+ * Creates (but does not start) a game server.
+ * Returns { server, rooms, syncStore, listen(port), close() }.
+ */
+function createBingoServer({ serveApp = true } = {}) {
+    const rooms = new Map();
+    const syncStore = createSyncStore();
+
+    const server = http.createServer((req, res) => {
+        if (req.method === 'POST' && req.url === '/api/sync') {
+            handleSyncRequest(syncStore, req, res);
+        } else if (serveApp && req.method === 'GET') {
+            serveStatic(req, res);
+        } else {
+            res.writeHead(405);
+            res.end();
+        }
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (req.headers.upgrade.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const peer = new Peer(socket);
+        peer.onmessage = (message) => {
+            if (!message || typeof message.type !== 'string') {
+                peer.send({ type: 'error', code: 'badMessage', message: 'Message needs a type' });
+                return;
+            }
+            handleMessage(rooms, peer, message);
+        };
+        peer.onclose = () => {
+            if (!peer.session) return;
+            const { room, playerId } = peer.session;
+            const player = room.players.get(playerId);
+            // Keep the seat and boards so the player can reconnect
+            if (player && player.peer === peer) player.peer = null;
+            room.lastActivity = Date.now();
+        };
+    });
+
+    // Forget rooms nobody has touched in a while
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        rooms.forEach((room, code) => {
+            const connected = Array.from(room.players.values()).some(p => p.peer);
+            if (!connected && now - room.lastActivity > ROOM_IDLE_MS) rooms.delete(code);
+        });
+    }, 60 * 1000);
+    sweeper.unref();
+
+    return {
+        server,
+        rooms,
+        syncStore,
+        listen(port = DEFAULT_PORT, host) {
+            return new Promise(resolve => server.listen(port, host, () => resolve(server.address())));
+        },
+        close() {
+            clearInterval(sweeper);
+            rooms.forEach(room => room.players.forEach(p => p.peer && p.peer.close(1001, 'Server shutting down')));
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = { createBingoServer };
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    createBingoServer().listen(port).then(() => {
+        console.log(`መርከብ ቢንጎ server on http://0.0.0.0:${port}/ (WebSocket: ws://<this-ip>:${port}/ws)`);
+    });
+}
@@ -0,0 +1,207 @@
+/* ========================================
+   STATS.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Statistics from saved games and the SVG charts that show them
+   ======================================== */
+
+// UMD wrapper: window.BingoStats in the page, require('./stats') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./deck.js'));
+    } else {
+        root.BingoStats = factory(root.BingoDeck);
+    }
+})(typeof self !== 'undefined' ? self : this, function(BingoDeck) {
+    "use strict";
+
+    // Everything is worked out from the saved sessions, not from board.score.
+    // A "game" is one round that had at least one call: a session's
+    // finished rounds are in `pastRounds` ({ number, calls, endedAt, patternCount }) and
+    // the round in progress is `round` + `calls`. A session's `winners`
+    // carry the round they were won in and the call count of the win.
+
+    // ---------- CONSTANTS ----------
+    const NUMBERS = 75;
+    const HOT_COLD = 5;          // numbers shown as hot and as cold
+    const LUCKY_BOARDS = 10;
+    const DROUGHTS = 10;
+
+    // ---------- GAMES ----------
+    function isCallList(calls) {
+        return Array.isArray(calls) && calls.every(n => Number.isInteger(n) && n >= 1 && n <= NUMBERS);
+    }
+
+    /**
+     * Every game in `sessions`, oldest first:
+     * [{ sessionId, round, calls, winners }].
+     */
+    function collectGames(sessions) {
+        const games = [];
+        [...sessions]
+            .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+            .forEach(session => {
+                const rounds = (Array.isArray(session.pastRounds) ? session.pastRounds : [])
+                    .filter(past => past && Number.isInteger(past.number) && isCallList(past.calls))
+                    .map(past => ({ number: past.number, calls: past.calls }));
+                const current = session.round ? session.round.number : 1;
+                if (isCallList(session.calls) && !rounds.some(past => past.number === current)) {
+                    rounds.push({ number: current, calls: session.calls });
+                }
+
+                // Sessions saved before rounds hold round 1 only
+                const winners = (session.winners || []).map(w => ({ round: 1, ...w }));
+                rounds
+                    .filter(r => r.calls.length > 0)
+                    .sort((a, b) => a.number - b.number)
+                    .forEach(r => games.push({
+                        sessionId: session.id,
+                        round: r.number,
+                        calls: r.calls,
+                        winners: winners.filter(w => w.round === r.number)
+                    }));
+            });
+        return games;
+    }
+
+    // ---------- STATS ----------
+    function byCount(a, b) {
+        return b.count - a.count || a.number - b.number;
+    }
+
+    // How many games in a row each number went uncalled: the longest run and the one still going
+    function droughts(games) {
+        const runs = [];
+        for (let number = 1; number <= NUMBERS; number++) {
+            let current = 0;
+            let longest = 0;
+            games.forEach(game => {
+                current = game.calls.includes(number) ? 0 : current + 1;
+                longest = Math.max(longest, current);
+            });
+            runs.push({ number, longest, current });
+        }
+        return runs
+            .filter(run => run.longest > 0)
+            .sort((a, b) => b.longest - a.longest || b.current - a.current || a.number - b.number)
+            .slice(0, DROUGHTS);
+    }
+
+    /**
+     * The dashboard's numbers:
+     *   { sessions, games, wins, wonGames, averageCallsToWin, callsToWin,
+     *     patterns: [{ patternId, pattern, count }], luckyBoards: [{ boardId, count }],
+     *     frequency: [{ number, count }] for 1..75, hot, cold, droughts }
+     * `callsToWin` is, per won game, the call the first win came on.
+     */
+    function computeStats(sessions) {
+        const games = collectGames(sessions);
+        const wins = games.flatMap(game => game.winners);
+
+        const patterns = new Map();
+        wins.forEach(win => {
+            const entry = patterns.get(win.patternId) ||
+                { patternId: win.patternId, pattern: win.pattern || win.patternId, count: 0 };
+            entry.count++;
+            patterns.set(win.patternId, entry);
+        });
+
+        const boards = new Map();
+        wins.forEach(win => boards.set(win.boardId, (boards.get(win.boardId) || 0) + 1));
+
+        const callsToWin = games
+            .filter(game => game.winners.length > 0)
+            .map(game => Math.min(...game.winners.map(w => w.callCount || game.calls.length)));
+
+        const counts = new Array(NUMBERS + 1).fill(0);
+        games.forEach(game => game.calls.forEach(n => { counts[n]++; }));
+        const frequency = counts.slice(1).map((count, i) => ({ number: i + 1, count }));
+        const ranked = [...frequency].sort(byCount);
+
+        return {
+            sessions: new Set(games.map(game => game.sessionId)).size,
+            games: games.length,
+            wins: wins.length,
+            wonGames: callsToWin.length,
+            averageCallsToWin: callsToWin.length > 0 ?
+                callsToWin.reduce((total, calls) => total + calls, 0) / callsToWin.length : 0,
+            callsToWin,
+            patterns: Array.from(patterns.values()).sort((a, b) => b.count - a.count || a.pattern.localeCompare(b.pattern)),
+            luckyBoards: Array.from(boards, ([boardId, count]) => ({ boardId, count }))
+                .sort((a, b) => b.count - a.count || a.boardId - b.boardId)
+                .slice(0, LUCKY_BOARDS),
+            frequency,
+            hot: games.length > 0 ? ranked.slice(0, HOT_COLD) : [],
+            cold: games.length > 0 ? ranked.slice(-HOT_COLD).reverse() : [],
+            droughts: droughts(games)
+        };
+    }
+
+    // Calls-to-win grouped into buckets of `size` calls: [{ from, to, count }]
+    function histogram(values, size = 5) {
+        if (values.length === 0) return [];
+        const first = Math.floor((Math.min(...values) - 1) / size);
+        const last = Math.floor((Math.max(...values) - 1) / size);
+        const buckets = [];
+        for (let b = first; b <= last; b++) buckets.push({ from: b * size + 1, to: (b + 1) * size, count: 0 });
+        values.forEach(value => { buckets[Math.floor((value - 1) / size) - first].count++; });
+        return buckets;
+    }
+
+    // ---------- CHARTS ----------
+    // SVG markup sized by its viewBox; the page colours it through the classes
+    function escapeXml(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    /**
+     * Horizontal bars, one row per item: [{ label, value, title? }].
+     */
+    function barChart(items, { width = 300, row = 22 } = {}) {
+        const max = Math.max(1, ...items.map(item => item.value));
+        const labelWidth = 90;
+        const room = width - labelWidth - 30;
+        const bars = items.map((item, i) => {
+            const y = i * row;
+            const length = Math.max(1, Math.round(item.value / max * room));
+            return `<g><title>${escapeXml(item.title || `${item.label}: ${item.value}`)}</title>` +
+                `<text class="chart-label" x="${labelWidth - 6}" y="${(y + row * 0.7).toFixed(1)}" text-anchor="end">${escapeXml(item.label)}</text>` +
+                `<rect class="chart-bar" x="${labelWidth}" y="${y + 3}" width="${length}" height="${row - 6}" rx="3"/>` +
+                `<text class="chart-value" x="${labelWidth + length + 4}" y="${(y + row * 0.7).toFixed(1)}">${escapeXml(item.value)}</text></g>`;
+        }).join('');
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="stats-chart" viewBox="0 0 ${width} ${Math.max(row, items.length * row)}" role="img">${bars}</svg>`;
+    }
+
+    /**
+     * Vertical columns: [{ label, value, className?, title? }]. Labels are
+     * drawn every `labelEvery` columns so 75 numbers stay readable.
+     */
+    function columnChart(items, { width = 300, height = 120, labelEvery = 1 } = {}) {
+        const max = Math.max(1, ...items.map(item => item.value));
+        const step = width / Math.max(1, items.length);
+        const plot = height - 16;
+        const columns = items.map((item, i) => {
+            const x = i * step;
+            const tall = item.value > 0 ? Math.max(1, item.value / max * plot) : 0;
+            const label = i % labelEvery === 0 ?
+                `<text class="chart-label" x="${(x + step / 2).toFixed(1)}" y="${height - 3}" text-anchor="middle">${escapeXml(item.label)}</text>` : '';
+            return `<g><title>${escapeXml(item.title || `${item.label}: ${item.value}`)}</title>` +
+                `<rect class="chart-bar${item.className ? ` ${item.className}` : ''}" x="${(x + step * 0.1).toFixed(1)}" ` +
+                `y="${(plot - tall).toFixed(1)}" width="${(step * 0.8).toFixed(1)}" height="${tall.toFixed(1)}"/>${label}</g>`;
+        }).join('');
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">${columns}</svg>`;
+    }
+
+    // Column letter for colouring the frequency chart
+    function letterClass(number) {
+        return `letter-${BingoDeck.letterFor(number).toLowerCase()}`;
+    }
+
+    return {
+        collectGames,
+        computeStats,
+        histogram,
+        barChart,
+        columnChart,
+        letterClass
+    };
+});
@@ -0,0 +1,286 @@
+/* ========================================
+   STORAGE.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Promise-based IndexedDB access with schema migrations
+   ======================================== */
+
+// UMD wrapper: self.BingoStorage in the page/worker, require('./storage') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BingoStorage = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    "use strict";
+
+    // ---------- SCHEMA ----------
+    const DB_NAME = 'BingoDB';
+
+    // MIGRATIONS[n] upgrades a database from version n to n + 1.
+    // Append new steps; never edit one that has shipped. A step that
+    // writes from a request callback returns that request so the steps
+    // after it only run once the write has been queued.
+    const MIGRATIONS = [
+        // v1: original schema
+        (db) => {
+            if (!db.objectStoreNames.contains('boards')) {
+                db.createObjectStore('boards', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('gameState')) {
+                db.createObjectStore('gameState', { keyPath: 'id' });
+            }
+        },
+        // v2: boards from before seeded decks carry random numbers - drop them
+        (db, tx) => {
+            const request = tx.objectStore('boards').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!cursor.value.deckSeed) cursor.delete();
+                cursor.continue();
+            };
+        },
+        // v3: named sessions; the single 'current' game becomes the first one
+        (db, tx) => {
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('updatedAt', 'updatedAt');
+
+            const gameState = tx.objectStore('gameState');
+            const request = gameState.get('current');
+            request.onsuccess = () => {
+                const state = request.result;
+                if (!state || state.sessionId) return;
+
+                const stamp = state.timestamp || Date.now();
+                const session = {
+                    ...state,
+                    id: `s-${stamp}`,
+                    name: 'Game 1',
+                    createdAt: stamp,
+                    updatedAt: stamp,
+                    winners: []
+                };
+                delete session.timestamp;
+                sessions.put(session);
+                gameState.put({ id: 'current', sessionId: session.id });
+            };
+            return request;
+        },
+        // v4: outbox of events waiting to be sent to the sync server
+        (db) => {
+            const outbox = db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+            outbox.createIndex('nextAttemptAt', 'nextAttemptAt');
+        },
+        // v5: one record per marked board, so a save only writes the boards that changed
+        (db, tx) => {
+            const sessionBoards = db.createObjectStore('sessionBoards', { keyPath: ['sessionId', 'id'] });
+            sessionBoards.createIndex('sessionId', 'sessionId');
+
+            const request = tx.objectStore('sessions').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const session = cursor.value;
+                (session.boards || []).forEach(board => sessionBoards.put({ ...board, sessionId: session.id }));
+                delete session.boards;
+                cursor.update(session);
+                cursor.continue();
+            };
+        },
+        // v6: fixed decks imported from a file, cards not derived from a seed
+        (db) => {
+            db.createObjectStore('decks', { keyPath: 'id' });
+        }
+    ];
+    const DB_VERSION = MIGRATIONS.length;
+
+    // ---------- ERRORS ----------
+    class StorageError extends Error {
+        constructor(message, cause) {
+            super(cause && cause.message ? `${message}: ${cause.message}` : message);
+            this.name = 'StorageError';
+            this.cause = cause;
+        }
+    }
+
+    // ---------- PROMISE WRAPPERS ----------
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ---------- CONNECTION ----------
+    let dbPromise = null;
+    let dbName = DB_NAME;
+    let idbFactory = typeof indexedDB !== 'undefined' ? indexedDB : null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        if (!idbFactory) {
+            return Promise.reject(new StorageError('IndexedDB is not available'));
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = idbFactory.open(dbName, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const tx = request.transaction;
+                const upgradeFrom = (v) => {
+                    if (v >= DB_VERSION) return;
+                    const pending = MIGRATIONS[v](db, tx);
+                    if (!pending) {
+                        upgradeFrom(v + 1);
+                        return;
+                    }
+                    // Chained onto the step's own handler, so its writes go first
+                    const handler = pending.onsuccess;
+                    pending.onsuccess = (e) => {
+                        handler.call(pending, e);
+                        upgradeFrom(v + 1);
+                    };
+                };
+                upgradeFrom(event.oldVersion);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab is upgrading: step aside so it is not blocked
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                dbPromise = null;
+                reject(new StorageError(`Could not open ${dbName}`, request.error));
+            };
+
+            request.onblocked = () => {
+                console.warn(`${dbName} upgrade blocked by another open tab`);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    function close() {
+        if (!dbPromise) return Promise.resolve();
+        const pending = dbPromise;
+        dbPromise = null;
+        return pending.then(db => db.close(), () => {});
+    }
+
+    // Runs `work(store)` in one transaction and resolves once it has committed
+    async function withStore(storeName, mode, work) {
+        const db = await open();
+        let tx;
+        try {
+            tx = db.transaction(storeName, mode);
+        } catch (error) {
+            throw new StorageError(`Cannot access "${storeName}"`, error);
+        }
+
+        const done = transactionDone(tx);
+        done.catch(() => {}); // observed below; avoids an unhandled rejection on abort
+        let result;
+        try {
+            result = await work(tx.objectStore(storeName));
+            await done;
+        } catch (error) {
+            try { tx.abort(); } catch (ignored) { /* already finished */ }
+            throw error instanceof StorageError ? error :
+                new StorageError(`${mode === 'readonly' ? 'Read from' : 'Write to'} "${storeName}" failed`, error);
+        }
+        return result;
+    }
+
+    // ---------- STORE OPERATIONS ----------
+    function get(storeName, key) {
+        return withStore(storeName, 'readonly', store => requestToPromise(store.get(key)));
+    }
+
+    function getAll(storeName) {
+        return withStore(storeName, 'readonly', store => requestToPromise(store.getAll()));
+    }
+
+    function put(storeName, value) {
+        return withStore(storeName, 'readwrite', store => requestToPromise(store.put(value)));
+    }
+
+    function putAll(storeName, values) {
+        return withStore(storeName, 'readwrite', store =>
+            Promise.all(values.map(value => requestToPromise(store.put(value)))));
+    }
+
+    function remove(storeName, key) {
+        return withStore(storeName, 'readwrite', store => requestToPromise(store.delete(key)));
+    }
+
+    function getAllByIndex(storeName, indexName, key) {
+        return withStore(storeName, 'readonly', store => requestToPromise(store.index(indexName).getAll(key)));
+    }
+
+    // Deletes every record whose `indexName` equals `key`; resolves with the count
+    function removeByIndex(storeName, indexName, key) {
+        return withStore(storeName, 'readwrite', store => new Promise((resolve, reject) => {
+            let removed = 0;
+            const request = store.index(indexName).openCursor(key);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(removed);
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    function clear(storeName) {
+        return withStore(storeName, 'readwrite', store => requestToPromise(store.clear()));
+    }
+
+    // Lets Node tooling supply an IndexedDB implementation
+    function useFactory(factory) {
+        idbFactory = factory;
+        dbPromise = null;
+    }
+
+    // A database of its own, e.g. for benchmark.html, so real games are untouched
+    function useDatabase(name) {
+        close();
+        dbName = name;
+    }
+
+    return {
+        DB_NAME,
+        DB_VERSION,
+        StorageError,
+        open,
+        close,
+        get,
+        getAll,
+        put,
+        putAll,
+        remove,
+        getAllByIndex,
+        removeByIndex,
+        clear,
+        useFactory,
+        useDatabase
+    };
+});
@@ -4,28 +4,42 @@
    Handles offline caching and network fallbacks
    ======================================== */
 
-// Service Worker version - increment when files change
-const SW_VERSION = '1.0.0';
-const CACHE_NAME = `bingo-pwa-v${SW_VERSION}`;
+// Shared IndexedDB + outbox code and release notes (also used by the page)
+importScripts('/storage.js', '/outbox.js', '/changelog.js');
 
-// Assets to cache on install
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  '/icons/icon-72.png',
-  '/icons/icon-96.png',
-  '/icons/icon-128.png',
-  '/icons/icon-144.png',
-  '/icons/icon-152.png',
-  '/icons/icon-167.png',
-  '/icons/icon-180.png',
-  '/icons/icon-192.png',
-  '/icons/icon-256.png',
-  '/icons/icon-512.png'
+// Version comes from changelog.js, like APP_VERSION. Precached files are
+// only re-downloaded when their revision in the manifest below changes.
+const SW_VERSION = BingoChangelog.CURRENT_VERSION;
+const CACHE_NAME = `bingo-pwa-v${SW_VERSION}`;   // runtime cache
+const PRECACHE_NAME = 'bingo-precache';           // revisioned app shell
+const AUDIO_CACHE_NAME = 'bingo-audio';           // call clips, kept across versions
+
+// ---------- PRECACHE MANIFEST (generated by build-sw.js - do not edit) ----------
+const PRECACHE_MANIFEST = [
+  { url: '/caller.js', revision: 'f7338d35276f' },
+  { url: '/changelog.js', revision: 'b4089a7903c1' },
+  { url: '/deck.js', revision: 'c0caf4f53d69' },
+  { url: '/deckfile.js', revision: 'bd4730d31cd8' },
+  { url: '/i18n.js', revision: 'adf0ab3ed72f' },
+  { url: '/index.html', revision: '7bc421213b4a' },
+  { url: '/ledger.js', revision: '3a9d9bf68449' },
+  { url: '/manifest.json', revision: '21c6cc7d7c9b' },
+  { url: '/multiplayer.js', revision: '2203b2022061' },
+  { url: '/outbox.js', revision: '62d9282270c7' },
+  { url: '/patterns.js', revision: '75cf640d3665' },
+  { url: '/qr.js', revision: '100f10e9e4b5' },
+  { url: '/script.js', revision: 'bf379363d28d' },
+  { url: '/stats.js', revision: '33bea606516e' },
+  { url: '/storage.js', revision: '46b2d8664e1f' },
+  { url: '/style.css', revision: '157f0f66419c' },
+  { url: '/voice.js', revision: 'c01a2ac1e885' }
 ];
+// ---------- END PRECACHE MANIFEST ----------
+
+// url → cache key carrying the content revision
+const PRECACHE_KEYS = new Map(
+  PRECACHE_MANIFEST.map((entry) => [entry.url, `${entry.url}?__rev=${entry.revision}`])
+);
 
 // API endpoints to cache (for offline fallback)
 const API_ENDPOINTS = [
@@ -35,28 +49,65 @@ const API_ENDPOINTS = [
 ];
 
 // ---------- INSTALL EVENT ----------
-// Cache static assets on install
+// Download only the precached files whose revision we don't have yet.
+// An update then waits until the page sends SKIP_WAITING, so a game in
+// progress is never switched to new code under its feet.
 self.addEventListener('install', (event) => {
   console.log(`[ServiceWorker] Installing version ${SW_VERSION}`);
   
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('[ServiceWorker] Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
+    precacheAssets()
       .then(() => {
         console.log('[ServiceWorker] Installation complete');
-        return self.skipWaiting(); // Activate immediately
+        return announceUpdate();
       })
       .catch((error) => {
+        // Fail the install so the browser keeps the previous worker and retries later
         console.error('[ServiceWorker] Installation failed:', error);
+        throw error;
       })
   );
 });
 
+// Tell open pages which version is waiting and what changed in it
+async function announceUpdate(target) {
+  const message = {
+    type: 'UPDATE_READY',
+    version: SW_VERSION,
+    releases: BingoChangelog.RELEASES
+  };
+  
+  if (target) {
+    target.postMessage(message);
+    return;
+  }
+  
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach((client) => client.postMessage(message));
+}
+
+async function precacheAssets() {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cachedKeys = new Set((await cache.keys()).map((request) => {
+    const url = new URL(request.url);
+    return url.pathname + url.search;
+  }));
+  
+  const missing = PRECACHE_MANIFEST.filter((entry) => !cachedKeys.has(PRECACHE_KEYS.get(entry.url)));
+  console.log(`[ServiceWorker] Precaching ${missing.length} of ${PRECACHE_MANIFEST.length} files`);
+  
+  await Promise.all(missing.map(async (entry) => {
+    // Bypass the HTTP cache so a stale copy can't be stored under a new revision
+    const response = await fetch(entry.url, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`${entry.url} responded ${response.status}`);
+    }
+    await cache.put(PRECACHE_KEYS.get(entry.url), response);
+  }));
+}
+
 // ---------- ACTIVATE EVENT ----------
-// Clean up old caches on activate
+// Clean up old caches and superseded revisions on activate
 self.addEventListener('activate', (event) => {
   console.log('[ServiceWorker] Activating');
   
@@ -64,12 +115,13 @@ self.addEventListener('activate', (event) => {
     caches.keys().then((keyList) => {
       return Promise.all(keyList.map((key) => {
         // Delete old cache versions
-        if (key !== CACHE_NAME) {
+        if (key !== CACHE_NAME && key !== PRECACHE_NAME && key !== AUDIO_CACHE_NAME) {
           console.log('[ServiceWorker] Removing old cache:', key);
           return caches.delete(key);
         }
       }));
     })
+    .then(() => removeStalePrecache())
     .then(() => {
       console.log('[ServiceWorker] Activation complete');
       return self.clients.claim(); // Take control immediately
@@ -77,6 +129,19 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+async function removeStalePrecache() {
+  const current = new Set(PRECACHE_KEYS.values());
+  const cache = await caches.open(PRECACHE_NAME);
+  const requests = await cache.keys();
+  
+  await Promise.all(requests.map((request) => {
+    const url = new URL(request.url);
+    if (!current.has(url.pathname + url.search)) {
+      return cache.delete(request);
+    }
+  }));
+}
+
 // ---------- FETCH EVENT ----------
 // Strategy: Cache First, then Network with offline fallback
 self.addEventListener('fetch', (event) => {
@@ -88,16 +153,26 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Writes (e.g. outbox replays to /api/sync) must reach the network untouched
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const precacheKey = PRECACHE_KEYS.get(url.pathname === '/' ? '/index.html' : url.pathname);
+
   // Handle different request types
   if (request.mode === 'navigate') {
     // HTML pages - Network first, fallback to cache
     event.respondWith(handleNavigation(request));
-  } else if (STATIC_ASSETS.includes(url.pathname)) {
-    // Static assets - Cache first
-    event.respondWith(handleStaticAsset(request));
+  } else if (precacheKey) {
+    // Precached app shell - Cache first
+    event.respondWith(handlePrecached(request, precacheKey));
   } else if (url.pathname.startsWith('/api/')) {
     // API requests - Network first, fallback to cache
     event.respondWith(handleAPIRequest(request));
+  } else if (url.pathname.startsWith('/audio/')) {
+    // Call clips - Cache first, kept once played
+    event.respondWith(handleAudio(request));
   } else {
     // Default - Cache first
     event.respondWith(handleDefault(request));
@@ -126,28 +201,22 @@ async function handleNavigation(request) {
       return cachedResponse;
     }
     
-    // Ultimate fallback - return cached index.html
-    return caches.match('/index.html');
+    // Ultimate fallback - return precached index.html
+    return caches.match(PRECACHE_KEYS.get('/index.html'));
   }
 }
 
-async function handleStaticAsset(request) {
-  const cachedResponse = await caches.match(request);
+async function handlePrecached(request, precacheKey) {
+  const cache = await caches.open(PRECACHE_NAME);
+  const cachedResponse = await cache.match(precacheKey);
   
   if (cachedResponse) {
-    // Return cached version and update cache in background
-    updateCache(request);
     return cachedResponse;
   }
   
-  // Not in cache - fetch and cache
+  // Not precached yet (e.g. first load) - go to the network
   try {
-    const networkResponse = await fetch(request);
-    if (networkResponse.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, networkResponse.clone());
-    }
-    return networkResponse;
+    return await fetch(request);
   } catch (error) {
     console.error('[ServiceWorker] Failed to fetch static asset:', request.url);
     return new Response('Offline - Asset not available', { status: 503 });
@@ -197,6 +266,28 @@ async function handleAPIRequest(request) {
   }
 }
 
+// Clips are cached as they are played rather than precached: a pack is
+// 150 files and most halls never install one. Partial (206) responses
+// can't be stored, and a 404 is passed on so the announcer can tell a
+// missing pack from being offline.
+async function handleAudio(request) {
+  const cache = await caches.open(AUDIO_CACHE_NAME);
+  const cachedResponse = await cache.match(request.url);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+  
+  try {
+    const networkResponse = await fetch(request.url);
+    if (networkResponse.status === 200) {
+      cache.put(request.url, networkResponse.clone());
+    }
+    return networkResponse;
+  } catch (error) {
+    return new Response('Offline - clip not cached', { status: 503 });
+  }
+}
+
 async function handleDefault(request) {
   const cachedResponse = await caches.match(request);
   
@@ -221,19 +312,6 @@ async function handleDefault(request) {
 }
 
 // ---------- UTILITY FUNCTIONS ----------
-async function updateCache(request) {
-  try {
-    const networkResponse = await fetch(request);
-    if (networkResponse.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, networkResponse);
-      console.log('[ServiceWorker] Cache updated:', request.url);
-    }
-  } catch (error) {
-    // Silent fail - keep using cached version
-  }
-}
-
 function shouldCache(request) {
   // Only cache GET requests
   if (request.method !== 'GET') return false;
@@ -251,26 +329,25 @@ function shouldCache(request) {
 // ---------- BACKGROUND SYNC ----------
 // Listen for sync events (when coming back online)
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-game-state') {
+  if (event.tag === 'sync-outbox' || event.tag === 'sync-game-state') {
     console.log('[ServiceWorker] Background sync triggered');
-    event.waitUntil(syncGameState());
+    event.waitUntil(syncOutbox());
   }
 });
 
-async function syncGameState() {
-  try {
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        type: 'SYNC_READY',
-        message: 'Connection restored. Syncing data...'
-      });
-    });
-    
-    // In production: sync with server
-    console.log('[ServiceWorker] Game state sync complete');
-  } catch (error) {
-    console.error('[ServiceWorker] Sync failed:', error);
+// Replays queued marks, claims and session events to the sync API
+async function syncOutbox() {
+  const summary = await BingoOutbox.replay();
+
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => {
+    client.postMessage({ type: 'SYNC_COMPLETE', summary });
+  });
+  console.log(`[ServiceWorker] Sync sent ${summary.sent}, ${summary.pending} pending`);
+
+  // Rejecting asks the browser to fire 'sync' again later
+  if (summary.pending > 0) {
+    throw new Error('Outbox not empty');
   }
 }
 
@@ -278,10 +355,9 @@ async function syncGameState() {
 self.addEventListener('push', (event) => {
   const data = event.data.json();
   
+  // No icon or badge: the PNG icons are generated by icon.sh and do not ship
   const options = {
     body: data.body,
-    icon: '/icons/icon-192.png',
-    badge: '/icons/icon-96.png',
     vibrate: [200, 100, 200],
     data: {
       url: data.url || '/'
@@ -304,9 +380,15 @@ self.addEventListener('notificationclick', (event) => {
 // ---------- MESSAGE HANDLING ----------
 self.addEventListener('message', (event) => {
   if (event.data.type === 'SKIP_WAITING') {
+    console.log(`[ServiceWorker] Activating ${SW_VERSION} on request`);
     self.skipWaiting();
   }
   
+  // A page that loaded after install asks the waiting worker directly
+  if (event.data.type === 'GET_VERSION' && event.source) {
+    event.waitUntil(announceUpdate(event.source));
+  }
+  
   if (event.data.type === 'CLEAR_CACHE') {
     caches.delete(CACHE_NAME);
   }
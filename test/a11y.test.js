@@ -0,0 +1,131 @@
+/* ========================================
+   TEST/A11Y.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Board grid semantics, the live region and modal focus, checked with axe
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const { loadApp, sleep, selectBoards, click, key } = require('./helpers/app.js');
+
+// jsdom has no layout, so colour contrast is left to a real browser
+async function violations(app, context) {
+    if (!app.window.axe) app.window.eval(axe.source);
+    const results = await app.window.axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+    return Array.from(results.violations, v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`);
+}
+
+async function started() {
+    const app = loadApp();
+    await app.ready;
+    return app;
+}
+
+test('boards are ARIA grids whose cells show their mark in aria-selected', async () => {
+    const app = await started();
+    try {
+        await selectBoards(app, '1,2');
+        const { document } = app;
+        const grids = document.querySelectorAll('#boardsContainer [role="grid"]');
+        assert.equal(grids.length, 2);
+
+        const grid = grids[0];
+        const rows = grid.querySelectorAll('[role="row"]');
+        assert.equal(rows.length, 6);   // letters, then five rows of cells
+        assert.equal(rows[0].querySelectorAll('[role="columnheader"]').length, 5);
+        const cells = grid.querySelectorAll('[role="gridcell"]');
+        assert.equal(cells.length, 25);
+        assert.equal(cells[12].getAttribute('aria-selected'), 'true');  // FREE
+        assert.equal(cells[0].getAttribute('aria-selected'), 'false');
+
+        // One tab stop per grid; arrows move it, Space daubs
+        assert.deepEqual([...cells].filter(cell => cell.tabIndex === 0), [cells[0]]);
+        cells[0].focus();
+        key(app, cells[0], 'ArrowRight');
+        assert.equal(document.activeElement, cells[1]);
+        key(app, cells[1], ' ');
+        assert.equal(cells[1].getAttribute('aria-selected'), 'true');
+
+        click(app, cells[6]);
+        assert.equal(cells[6].getAttribute('aria-selected'), 'true');
+        click(app, cells[6]);
+        assert.equal(cells[6].getAttribute('aria-selected'), 'false');
+
+        assert.deepEqual(await violations(app, document.getElementById('boardsContainer')), []);
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
+
+test('a daub is read out through the polite live region', async () => {
+    const app = await started();
+    try {
+        await selectBoards(app, '1');
+        const { document } = app;
+        const live = document.getElementById('liveRegion');
+        assert.equal(live.getAttribute('aria-live'), 'polite');
+
+        const cell = document.querySelector('#boardsContainer [role="gridcell"][data-index="0"]');
+        click(app, cell);
+        await sleep(80);
+        assert.ok(live.textContent.includes(cell.getAttribute('aria-label')), live.textContent);
+        assert.ok(live.textContent.includes('1'), live.textContent);
+    } finally {
+        app.close();
+    }
+});
+
+test('an open modal keeps Tab inside and Escape closes it, returning focus', async () => {
+    const app = await started();
+    try {
+        const { document } = app;
+        const opener = document.getElementById('noBoardsInfoBtn');
+        opener.focus();
+        opener.click();
+        const modal = document.getElementById('infoModal');
+        assert.equal(modal.style.display, 'block');
+        assert.equal(document.activeElement, document.getElementById('closeInfoModal'));
+
+        const focusable = [...modal.querySelectorAll('button, [href], select')];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        last.focus();
+        key(app, last, 'Tab');
+        assert.equal(document.activeElement, first);
+        key(app, first, 'Tab', { shiftKey: true });
+        assert.equal(document.activeElement, last);
+
+        assert.deepEqual(await violations(app, modal), []);
+
+        key(app, last, 'Escape');
+        assert.equal(modal.style.display, 'none');
+        assert.equal(document.activeElement, opener);
+    } finally {
+        app.close();
+    }
+});
+
+test('display, contrast and the near-win alert are in the settings modal', async () => {
+    const app = await started();
+    try {
+        await selectBoards(app, '1');
+        const { document } = app;
+        document.getElementById('settingsBtn').click();
+        const modal = document.getElementById('settingsModal');
+        assert.equal(modal.style.display, 'block');
+        ['displayModeSelect', 'highContrastInput', 'nearWinAlertInput'].forEach(id => {
+            assert.ok(modal.contains(document.getElementById(id)), id);
+        });
+
+        const contrast = document.getElementById('highContrastInput');
+        contrast.click();
+        assert.ok(document.body.classList.contains('high-contrast'));
+        assert.deepEqual(await violations(app, modal), []);
+    } finally {
+        app.close();
+    }
+});
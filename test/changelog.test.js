@@ -0,0 +1,33 @@
+/* ========================================
+   TEST/CHANGELOG.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Release list and version comparison
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoChangelog = require('../changelog.js');
+
+test('releases are listed newest first and the top one is current', () => {
+    const { RELEASES, CURRENT_VERSION, compareVersions } = BingoChangelog;
+    assert.equal(CURRENT_VERSION, RELEASES[0].version);
+    for (let i = 1; i < RELEASES.length; i++) {
+        assert.equal(compareVersions(RELEASES[i - 1].version, RELEASES[i].version), 1,
+            `${RELEASES[i - 1].version} should be newer than ${RELEASES[i].version}`);
+    }
+    RELEASES.forEach(release => assert.ok(release.changes.length > 0, `${release.version} lists no changes`));
+});
+
+test('versions compare numerically', () => {
+    const { compareVersions } = BingoChangelog;
+    assert.equal(compareVersions('1.10.0', '1.9.0'), 1);
+    assert.equal(compareVersions('1.2', '1.2.0'), 0);
+    assert.equal(compareVersions('1.1.0', '1.3.0'), -1);
+});
+
+test('an update lists every release it skips', () => {
+    const versions = BingoChangelog.changesBetween('1.0.0', '1.2.0').map(r => r.version);
+    assert.deepEqual(versions, ['1.2.0', '1.1.0']);
+});
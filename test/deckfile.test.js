@@ -0,0 +1,123 @@
+/* ========================================
+   TEST/DECKFILE.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Deck and game files: round trips, damaged game data and deck ids
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoDeck = require('../deck.js');
+const BingoDeckFile = require('../deckfile.js');
+const { loadApp, sleep } = require('./helpers/app.js');
+
+const SEED = 'TEST-DECK';
+const deck = {
+    id: SEED,
+    name: 'Test hall',
+    seed: SEED,
+    boards: [1, 2, 3].map(id => ({ id, numbers: BingoDeck.generateBoard(SEED, id) }))
+};
+
+function gameFile(session) {
+    return JSON.stringify(BingoDeckFile.exportSession(deck, {
+        name: 'Saturday',
+        calls: [5, 20, 33],
+        selectedBoards: [1, 2],
+        ...session
+    }));
+}
+
+function problemCodes(text) {
+    try {
+        BingoDeckFile.parseFile(text);
+    } catch (error) {
+        assert.ok(error instanceof BingoDeckFile.DeckFileError, error.message);
+        return error.problems.map(p => p.code);
+    }
+    return [];
+}
+
+test('an exported game reads back as it was saved', () => {
+    const session = {
+        winners: [{ round: 1, boardId: 2, patternId: 'row', pattern: 'Row', cells: [0, 1, 2, 3, 4], callCount: 3 }],
+        round: { number: 2, state: 'waiting', startedAt: null, endedAt: null, endCall: null },
+        activePatterns: ['row', 'custom-x'],
+        customPatterns: [{ name: 'X', mask: ['X...X', '.X.X.', '..X..', '.X.X.', 'X...X'] }],
+        pastRounds: [{ number: 1, calls: [5, 20, 33], endedAt: 1 }],
+        ledger: { cardPrice: 10, houseCut: 20, sales: [], payouts: [] },
+        autoDrawInterval: 5000,
+        boardLimit: 2,
+        daubMode: 'assist',
+        marks: [{ id: 2, markedCells: [0, 12], score: 1, patternScores: { row: 1 } }]
+    };
+    const file = BingoDeckFile.parseFile(gameFile(session));
+    assert.equal(file.kind, 'session');
+    assert.deepEqual(file.session.winners, session.winners);
+    assert.deepEqual(file.session.pastRounds, session.pastRounds);
+});
+
+test('malformed game fields are a session problem, not a crash later', () => {
+    [
+        { winners: 'none' },
+        { winners: [null] },
+        { winners: [{ boardId: 9, patternId: 'row' }] },
+        { round: 3 },
+        { round: { number: 0, state: 'playing' } },
+        { round: { number: 1, state: 'paused' } },
+        { activePatterns: [7] },
+        { customPatterns: [{ name: 'X', mask: 'X' }] },
+        { customPatterns: [{ name: 'X', mask: ['XX', 'XX', 'XX', 'XX', 'XX'] }] },
+        { pastRounds: [{ number: 1, calls: [0] }] },
+        { pastRounds: {} },
+        { ledger: null },
+        { ledger: { sales: 'lots' } },
+        { ledger: { payouts: [null] } },
+        { name: 42 },
+        { autoDrawInterval: '0' },
+        { autoDrawInterval: 0 },
+        { boardLimit: -5 },
+        { boardLimit: 1.5 },
+        { daubMode: 'always' },
+        { marks: [{ id: 1, markedCells: [12], score: -1 }] },
+        { marks: [{ id: 1, markedCells: [12], score: '3' }] },
+        { marks: [{ id: 1, markedCells: [12], patternScores: { row: 'x' } }] },
+        { marks: [{ id: 1, markedCells: [12], patternScores: [1] }] }
+    ].forEach(session => {
+        assert.deepEqual(problemCodes(gameFile(session)), ['session'], JSON.stringify(session));
+    });
+});
+
+test('files from before rounds and ledgers still import', () => {
+    assert.deepEqual(problemCodes(gameFile({})), []);
+});
+
+// A fixed deck (no seed) with the given id and the default deck's cards reversed
+function fixedDeckFile(id) {
+    const boards = [1, 2, 3].map(n => ({ id: n, numbers: BingoDeck.generateBoard(SEED, 4 - n) }));
+    return JSON.stringify(BingoDeckFile.exportDeck({ id, name: id, seed: null, boards }));
+}
+
+async function importPasted(app, text) {
+    const { document } = app;
+    document.getElementById('deckPasteInput').value = text;
+    document.getElementById('importPasteBtn').click();
+    await sleep(50);
+    return [...document.querySelectorAll('#deckErrors li')].map(item => item.textContent);
+}
+
+test('a fixed deck may not take an id whose cards come from a seed', async () => {
+    const app = loadApp();
+    await app.ready;
+    try {
+        const problems = await importPasted(app, fixedDeckFile(BingoDeck.DEFAULT_DECK_SEED));
+        assert.equal(problems.length, 1);
+        assert.ok(problems[0].includes(BingoDeck.DEFAULT_DECK_SEED));
+
+        assert.deepEqual(await importPasted(app, fixedDeckFile('PRINTED-1')), []);
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
@@ -0,0 +1,99 @@
+/* ========================================
+   TEST/DISPLAY.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Display modes at launch and kiosk mode's screen wake lock
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadApp, sleep } = require('./helpers/app.js');
+
+// A wake lock API whose requests wait until the test grants them
+function fakeWakeLock() {
+    const api = { pending: [], held: 0, released: 0 };
+    api.request = () => new Promise(resolve => api.pending.push(resolve));
+    api.grant = () => {
+        const lock = {
+            listeners: [],
+            addEventListener(type, listener) { this.listeners.push(listener); },
+            release() {
+                api.released++;
+                this.listeners.forEach(listener => listener());
+                return Promise.resolve();
+            }
+        };
+        api.held++;
+        api.pending.shift()(lock);
+    };
+    return api;
+}
+
+function chooseMode(app, mode) {
+    const select = app.document.getElementById('displayModeSelect');
+    select.value = mode;
+    select.dispatchEvent(new app.window.Event('change'));
+}
+
+// Counts fullscreen requests; browsers refuse the ones made without a tap
+function countFullscreen(requests) {
+    return (window) => {
+        window.Element.prototype.requestFullscreen = () => {
+            requests.push(Date.now());
+            return Promise.resolve();
+        };
+    };
+}
+
+test('a saved fullscreen choice waits for the first tap', async () => {
+    const indexedDB = new IDBFactory();
+    const first = loadApp({ indexedDB, beforeParse: countFullscreen([]) });
+    await first.ready;
+    chooseMode(first, 'fullscreen');
+    await sleep(20);
+    first.close();
+
+    const requests = [];
+    const app = loadApp({ indexedDB, beforeParse: countFullscreen(requests) });
+    await app.ready;
+    try {
+        await sleep(20);
+        assert.equal(requests.length, 0);
+        app.document.body.click();
+        assert.equal(requests.length, 1);
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
+
+test('a wake lock granted after kiosk was turned off is released', async () => {
+    const wakeLock = fakeWakeLock();
+    const app = loadApp({
+        beforeParse(window) {
+            Object.defineProperty(window.navigator, 'wakeLock', { value: wakeLock });
+        }
+    });
+    await app.ready;
+    try {
+        chooseMode(app, 'kiosk');
+        assert.equal(wakeLock.pending.length, 1);
+        chooseMode(app, 'windowed');
+        wakeLock.grant();
+        await sleep(10);
+        assert.equal(wakeLock.released, 1);
+
+        // Kiosk again: this time the lock is kept until kiosk is left
+        chooseMode(app, 'kiosk');
+        wakeLock.grant();
+        await sleep(10);
+        assert.equal(wakeLock.released, 1);
+        chooseMode(app, 'windowed');
+        assert.equal(wakeLock.released, 2);
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
@@ -0,0 +1,110 @@
+/* ========================================
+   TEST/HELPERS/APP.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Loads the real page into jsdom for the tests
+   ======================================== */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const READY_MESSAGE = 'App initialized successfully';
+const READY_TIMEOUT_MS = 5000;
+
+// index.html with every <script src> inlined, so jsdom needs no server
+function inlinePage() {
+    return fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<link rel="preload"[^>]*>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+            const code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+            return `<script>${code.replace(/<\/script>/g, '<\\/script>')}</script>`;
+        });
+}
+
+/**
+ * Starts the app on `indexedDB` (a fresh in-memory one by default).
+ * Resolves `ready` once initApp has finished; `errors` collects
+ * console errors and uncaught exceptions from the page.
+ */
+function loadApp({ indexedDB = new IDBFactory(), url = 'http://localhost/', beforeParse } = {}) {
+    const errors = [];
+    const logs = [];
+    let markReady;
+    const initialized = new Promise(resolve => { markReady = resolve; });
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('log', (message) => {
+        logs.push(String(message));
+        if (message === READY_MESSAGE) markReady();
+    });
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+    virtualConsole.on('jsdomError', (error) => {
+        // jsdom has no page navigation; downloads trigger it
+        if (/navigation/.test(error.message)) return;
+        errors.push(error.stack || error.message);
+    });
+
+    const dom = new JSDOM(inlinePage(), {
+        url,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.indexedDB = indexedDB;
+            window.IDBKeyRange = IDBKeyRange;
+            window.structuredClone = structuredClone;
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+            window.confirm = () => true;
+            window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+            window.HTMLMediaElement.prototype.pause = () => {};
+            window.Element.prototype.scrollIntoView = () => {};
+            if (beforeParse) beforeParse(window);
+        }
+    });
+
+    const ready = Promise.race([
+        initialized,
+        new Promise((resolve, reject) => setTimeout(
+            () => reject(new Error(`App did not initialize: ${errors.join('\n')}`)), READY_TIMEOUT_MS))
+    ]);
+
+    return {
+        window: dom.window,
+        document: dom.window.document,
+        ready,
+        errors,
+        logs,
+        close: () => dom.window.close()
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Picks boards through the selection screen, as a player would
+async function selectBoards(app, list) {
+    const { window, document } = app;
+    document.getElementById('noBoardsSelectBtn').click();
+    const input = document.getElementById('boardSearchInput');
+    input.value = list;
+    input.dispatchEvent(new window.Event('input'));
+    document.getElementById('addBoardBtn').click();
+    document.getElementById('okBtn').click();
+    await sleep(20);
+}
+
+function click(app, element) {
+    element.dispatchEvent(new app.window.MouseEvent('click', { bubbles: true }));
+}
+
+function key(app, element, name, options = {}) {
+    element.dispatchEvent(new app.window.KeyboardEvent('keydown', { key: name, bubbles: true, ...options }));
+}
+
+module.exports = { ROOT, loadApp, sleep, selectBoards, click, key };
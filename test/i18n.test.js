@@ -0,0 +1,86 @@
+/* ========================================
+   TEST/I18N.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Catalog coverage and a translated page
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BingoI18n = require('../i18n.js');
+const { ROOT, loadApp } = require('./helpers/app.js');
+
+const { en, am } = BingoI18n.CATALOGS;
+
+function placeholders(message) {
+    return (message.match(/\{\w+\}/g) || []).sort();
+}
+
+test('Amharic has every English key with the same placeholders', () => {
+    assert.deepEqual(Object.keys(am).sort(), Object.keys(en).sort());
+    Object.keys(en).forEach(key => {
+        assert.deepEqual(placeholders(am[key]), placeholders(en[key]), key);
+    });
+});
+
+test('every key the page and the scripts use is in the catalog', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const script = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+    const used = new Set([
+        ...Array.from(html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g), m => m[1]),
+        ...Array.from(script.matchAll(/\bt\('([\w.]+)'/g), m => m[1]),
+        ...Array.from(script.matchAll(/reportStorageError\('([\w.]+)'/g), m => m[1])
+    ]);
+    const missing = [...used].filter(key => !Object.prototype.hasOwnProperty.call(en, key));
+    assert.deepEqual(missing, []);
+});
+
+test('every server and pattern error code is worded in the catalog', () => {
+    const server = fs.readFileSync(path.join(ROOT, 'server', 'bingo-server.js'), 'utf8');
+    const patterns = fs.readFileSync(path.join(ROOT, 'patterns.js'), 'utf8');
+    const keys = [
+        ...Array.from(server.matchAll(/\bfail\('(\w+)'|code: '(\w+)'/g), m => `netError.${m[1] || m[2]}`),
+        ...Array.from(patterns.matchAll(/new PatternError\('(\w+)'/g), m => `patternError.${m[1]}`)
+    ];
+    assert.ok(keys.length > 10);
+    assert.deepEqual(keys.filter(key => !Object.prototype.hasOwnProperty.call(en, key)), []);
+});
+
+test('the modals and caller buttons follow the chosen language', async () => {
+    const app = loadApp({
+        beforeParse(window) {
+            Object.defineProperty(window.navigator, 'languages', { value: ['am-ET'] });
+        }
+    });
+    try {
+        await app.ready;
+        const { document } = app;
+        assert.equal(document.documentElement.lang, 'am');
+
+        ['patternsModal', 'verifyModal', 'netModal'].forEach(id => {
+            const modal = document.getElementById(id);
+            modal.querySelectorAll('[data-i18n]').forEach(el => {
+                assert.equal(el.textContent, am[el.dataset.i18n], `${id}: ${el.dataset.i18n}`);
+            });
+            modal.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+                assert.equal(el.getAttribute('aria-label'), am[el.dataset.i18nAriaLabel], `${id}: ${el.dataset.i18nAriaLabel}`);
+            });
+        });
+        assert.equal(document.getElementById('daubModeBtn').title, am['daub.off']);
+        assert.equal(document.getElementById('boardViewBtn').title, am['view.cards']);
+        assert.equal(document.getElementById('focusBtn').title, am['view.focusOff']);
+
+        document.getElementById('netBtn').click();
+        assert.equal(document.getElementById('netStatus').textContent, am['net.closed']);
+        document.getElementById('verifyBtn').click();
+        document.getElementById('verifyBoardInput').value = '999';
+        document.getElementById('verifyCheckBtn').click();
+        assert.equal(document.getElementById('verifyResult').textContent,
+            am['verify.range'].replace('{min}', '1').replace('{max}', '300'));
+    } finally {
+        app.close();
+    }
+});
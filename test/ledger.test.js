@@ -0,0 +1,59 @@
+/* ========================================
+   TEST/LEDGER.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Prize pools, payouts and the ledger CSV
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoLedger = require('../ledger.js');
+
+// Two rounds of 100 birr sales and no house cut: round 1 was played for two
+// patterns, round 2 for one
+function hall() {
+    return BingoLedger.createLedger({
+        cardPrice: 10,
+        houseCut: 0,
+        sales: [
+            { round: 1, player: 'Abebe', boards: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] },
+            { round: 2, player: 'Abebe', boards: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] }
+        ]
+    });
+}
+
+const winners = [
+    { round: 1, boardId: 3, patternId: 'row', pattern: 'Row' },
+    { round: 2, boardId: 7, patternId: 'corners', pattern: 'Corners' }
+];
+const patternsIn = (round) => (round === 1 ? 2 : 1);
+
+test('each round pays by the patterns it was played for', () => {
+    const due = BingoLedger.prizesDue(hall(), winners, patternsIn);
+    assert.deepEqual(due.map(d => d.amount), [50, 100]);
+
+    const sums = BingoLedger.totals(hall(), winners, patternsIn);
+    assert.equal(sums.sales, 200);
+    assert.equal(sums.unpaid, 150);
+    assert.equal(sums.kept, 50);    // round 1's second pattern nobody won
+});
+
+test('names that look like formulas are written as text in the CSV', () => {
+    const ledger = BingoLedger.createLedger({
+        cardPrice: 10,
+        sales: [
+            { round: 1, player: '=HYPERLINK("http://x","win")', boards: [1] },
+            { round: 1, player: '@SUM(A1)', boards: [2] },
+            { round: 1, player: '-2+3', boards: [3] }
+        ]
+    });
+    const labels = new Proxy({}, { get: (_, key) => String(key) });
+    const rows = BingoLedger.toCsv(ledger, [], () => 1, labels).split('\r\n');
+
+    assert.equal(rows[1].split(',')[2], `"'=HYPERLINK(""http://x""`);
+    assert.equal(rows[2].split(',')[2], "'@SUM(A1)");
+    assert.equal(rows[3].split(',')[2], "'-2+3");
+    // A wallet's loss stays a number
+    assert.ok(rows.some(row => row.startsWith('wallet,,') && row.endsWith(',-10,')), rows.join('\n'));
+});
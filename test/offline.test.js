@@ -0,0 +1,44 @@
+/* ========================================
+   TEST/OFFLINE.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Going offline leaves the player on the screen they are using
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, sleep } = require('./helpers/app.js');
+
+test('going offline on the selection screen keeps it open', async () => {
+    const app = loadApp();
+    await app.ready;
+    try {
+        const { window, document } = app;
+        document.getElementById('noBoardsSelectBtn').click();
+        assert.equal(document.getElementById('selectionSection').style.display, 'flex');
+
+        window.dispatchEvent(new window.Event('offline'));
+        await sleep(10);
+        assert.equal(document.getElementById('selectionSection').style.display, 'flex');
+        assert.equal(document.getElementById('noBoardsSection').style.display, 'none');
+    } finally {
+        app.close();
+    }
+});
+
+test('going offline on the empty screen says so', async () => {
+    const app = loadApp();
+    await app.ready;
+    try {
+        const { window, document } = app;
+        const status = document.getElementById('noBoardsStatus');
+        const online = status.textContent;
+        window.dispatchEvent(new window.Event('offline'));
+        await sleep(10);
+        assert.equal(document.getElementById('noBoardsSection').style.display, 'flex');
+        assert.notEqual(status.textContent, online);
+    } finally {
+        app.close();
+    }
+});
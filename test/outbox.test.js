@@ -0,0 +1,188 @@
+/* ========================================
+   TEST/OUTBOX.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Outbox replay against a scripted sync API
+   ======================================== */
+
+"use strict";
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const BingoStorage = require('../storage.js');
+const BingoOutbox = require('../outbox.js');
+
+const ENDPOINT = 'https://sync.example/api/sync';
+
+beforeEach(async () => {
+    BingoStorage.useFactory(new IDBFactory());
+    await BingoOutbox.setEndpoint(ENDPOINT);
+});
+
+afterEach(() => BingoStorage.close());
+
+/**
+ * A fetch that answers from `script`, one entry per request: a status
+ * number, { status, body }, or 'offline' to throw like a dropped network.
+ */
+function mockApi(...script) {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        const next = script.length > 0 ? script.shift() : 200;
+        if (next === 'offline') throw new TypeError('Failed to fetch');
+        const { status, body = {} } = typeof next === 'number' ? { status: next } : next;
+        return { ok: status >= 200 && status < 300, status, json: async () => body };
+    };
+    return { fetchImpl, requests };
+}
+
+function clock(start = 1000) {
+    const now = () => now.time;
+    now.time = start;
+    return now;
+}
+
+test('nothing is queued while sync is off', async () => {
+    await BingoOutbox.setEndpoint('  ');
+    assert.equal(await BingoOutbox.enqueue('call', { number: 5 }), false);
+    assert.equal(await BingoOutbox.pendingCount(), 0);
+
+    const api = mockApi();
+    const summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl });
+    assert.equal(summary.sent, 0);
+    assert.equal(api.requests.length, 0);
+});
+
+test('events are sent in order with their id as idempotency key', async () => {
+    await BingoOutbox.enqueue('call', { number: 5 });
+    await BingoOutbox.enqueue('call', { number: 17 });
+    const api = mockApi(200, 204);
+
+    const summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl });
+    assert.equal(summary.sent, 2);
+    assert.equal(summary.pending, 0);
+    assert.equal(summary.nextAttemptAt, null);
+    assert.deepEqual(api.requests.map(r => r.body.payload.number), [5, 17]);
+    api.requests.forEach(r => {
+        assert.equal(r.url, ENDPOINT);
+        assert.equal(r.headers['Idempotency-Key'], r.body.id);
+        assert.equal(r.body.kind, 'call');
+    });
+});
+
+test('a network failure stops the replay and backs off exponentially', async () => {
+    await BingoOutbox.enqueue('call', { number: 1 });
+    await BingoOutbox.enqueue('call', { number: 2 });
+    const now = clock();
+    const api = mockApi('offline', 'offline', 200, 200);
+
+    // Still offline: the second event is not tried at all
+    let summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.equal(api.requests.length, 1);
+    assert.equal(summary.pending, 2);
+    const [failed] = await BingoStorage.getAll('outbox');
+    assert.equal(failed.attempts, 1);
+    const firstDelay = failed.nextAttemptAt - now.time;
+    assert.ok(firstDelay >= 4000 && firstDelay <= 6000, `first retry after ${firstDelay}ms`);
+
+    // Not due yet: the first event waits and the second waits behind it
+    summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.equal(api.requests.length, 1);
+    assert.equal(summary.pending, 2);
+
+    now.time += 6000;
+    summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.deepEqual(api.requests.map(r => r.body.payload.number), [1, 1]);
+    assert.equal(summary.pending, 2);
+
+    now.time += 12000;
+    summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.deepEqual(api.requests.map(r => r.body.payload.number), [1, 1, 1, 2]);
+    assert.equal(summary.sent, 2);
+    assert.equal(summary.pending, 0);
+});
+
+test('the delay doubles with each failed attempt', async () => {
+    await BingoOutbox.enqueue('call', { number: 1 });
+    const now = clock();
+    const api = mockApi(503, 503);
+
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    const [first] = await BingoStorage.getAll('outbox');
+    assert.equal(first.attempts, 1);
+
+    now.time = first.nextAttemptAt;
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    const [second] = await BingoStorage.getAll('outbox');
+    assert.equal(second.attempts, 2);
+    const delay = second.nextAttemptAt - now.time;
+    assert.ok(delay >= 8000 && delay <= 12000, `second retry after ${delay}ms`);
+    assert.equal(second.id, first.id);
+});
+
+test('server errors, timeouts and rate limits are retried; other 4xx are dropped', async () => {
+    for (const number of [1, 2, 3]) await BingoOutbox.enqueue('call', { number });
+    const now = clock();
+    const api = mockApi(400, 500, 408, 429, 200, 200);
+    const due = async () => {
+        const [head] = await BingoStorage.getAll('outbox');
+        now.time = head.nextAttemptAt;
+    };
+
+    // The 400 is dropped and the 500 holds the rest back
+    let summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.deepEqual(summary.rejected.map(r => [r.status, r.entry.payload.number]), [[400, 1]]);
+    assert.equal(summary.pending, 2);
+    assert.deepEqual(api.requests.map(r => r.body.payload.number), [1, 2]);
+
+    await due();
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });     // 408
+    await due();
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });     // 429
+    await due();
+    summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.equal(summary.sent, 2);
+    assert.deepEqual(api.requests.map(r => r.body.payload.number), [1, 2, 2, 2, 2, 3]);
+});
+
+test('a retried mark still reaches the server before the toggle after it', async () => {
+    await BingoOutbox.enqueue('mark', { boardId: 1, index: 0, marked: true });
+    await BingoOutbox.enqueue('mark', { boardId: 1, index: 0, marked: false });
+    const now = clock();
+    const api = mockApi(503, 200, 200);
+
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    now.time += 60000;
+    await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+    assert.deepEqual(api.requests.map(r => r.body.payload.marked), [true, true, false]);
+    assert.equal(await BingoOutbox.pendingCount(), 0);
+});
+
+test('a 409 conflict drops our event and reports the server copy', async () => {
+    await BingoOutbox.enqueue('rename', { name: 'Ours' });
+    await BingoOutbox.enqueue('call', { number: 9 });
+    const api = mockApi({ status: 409, body: { current: { name: 'Theirs' } } }, 200);
+
+    const summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl });
+    assert.equal(summary.sent, 1);
+    assert.equal(summary.conflicts.length, 1);
+    assert.deepEqual(summary.conflicts[0].current, { name: 'Theirs' });
+    assert.equal(summary.conflicts[0].entry.payload.name, 'Ours');
+    assert.equal(await BingoOutbox.pendingCount(), 0);
+});
+
+test('an event is given up after ten failed attempts', async () => {
+    await BingoOutbox.enqueue('call', { number: 1 });
+    const now = clock();
+    const api = mockApi(...new Array(10).fill(503));
+
+    let summary;
+    for (let attempt = 1; attempt <= 10; attempt++) {
+        summary = await BingoOutbox.replay({ fetchImpl: api.fetchImpl, now });
+        if (summary.nextAttemptAt !== null) now.time = summary.nextAttemptAt;
+    }
+    assert.equal(api.requests.length, 10);
+    assert.equal(summary.pending, 0);
+    assert.deepEqual(summary.rejected.map(r => r.status), [503]);
+});
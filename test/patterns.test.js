@@ -0,0 +1,109 @@
+/* ========================================
+   TEST/PATTERNS.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Win patterns, custom masks and claim adjudication
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoDeck = require('../deck.js');
+const BingoPatterns = require('../patterns.js');
+
+const { PatternError } = BingoPatterns;
+const numbers = BingoDeck.generateBoard('TEST', 1);
+const TOP_ROW = [0, 1, 2, 3, 4];
+const at = (...indexes) => indexes.map(i => numbers[i]);
+const marks = (...indexes) => new Set([12, ...indexes]);
+
+// A number the card does not have
+const OFF_CARD = Array.from({ length: 75 }, (_, i) => i + 1).find(n => !numbers.includes(n));
+
+test('a paper claim counts every called number as daubed', () => {
+    const calls = [OFF_CARD, ...at(...TOP_ROW)];
+    const result = BingoPatterns.verifyClaim({ numbers, calls });
+    assert.equal(result.valid, true);
+    assert.equal(result.win.patternId, 'line');
+    assert.deepEqual(result.win.cells, TOP_ROW);
+    assert.equal(result.winningNumber, numbers[4]);
+    assert.equal(result.completedAtCall, 6);
+    assert.deepEqual(result.misDaubed, []);
+    assert.deepEqual(result.missed, []);
+
+    const short = BingoPatterns.verifyClaim({ numbers, calls: calls.slice(0, 5) });
+    assert.equal(short.valid, false);
+    assert.equal(short.winningNumber, null);
+    assert.equal(short.completedAtCall, null);
+});
+
+test('mis-daubs and missed numbers are listed, and a mis-daub wins nothing', () => {
+    const calls = [...at(...TOP_ROW), numbers[18]];
+    const result = BingoPatterns.verifyClaim({ numbers, calls, markedCells: marks(...TOP_ROW, 6) });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.misDaubed, [{ index: 6, number: numbers[6] }]);
+    assert.deepEqual(result.missed, [{ index: 18, number: numbers[18] }]);
+
+    // The top row only looks complete: its last cell was never called
+    const cheat = BingoPatterns.verifyClaim({
+        numbers,
+        calls: at(0, 1, 2, 3),
+        markedCells: marks(...TOP_ROW)
+    });
+    assert.equal(cheat.valid, false);
+    assert.deepEqual(cheat.misDaubed, [{ index: 4, number: numbers[4] }]);
+
+    // A called number left undaubed does not complete the claim either
+    const missedWin = BingoPatterns.verifyClaim({ numbers, calls: at(...TOP_ROW), markedCells: marks(0, 1, 2, 3) });
+    assert.equal(missedWin.valid, false);
+    assert.deepEqual(missedWin.missed, [{ index: 4, number: numbers[4] }]);
+});
+
+test('a shape through the FREE centre can be won on the first call', () => {
+    const pattern = BingoPatterns.defineCustomPattern('Centre pair', ['.....', '..X..', '..X..', '.....', '.....']);
+    try {
+        const first = BingoPatterns.verifyClaim({
+            numbers,
+            calls: [numbers[7], OFF_CARD],
+            markedCells: marks(7),
+            patternIds: [pattern.id]
+        });
+        assert.equal(first.valid, true);
+        assert.equal(first.winningNumber, numbers[7]);
+        assert.equal(first.completedAtCall, 1);
+
+        // The middle column needs its four numbers; FREE is already there
+        const column = BingoPatterns.verifyClaim({ numbers, calls: at(2, 7, 17, 22) });
+        assert.deepEqual(column.win.cells, [2, 7, 12, 17, 22]);
+        assert.equal(column.completedAtCall, 4);
+        assert.equal(column.winningNumber, numbers[22]);
+    } finally {
+        BingoPatterns.removePattern(pattern.id);
+    }
+});
+
+test('wins and progress are reported per pattern', () => {
+    const marked = marks(...TOP_ROW, 20, 24);
+    const wins = BingoPatterns.findWins(marked, ['line', 'four-corners', 'x']);
+    assert.deepEqual(wins.map(w => w.patternId), ['line', 'four-corners']);
+
+    const [line, x] = BingoPatterns.patternProgress(marks(0, 1, 2, 3), ['line', 'x']);
+    assert.deepEqual(line.missing, [4]);
+    assert.deepEqual(line.finishers, [4]);
+    assert.equal(x.missing.length, 7);
+    assert.deepEqual(x.finishers, []);
+});
+
+test('custom masks are parsed, and bad ones are refused with a code', () => {
+    assert.deepEqual(BingoPatterns.shapeFromMask(['X...X', '.....', '..X..', '.....', 'X...X']), [0, 4, 12, 20, 24]);
+    assert.deepEqual(BingoPatterns.shapeFromMask(Array.from({ length: 25 }, (_, i) => i % 6 === 0)), [0, 6, 12, 18, 24]);
+
+    const refused = (fn, code) => assert.throws(fn, error => error instanceof PatternError && error.code === code);
+    refused(() => BingoPatterns.shapeFromMask(['XXXX', '.....', '.....', '.....', '.....']), 'rowLength');
+    refused(() => BingoPatterns.shapeFromMask(['XXXXX']), 'maskSize');
+    refused(() => BingoPatterns.shapeFromMask(new Array(25).fill(false)), 'emptyMask');
+    refused(() => BingoPatterns.defineCustomPattern('Nothing', ['.....', '.....', '.....', '.....', '.....']), 'emptyMask');
+    refused(() => BingoPatterns.registerPattern('', 'No id', [[0]]), 'invalid');
+    refused(() => BingoPatterns.registerPattern('off-card', 'Off', [[0, 25]]), 'outsideCard');
+    assert.equal(BingoPatterns.getPattern('off-card'), null);
+});
@@ -0,0 +1,124 @@
+/* ========================================
+   TEST/QR.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Kartela QR codes: encoding, decoding and scanning
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoQR = require('../qr.js');
+const { loadApp, sleep, selectBoards } = require('./helpers/app.js');
+
+const KARTELA = 'MERKEB1/7/IDG-MERKEB-1';
+
+// Back from toSvg's path to modules[y][x], as a scanner would sample them
+function modulesFromSvg(svg) {
+    const [, full] = /viewBox="0 0 (\d+) \1"/.exec(svg);
+    const cells = [...svg.matchAll(/M(\d+),(\d+)h1v1h-1z/g)].map(([, x, y]) => [Number(x), Number(y)]);
+    const margin = Math.min(...cells.flat());
+    const size = Number(full) - margin * 2;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    cells.forEach(([x, y]) => { modules[y - margin][x - margin] = true; });
+    return modules;
+}
+
+// An RGBA picture of the symbol with a quiet zone, `scale` pixels a module
+function imageOf(qr, scale = 4, margin = 4) {
+    const width = (qr.size + margin * 2) * scale;
+    const data = new Uint8ClampedArray(width * width * 4).fill(255);
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let py = 0; py < scale; py++) {
+            for (let px = 0; px < scale; px++) {
+                const i = (((y + margin) * scale + py) * width + (x + margin) * scale + px) * 4;
+                data[i] = data[i + 1] = data[i + 2] = 0;
+            }
+        }
+    }));
+    return { width, height: width, data };
+}
+
+test('a kartela code is a version 2 symbol that decodes to its text', () => {
+    const qr = BingoQR.encode(KARTELA);
+    assert.equal(qr.version, 2);
+    assert.equal(qr.size, 25);
+    assert.equal(qr.modules.length, 25);
+    assert.ok(qr.modules.every(row => row.length === 25));
+    assert.equal(BingoQR.decodeMatrix(qr.modules), KARTELA);
+    assert.equal(BingoQR.decodeMatrix(modulesFromSvg(BingoQR.toSvg(qr))), KARTELA);
+});
+
+test('longer text takes a bigger version, up to the limit', () => {
+    const seed = 'ሀ'.repeat(40);
+    const qr = BingoQR.encode(`MERKEB1/300/${seed}`);
+    assert.ok(qr.version > 2);
+    assert.equal(qr.size, qr.version * 4 + 17);
+    assert.equal(BingoQR.decodeMatrix(qr.modules), `MERKEB1/300/${seed}`);
+    assert.throws(() => BingoQR.encode('x'.repeat(300)), /too long/);
+});
+
+test('a smudged code is still read, and a picture of it too', () => {
+    const qr = BingoQR.encode(KARTELA);
+    const smudged = qr.modules.map(row => row.slice());
+    [[24, 24], [23, 24], [24, 23], [23, 23], [24, 20]].forEach(([x, y]) => { smudged[y][x] = !smudged[y][x]; });
+    assert.equal(BingoQR.decodeMatrix(smudged), KARTELA);
+
+    assert.equal(BingoQR.decodeImage(imageOf(qr)), KARTELA);
+    assert.equal(BingoQR.decodeImage(imageOf({ size: 25, modules: qr.modules.map(row => row.map(() => false)) })), null);
+});
+
+// The camera is stubbed: BarcodeDetector hands over whatever is queued in `codes`
+function loadScanner(codes) {
+    return loadApp({
+        beforeParse(window) {
+            Object.defineProperty(window.navigator, 'mediaDevices', {
+                value: { getUserMedia: async () => ({ getTracks: () => [] }) }
+            });
+            Object.defineProperty(window.HTMLVideoElement.prototype, 'videoWidth', { get: () => 640 });
+            window.BarcodeDetector = class {
+                async detect() {
+                    return codes.length > 0 ? [{ rawValue: codes.shift() }] : [];
+                }
+            };
+        }
+    });
+}
+
+async function scan(app, codes, text) {
+    codes.push(text);
+    await sleep(300);
+    return app.document.getElementById('scanStatus').textContent;
+}
+
+test('a printed card scans back to the same board, and ids off the deck are refused', async () => {
+    const printer = loadApp();
+    await printer.ready;
+    let text;
+    try {
+        await selectBoards(printer, '7');
+        text = BingoQR.decodeMatrix(modulesFromSvg(printer.document.querySelector('.board-qr').innerHTML));
+        assert.equal(text, KARTELA);
+    } finally {
+        printer.close();
+    }
+
+    const codes = [];
+    const app = loadScanner(codes);
+    await app.ready;
+    try {
+        const { document } = app;
+        document.getElementById('noBoardsSelectBtn').click();
+        document.getElementById('scanBoardBtn').click();
+        await sleep(20);
+
+        assert.equal(await scan(app, codes, 'MERKEB1/0/IDG-MERKEB-1'), 'That is not a kartela code');
+        assert.equal(await scan(app, codes, 'MERKEB1/301/IDG-MERKEB-1'), 'That is not a kartela code');
+        assert.equal(await scan(app, codes, 'MERKEB1/7'), 'That is not a kartela code');
+        assert.equal(await scan(app, codes, text), 'Board 7 added');
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
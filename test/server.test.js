@@ -0,0 +1,206 @@
+/* ========================================
+   TEST/SERVER.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   LAN game server over a real port: rooms, reservations, calls, claims
+   ======================================== */
+
+"use strict";
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocket } = require('ws');
+const BingoNet = require('../multiplayer.js');
+const { createBingoServer } = require('../server/bingo-server.js');
+
+let game;
+let port;
+const clients = [];
+
+before(async () => {
+    game = createBingoServer();
+    ({ port } = await game.listen(0, '127.0.0.1'));
+});
+
+after(async () => {
+    clients.forEach(client => client.close());
+    await game.close();
+});
+
+// A BingoNet connection whose messages can be awaited by type
+function connect() {
+    const inbox = [];
+    const waiting = [];
+    const connection = BingoNet.connect(`ws://127.0.0.1:${port}/ws`, {
+        WebSocketImpl: WebSocket,
+        onMessage(message) {
+            const i = waiting.findIndex(w => w.type === message.type);
+            if (i >= 0) waiting.splice(i, 1)[0].resolve(message);
+            else inbox.push(message);
+        }
+    });
+    const client = {
+        send: connection.send,
+        close: connection.close,
+        next(type) {
+            const i = inbox.findIndex(message => message.type === type);
+            if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+            return new Promise(resolve => waiting.push({ type, resolve }));
+        }
+    };
+    clients.push(client);
+    return client;
+}
+
+async function host(options = {}) {
+    const client = connect();
+    client.send({ type: 'host', deckSeed: 'TEST', patterns: ['line'], ...options });
+    client.room = await client.next('room-created');
+    return client;
+}
+
+async function join(code, name) {
+    const client = connect();
+    client.send({ type: 'join', code, name });
+    client.room = await client.next('joined');
+    return client;
+}
+
+function get(pathname) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: pathname }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', reject);
+    });
+}
+
+test('static files survive malformed and escaping paths', async () => {
+    assert.equal(await get('/%E0%A4%A'), 400);
+    assert.equal(await get('/..%2Fpackage.json'), 403);
+    assert.equal(await get('/no-such-file.js'), 404);
+    assert.equal(await get('/'), 200);
+});
+
+test('players join a hosted room', async () => {
+    const hall = await host({ calls: [4, 9] });
+    assert.match(hall.room.code, /^[A-Z2-9]{4}$/);
+    assert.ok(hall.room.hostToken);
+    assert.equal(hall.room.deckSeed, 'TEST');
+
+    const abebe = await join(hall.room.code.toLowerCase(), 'Abebe');
+    assert.equal(abebe.room.name, 'Abebe');
+    assert.equal(abebe.room.hostToken, undefined);
+    assert.deepEqual(abebe.room.calls, [4, 9]);
+    assert.equal((await hall.next('player-joined')).name, 'Abebe');
+
+    const lost = connect();
+    lost.send({ type: 'join', code: 'ZZZZ' });
+    assert.equal((await lost.next('error')).message, 'Room not found');
+});
+
+test('a seat is taken back with its token, not with a broadcast id', async () => {
+    const hall = await host();
+    const abebe = await join(hall.room.code, 'Abebe');
+    assert.ok(abebe.room.playerToken);
+    abebe.send({ type: 'reserve', boards: [5] });
+    await abebe.next('reserved');
+
+    // Everyone sees the id; nobody but Abebe has the token
+    const seen = await hall.next('player-joined');
+    assert.equal(seen.playerToken, undefined);
+    const thief = connect();
+    thief.send({ type: 'join', code: hall.room.code, name: 'Thief', playerId: seen.playerId });
+    assert.equal((await thief.next('error')).message, 'Wrong player token');
+    thief.send({ type: 'join', code: hall.room.code, playerId: seen.playerId, playerToken: 'guess' });
+    assert.equal((await thief.next('error')).message, 'Wrong player token');
+
+    const back = connect();
+    back.send({ type: 'join', code: hall.room.code, playerId: seen.playerId, playerToken: abebe.room.playerToken });
+    const seat = await back.next('joined');
+    assert.equal(seat.name, 'Abebe');
+    assert.deepEqual(seat.boards, [5]);
+});
+
+test('a board held by one player is refused to another', async () => {
+    const hall = await host();
+    const first = await join(hall.room.code, 'First');
+    const second = await join(hall.room.code, 'Second');
+
+    first.send({ type: 'reserve', boards: [1, 2] });
+    assert.deepEqual((await first.next('reserved')).boards, [1, 2]);
+
+    second.send({ type: 'reserve', boards: [2, 3] });
+    const reply = await second.next('reserved');
+    assert.deepEqual(reply.boards, [3]);
+    assert.deepEqual(reply.rejected, [2]);
+
+    hall.send({ type: 'limit', boardLimit: 1 });
+    await second.next('limit');
+    second.send({ type: 'reserve', boards: [3, 4] });
+    const limited = await second.next('reserved');
+    assert.deepEqual(limited.boards, [3]);
+    assert.deepEqual(limited.overLimit, [4]);
+
+    const late = await join(hall.room.code, 'Late');
+    assert.deepEqual(late.room.taken, [1, 2, 3]);
+});
+
+test('calls from the host reach every player', async () => {
+    const hall = await host();
+    const player = await join(hall.room.code, 'Player');
+
+    hall.send({ type: 'call', number: 7 });
+    assert.deepEqual(await player.next('called'), { type: 'called', number: 7, calls: [7] });
+    assert.deepEqual((await hall.next('called')).calls, [7]);
+
+    hall.send({ type: 'call', number: 7 });
+    assert.equal((await hall.next('error')).message, 'Invalid call');
+
+    player.send({ type: 'call', number: 8 });
+    assert.equal((await player.next('error')).message, 'Only the host can call numbers');
+});
+
+test("the host's custom patterns reach players with their masks", async () => {
+    const star = { name: 'Star', mask: ['X...X', '.X.X.', '..X..', '.X.X.', 'X...X'] };
+    const hall = await host({ patterns: ['line', 'custom-star'], customPatterns: [star, { name: 'Bad', mask: ['X'] }] });
+    const player = await join(hall.room.code, 'Player');
+    assert.deepEqual(player.room.customPatterns, [star]);
+
+    const plus = { name: 'Plus', mask: ['..X..', '..X..', 'XXXXX', '..X..', '..X..'] };
+    hall.send({ type: 'patterns', patterns: ['custom-plus'], customPatterns: [plus] });
+    assert.deepEqual(await player.next('patterns'),
+        { type: 'patterns', patterns: ['custom-plus'], customPatterns: [plus] });
+
+    hall.send({ type: 'reset', patterns: ['line'] });
+    assert.deepEqual((await player.next('reset')).customPatterns, []);
+});
+
+test('a claim goes to the host and the verdict comes back', async () => {
+    const hall = await host();
+    const winner = await join(hall.room.code, 'Winner');
+    const other = await join(hall.room.code, 'Other');
+
+    winner.send({ type: 'reserve', boards: [5] });
+    await winner.next('reserved');
+
+    other.send({ type: 'claim', boardId: 5, markedCells: [12] });
+    assert.equal((await other.next('error')).message, 'Board #5 is not yours');
+
+    winner.send({ type: 'claim', boardId: 5, markedCells: [0, 1, 2, 3, 4, 12] });
+    assert.equal((await winner.next('claim-sent')).boardId, 5);
+
+    const claim = await hall.next('claim');
+    assert.equal(claim.name, 'Winner');
+    assert.deepEqual(claim.markedCells, [0, 1, 2, 3, 4, 12]);
+
+    hall.send({ type: 'verdict', claimId: claim.claimId, valid: true, pattern: 'line', winningNumber: 61 });
+    assert.deepEqual(await winner.next('claim-result'),
+        { type: 'claim-result', boardId: 5, valid: true, pattern: 'line', winningNumber: 61 });
+    const announced = await other.next('winner');
+    assert.equal(announced.name, 'Winner');
+    assert.equal(announced.boardId, 5);
+
+    hall.send({ type: 'verdict', claimId: claim.claimId, valid: true });
+    assert.equal((await hall.next('error')).message, 'Unknown claim');
+});
@@ -0,0 +1,117 @@
+/* ========================================
+   TEST/STATS.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Dashboard numbers and chart markup
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoStats = require('../stats.js');
+
+const ALL = Array.from({ length: 75 }, (_, i) => i + 1);
+const without = (...numbers) => ALL.filter(n => !numbers.includes(n));
+
+// Two evenings: the first played two rounds, the second was saved before
+// rounds existed and so holds round 1 only. Passed newest first on purpose.
+function evenings() {
+    return [
+        {
+            id: 'second',
+            createdAt: 2,
+            calls: [1, 2, 5],
+            winners: [{ boardId: 7, patternId: 'line', pattern: 'Line', callCount: 3 }]
+        },
+        {
+            id: 'first',
+            createdAt: 1,
+            round: { number: 2 },
+            calls: [1, 4],
+            pastRounds: [{ number: 1, calls: [1, 2, 3] }],
+            winners: [
+                { round: 1, boardId: 5, patternId: 'line', pattern: 'Line', callCount: 3 },
+                { round: 2, boardId: 5, patternId: 'x', pattern: 'X', callCount: 2 }
+            ]
+        },
+        { id: 'unplayed', createdAt: 3, calls: [], winners: [] }
+    ];
+}
+
+test('games are collected oldest first, one per played round', () => {
+    const games = BingoStats.collectGames(evenings());
+    assert.deepEqual(games.map(game => [game.sessionId, game.round, game.calls]), [
+        ['first', 1, [1, 2, 3]],
+        ['first', 2, [1, 4]],
+        ['second', 1, [1, 2, 5]]
+    ]);
+    assert.deepEqual(games.map(game => game.winners.map(w => w.patternId)), [['line'], ['x'], ['line']]);
+});
+
+test('wins, calls to win, patterns and luckiest boards', () => {
+    const stats = BingoStats.computeStats(evenings());
+    assert.equal(stats.sessions, 2);
+    assert.equal(stats.games, 3);
+    assert.equal(stats.wins, 3);
+    assert.equal(stats.wonGames, 3);
+    assert.deepEqual(stats.callsToWin, [3, 2, 3]);
+    assert.equal(stats.averageCallsToWin, 8 / 3);
+    assert.deepEqual(stats.patterns, [
+        { patternId: 'line', pattern: 'Line', count: 2 },
+        { patternId: 'x', pattern: 'X', count: 1 }
+    ]);
+    assert.deepEqual(stats.luckyBoards, [{ boardId: 5, count: 2 }, { boardId: 7, count: 1 }]);
+});
+
+test('hot and cold numbers come from how often each was called', () => {
+    const stats = BingoStats.computeStats(evenings());
+    assert.equal(stats.frequency.length, 75);
+    assert.deepEqual(stats.frequency.slice(0, 6).map(f => f.count), [3, 2, 1, 1, 1, 0]);
+    assert.deepEqual(stats.hot, [
+        { number: 1, count: 3 },
+        { number: 2, count: 2 },
+        { number: 3, count: 1 },
+        { number: 4, count: 1 },
+        { number: 5, count: 1 }
+    ]);
+    assert.deepEqual(stats.cold.map(c => c.number), [75, 74, 73, 72, 71]);
+
+    const empty = BingoStats.computeStats([]);
+    assert.deepEqual([empty.games, empty.averageCallsToWin, empty.hot, empty.cold, empty.droughts], [0, 0, [], [], []]);
+});
+
+test('droughts count games in a row without a number, longest first', () => {
+    const sessions = [
+        { id: 'a', createdAt: 1, calls: ALL, winners: [] },
+        { id: 'b', createdAt: 2, calls: without(10, 20), winners: [] },
+        { id: 'c', createdAt: 3, calls: without(10, 30), winners: [] }
+    ];
+    assert.deepEqual(BingoStats.computeStats(sessions).droughts, [
+        { number: 10, longest: 2, current: 2 },
+        { number: 30, longest: 1, current: 1 },
+        { number: 20, longest: 1, current: 0 }
+    ]);
+});
+
+test('calls to win are bucketed for the histogram', () => {
+    assert.deepEqual(BingoStats.histogram([]), []);
+    assert.deepEqual(BingoStats.histogram([7, 9, 18]), [
+        { from: 6, to: 10, count: 2 },
+        { from: 11, to: 15, count: 0 },
+        { from: 16, to: 20, count: 1 }
+    ]);
+});
+
+test('chart text is escaped into the SVG', () => {
+    const label = '<script>"Abebe & Co"</script>';
+    const escaped = '&lt;script&gt;&quot;Abebe &amp; Co&quot;&lt;/script&gt;';
+    [
+        BingoStats.barChart([{ label, value: 2 }]),
+        BingoStats.columnChart([{ label, value: 2, title: label }])
+    ].forEach(svg => {
+        assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+        assert.ok(!svg.includes('<script>'));
+        assert.ok(svg.includes(`>${escaped}</text>`));
+        assert.ok(svg.includes(`<title>${escaped}`));
+    });
+});
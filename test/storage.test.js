@@ -0,0 +1,196 @@
+/* ========================================
+   TEST/STORAGE.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Schema migrations and restoring the last game on launch
+   ======================================== */
+
+"use strict";
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const BingoStorage = require('../storage.js');
+const BingoDeck = require('../deck.js');
+const { loadApp, sleep } = require('./helpers/app.js');
+
+const SEED = BingoDeck.DEFAULT_DECK_SEED;
+
+// Builds a database at `version` the way an old release left it
+function seedDatabase(factory, version, upgrade, fill) {
+    return new Promise((resolve, reject) => {
+        const request = factory.open(BingoStorage.DB_NAME, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            const tx = db.transaction([...db.objectStoreNames], 'readwrite');
+            fill(tx);
+            tx.oncomplete = () => { db.close(); resolve(); };
+            tx.onerror = () => reject(tx.error);
+        };
+    });
+}
+
+function seedVersion1(factory) {
+    return seedDatabase(factory, 1, (db) => {
+        db.createObjectStore('boards', { keyPath: 'id' });
+        db.createObjectStore('gameState', { keyPath: 'id' });
+    }, (tx) => {
+        tx.objectStore('boards').put({ id: 1, deckSeed: SEED });
+        tx.objectStore('boards').put({ id: 2 });
+        tx.objectStore('gameState').put({
+            id: 'current',
+            timestamp: 1000,
+            selectedBoards: [3, 7],
+            calls: [5, 20, 33],
+            boards: [{ id: 3, deckSeed: SEED, markedCells: [12, 0], score: 0 }]
+        });
+    });
+}
+
+afterEach(() => BingoStorage.close());
+
+test('a fresh database is created at the latest version', async () => {
+    BingoStorage.useFactory(new IDBFactory());
+    const db = await BingoStorage.open();
+    assert.equal(db.version, BingoStorage.DB_VERSION);
+    assert.deepEqual([...db.objectStoreNames].sort(),
+        ['boards', 'decks', 'gameState', 'outbox', 'sessionBoards', 'sessions']);
+});
+
+test('a v1 database is migrated to the latest version', async () => {
+    const factory = new IDBFactory();
+    await seedVersion1(factory);
+    BingoStorage.useFactory(factory);
+
+    const db = await BingoStorage.open();
+    assert.equal(db.version, BingoStorage.DB_VERSION);
+
+    // v2: boards without a deck seed are dropped
+    assert.deepEqual((await BingoStorage.getAll('boards')).map(b => b.id), [1]);
+
+    // v3: the single game became the first session
+    assert.deepEqual(await BingoStorage.get('gameState', 'current'), { id: 'current', sessionId: 's-1000' });
+    const session = await BingoStorage.get('sessions', 's-1000');
+    assert.equal(session.name, 'Game 1');
+    assert.equal(session.createdAt, 1000);
+    assert.deepEqual(session.calls, [5, 20, 33]);
+    assert.deepEqual(session.winners, []);
+    assert.equal(session.timestamp, undefined);
+
+    // v5: its marks moved out into sessionBoards
+    assert.equal(session.boards, undefined);
+    const boards = await BingoStorage.getAllByIndex('sessionBoards', 'sessionId', 's-1000');
+    assert.deepEqual(boards, [{ id: 3, deckSeed: SEED, markedCells: [12, 0], score: 0, sessionId: 's-1000' }]);
+
+    // v4 and v6 add empty stores
+    assert.deepEqual(await BingoStorage.getAll('outbox'), []);
+    assert.deepEqual(await BingoStorage.getAll('decks'), []);
+});
+
+test('a v4 session keeps its boards through the v5 split', async () => {
+    const factory = new IDBFactory();
+    await seedDatabase(factory, 4, (db) => {
+        db.createObjectStore('boards', { keyPath: 'id' });
+        db.createObjectStore('gameState', { keyPath: 'id' });
+        db.createObjectStore('sessions', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true }).createIndex('nextAttemptAt', 'nextAttemptAt');
+    }, (tx) => {
+        tx.objectStore('sessions').put({ id: 's-a', name: 'A', boards: [{ id: 1, markedCells: [12] }] });
+        tx.objectStore('sessions').put({ id: 's-b', name: 'B', boards: [{ id: 2, markedCells: [12, 4] }, { id: 9, markedCells: [12] }] });
+    });
+    BingoStorage.useFactory(factory);
+
+    const a = await BingoStorage.getAllByIndex('sessionBoards', 'sessionId', 's-a');
+    const b = await BingoStorage.getAllByIndex('sessionBoards', 'sessionId', 's-b');
+    assert.deepEqual(a.map(board => board.id), [1]);
+    assert.deepEqual(b.map(board => board.id), [2, 9]);
+    assert.deepEqual(b[0].markedCells, [12, 4]);
+    assert.equal((await BingoStorage.get('sessions', 's-b')).boards, undefined);
+});
+
+test('the last session is restored on launch', async () => {
+    const factory = new IDBFactory();
+    BingoStorage.useFactory(factory);
+    await BingoStorage.put('sessions', {
+        id: 's-hall', name: 'Hall', createdAt: 1, updatedAt: 2, deckSeed: SEED,
+        selectedBoards: [4, 9], calls: [1, 2, 3], winners: []
+    });
+    await BingoStorage.putAll('sessionBoards', [
+        { sessionId: 's-hall', id: 4, deckSeed: SEED, markedCells: [12, 0, 6], score: 0 }
+    ]);
+    await BingoStorage.put('gameState', { id: 'current', sessionId: 's-hall' });
+    await BingoStorage.close();
+
+    const app = loadApp({ indexedDB: factory });
+    try {
+        await app.ready;
+        const { document } = app;
+        assert.equal(document.getElementById('bingoSection').style.display, 'flex');
+        const cards = [...document.querySelectorAll('#boardsContainer .board-card')];
+        assert.deepEqual(cards.map(card => Number(card.dataset.boardId)), [4, 9]);
+
+        const marked = (card) => [...card.querySelectorAll('.bingo-cell[aria-selected="true"]')]
+            .map(cell => Number(cell.dataset.index)).sort((x, y) => x - y);
+        assert.deepEqual(marked(cards[0]), [0, 6, 12]);
+        assert.deepEqual(marked(cards[1]), [12]);
+        assert.equal(document.getElementById('callerCount').textContent, '3/75');
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+});
+
+test('a v1 game comes back on launch after migrating', async () => {
+    const factory = new IDBFactory();
+    await seedVersion1(factory);
+
+    const app = loadApp({ indexedDB: factory });
+    try {
+        await app.ready;
+        const cards = [...app.document.querySelectorAll('#boardsContainer .board-card')];
+        assert.deepEqual(cards.map(card => Number(card.dataset.boardId)), [3, 7]);
+        assert.equal(cards[0].querySelector('.bingo-cell[data-index="0"]').getAttribute('aria-selected'), 'true');
+    } finally {
+        app.close();
+    }
+});
+
+test('deleting the open game leaves a saved empty game to restore', async () => {
+    const factory = new IDBFactory();
+    BingoStorage.useFactory(factory);
+    await BingoStorage.put('sessions', {
+        id: 's-hall', name: 'Hall', createdAt: 1, updatedAt: 2, deckSeed: SEED,
+        selectedBoards: [4], calls: [1, 2], winners: []
+    });
+    await BingoStorage.put('gameState', { id: 'current', sessionId: 's-hall' });
+    await BingoStorage.close();
+
+    const app = loadApp({ indexedDB: factory });
+    await app.ready;
+    try {
+        app.document.querySelector('#boardsContainer [data-action="sessions"]').click();
+        await sleep(50);
+        app.document.querySelector('.session-item.current button:last-of-type').click();
+        await sleep(100);
+        assert.deepEqual(app.errors, []);
+    } finally {
+        app.close();
+    }
+
+    BingoStorage.useFactory(factory);
+    const pointer = await BingoStorage.get('gameState', 'current');
+    assert.notEqual(pointer.sessionId, 's-hall');
+    assert.ok(await BingoStorage.get('sessions', pointer.sessionId));
+    assert.equal(await BingoStorage.get('sessions', 's-hall'), undefined);
+    await BingoStorage.close();
+
+    const again = loadApp({ indexedDB: factory });
+    try {
+        await again.ready;
+        assert.equal(again.document.getElementById('callerCount').textContent, '0/75');
+        assert.deepEqual(again.errors, []);
+    } finally {
+        again.close();
+    }
+});
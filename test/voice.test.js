@@ -0,0 +1,127 @@
+/* ========================================
+   TEST/VOICE.TEST.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Call announcements with and without a clip pack
+   ======================================== */
+
+"use strict";
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BingoVoice = require('../voice.js');
+
+// Speech, Audio and fetch stand-ins that record what the announcer did
+function fakes({ status = 200, play = () => Promise.resolve() } = {}) {
+    const log = { spoken: [], played: [], fetched: [], missing: [] };
+    function Utterance(text) { this.text = text; }
+    function AudioImpl(url) {
+        this.url = url;
+        this.pause = () => {};
+        this.play = () => {
+            log.played.push(url);
+            return play();
+        };
+    }
+    return {
+        log,
+        options: {
+            speech: { getVoices: () => [], speak: (u) => log.spoken.push(u.text), cancel: () => {} },
+            Utterance,
+            AudioImpl,
+            AudioContextImpl: null,
+            fetchImpl: async (url) => {
+                log.fetched.push(url);
+                return { status };
+            },
+            onMissingPack: (pack) => log.missing.push(pack)
+        }
+    };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('Amharic calls are said in Amharic words', () => {
+    assert.equal(BingoVoice.announcementText(5, 'am'), 'ቢ አምስት');
+    assert.equal(BingoVoice.announcementText(17, 'am'), 'አይ አስራ ሰባት');
+    assert.equal(BingoVoice.announcementText(70, 'en'), 'O 70');
+    assert.equal(BingoVoice.clipUrl(42, 'om'), '/audio/am/42.mp3');
+});
+
+test('a clip plays when the pack is there', async () => {
+    const { log, options } = fakes();
+    const announcer = BingoVoice.createAnnouncer(options);
+    announcer.announce(5);
+    await settle();
+    announcer.announce(20);
+    await settle();
+    assert.deepEqual(log.played, ['/audio/am/5.mp3', '/audio/am/20.mp3']);
+    assert.deepEqual(log.fetched, ['/audio/am/1.mp3']);
+    assert.deepEqual(log.spoken, []);
+    assert.equal(announcer.hasClips(), true);
+});
+
+test('a missing pack is reported once and calls are spoken instead', async () => {
+    const { log, options } = fakes({ status: 404 });
+    const announcer = BingoVoice.createAnnouncer(options);
+    announcer.announce(5);
+    await settle();
+    announcer.announce(61);
+    await settle();
+    assert.deepEqual(log.played, []);
+    assert.deepEqual(log.spoken, ['B 5', 'O 61']);
+    assert.deepEqual(log.missing, ['am']);
+    assert.equal(log.fetched.length, 1);
+    assert.equal(announcer.hasClips(), false);
+});
+
+test('a clip that will not play falls back to speech', async () => {
+    const { log, options } = fakes({ play: () => Promise.reject(new Error('NotAllowedError')) });
+    const announcer = BingoVoice.createAnnouncer(options);
+    announcer.announce(33);
+    await settle();
+    await settle();
+    assert.deepEqual(log.played, ['/audio/am/33.mp3']);
+    assert.deepEqual(log.spoken, ['N 33']);
+    assert.deepEqual(log.missing, []);
+});
+
+test('being offline does not rule the pack out', async () => {
+    const { log, options } = fakes();
+    options.fetchImpl = async () => { throw new TypeError('Failed to fetch'); };
+    const announcer = BingoVoice.createAnnouncer(options);
+    announcer.announce(9);
+    await settle();
+    assert.deepEqual(log.played, ['/audio/am/9.mp3']);
+    assert.equal(announcer.hasClips(), true);
+});
+
+// An AudioContext that starts suspended, as browsers make one created outside a tap
+function FakeAudioContext() {
+    FakeAudioContext.created++;
+    this.state = 'suspended';
+    this.currentTime = 0;
+    this.destination = {};
+    this.resume = () => {
+        this.state = 'running';
+        return Promise.resolve();
+    };
+    const node = () => ({ connect() {}, start() {}, stop() {}, frequency: {},
+        gain: { setValueAtTime() {}, exponentialRampToValueAtTime() {} } });
+    this.createOscillator = node;
+    this.createGain = node;
+}
+
+test('the chime audio is unlocked by a tap and resumed when suspended again', () => {
+    FakeAudioContext.created = 0;
+    const { options } = fakes();
+    options.AudioContextImpl = FakeAudioContext;
+    const announcer = BingoVoice.createAnnouncer(options);
+
+    const context = announcer.unlockChime();
+    assert.equal(context.state, 'running');
+
+    context.state = 'suspended';    // e.g. after the phone slept
+    announcer.chime();
+    assert.equal(context.state, 'running');
+    assert.equal(FakeAudioContext.created, 1);
+});
@@ -0,0 +1,235 @@
+/* ========================================
+   VOICE.JS - መርከብ ቢንጎ ጨዋታ PWA
+   Insite Digital Group - Ethiopia
+   Spoken number announcements for the caller
+   ======================================== */
+
+// UMD wrapper: window.BingoVoice in the page, require('./voice') in Node
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./deck.js'));
+    } else {
+        root.BingoVoice = factory(root.BingoDeck);
+    }
+})(typeof self !== 'undefined' ? self : this, function(BingoDeck) {
+    "use strict";
+
+    // Each call is spoken with the Web Speech API when the device has a
+    // voice for the language. Otherwise a recorded clip is played from
+    //   audio/<lang>/<number>.mp3   (e.g. audio/am/5.mp3 says "ቢ አምስት")
+    // The app does not ship a clip pack; a hall can drop one in audio/.
+    // sw.js keeps every clip it has played, so a pack works offline once
+    // each number has been called. Without a pack, calls are spoken with
+    // whatever voice the device has.
+
+    // ---------- CONSTANTS ----------
+    const AUTO_VOICE = '';        // best voice for the language, else clips
+    const CLIPS_VOICE = 'clips';  // always use the recorded pack
+    const CLIP_LANGUAGES = ['am', 'en'];
+    const CLIP_FALLBACK = 'am';
+
+    // ---------- AMHARIC WORDS ----------
+    const AM_LETTERS = { B: 'ቢ', I: 'አይ', N: 'ኤን', G: 'ጂ', O: 'ኦ' };
+    const AM_ONES = ['', 'አንድ', 'ሁለት', 'ሶስት', 'አራት', 'አምስት', 'ስድስት', 'ሰባት', 'ስምንት', 'ዘጠኝ'];
+    const AM_TENS = ['', 'አስር', 'ሃያ', 'ሰላሳ', 'አርባ', 'ሃምሳ', 'ስልሳ', 'ሰባ'];
+
+    // 1–79 in words: 10 is "አስር", 11–19 use the joined form "አስራ አንድ"
+    function amharicNumber(n) {
+        const tens = Math.floor(n / 10);
+        const ones = n % 10;
+        if (tens === 0) return AM_ONES[ones];
+        if (ones === 0) return AM_TENS[tens];
+        return `${tens === 1 ? 'አስራ' : AM_TENS[tens]} ${AM_ONES[ones]}`;
+    }
+
+    /**
+     * What is said for a call: "ቢ አምስት" in Amharic, "B 5" otherwise
+     * (speech engines read the digits in their own language).
+     */
+    function announcementText(number, language) {
+        const letter = BingoDeck.letterFor(number);
+        if (language === 'am') return `${AM_LETTERS[letter]} ${amharicNumber(number)}`;
+        return `${letter} ${number}`;
+    }
+
+    function clipPack(language) {
+        return CLIP_LANGUAGES.includes(language) ? language : CLIP_FALLBACK;
+    }
+
+    function clipUrl(number, language) {
+        return `/audio/${clipPack(language)}/${number}.mp3`;
+    }
+
+    // ---------- ANNOUNCER ----------
+    /**
+     * Creates the page's announcer. The speech, audio and fetch
+     * implementations can be injected for tooling; they default to the
+     * browser's. `onMissingPack(pack)` runs once when a language turns
+     * out to have no clips on the server.
+     */
+    function createAnnouncer({
+        speech = typeof speechSynthesis !== 'undefined' ? speechSynthesis : null,
+        Utterance = typeof SpeechSynthesisUtterance !== 'undefined' ? SpeechSynthesisUtterance : null,
+        AudioImpl = typeof Audio !== 'undefined' ? Audio : null,
+        AudioContextImpl = typeof AudioContext !== 'undefined' ? AudioContext :
+            (typeof webkitAudioContext !== 'undefined' ? webkitAudioContext : null),
+        fetchImpl = typeof fetch !== 'undefined' ? fetch : null,
+        onMissingPack = () => {}
+    } = {}) {
+        let language = 'am';
+        let voiceURI = AUTO_VOICE;
+        let volume = 1;
+        let last = null;
+        let clip = null;
+        let chimeContext = null;
+        const packs = new Map();  // pack → true / false / pending check
+
+        function listVoices() {
+            return speech && Utterance ? speech.getVoices() : [];
+        }
+
+        function voiceForLanguage(lang) {
+            return listVoices().find(v => v.lang.toLowerCase().split(/[-_]/)[0] === lang) || null;
+        }
+
+        // null means "play a clip"
+        function pickVoice() {
+            if (voiceURI === CLIPS_VOICE) return null;
+            if (voiceURI) {
+                const chosen = listVoices().find(v => v.voiceURI === voiceURI);
+                if (chosen) return chosen;
+            }
+            return voiceForLanguage(language);
+        }
+
+        function stop() {
+            if (speech) speech.cancel();
+            if (clip) {
+                clip.pause();
+                clip = null;
+            }
+        }
+
+        function speak(text, voice) {
+            const utterance = new Utterance(text);
+            if (voice) {
+                utterance.voice = voice;
+                utterance.lang = voice.lang;
+            }
+            utterance.volume = volume;
+            speech.speak(utterance);
+        }
+
+        // Asks for the pack's first clip once. Only a 404 rules the pack
+        // out: a failed request may just be offline with nothing cached.
+        function hasPack(pack) {
+            if (!fetchImpl) return Promise.resolve(true);
+            if (!packs.has(pack)) {
+                const check = fetchImpl(clipUrl(1, pack))
+                    .then(response => {
+                        const found = response.status !== 404;
+                        packs.set(pack, found);
+                        if (!found) onMissingPack(pack);
+                        return found;
+                    })
+                    .catch(() => {
+                        packs.delete(pack);
+                        return true;
+                    });
+                packs.set(pack, check);
+            }
+            return Promise.resolve(packs.get(pack));
+        }
+
+        function speakWithoutClips(number) {
+            if (speech && Utterance) speak(announcementText(number, 'en'), null);
+        }
+
+        function playClip(number) {
+            if (!AudioImpl) return Promise.reject(new Error('Audio is not supported'));
+            clip = new AudioImpl(clipUrl(number, language));
+            clip.volume = volume;
+            return clip.play();
+        }
+
+        function announce(number) {
+            if (number == null) return;
+            last = number;
+            if (volume === 0) return;
+
+            stop();
+            const voice = pickVoice();
+            if (voice) {
+                speak(announcementText(number, language), voice);
+                return;
+            }
+
+            // No clip pack (or autoplay blocked): any voice beats silence
+            hasPack(clipPack(language)).then(found => {
+                if (last !== number) return;   // a newer call took over
+                if (!found) {
+                    speakWithoutClips(number);
+                    return;
+                }
+                playClip(number).catch(error => {
+                    console.warn('Call clip unavailable:', error.message);
+                    speakWithoutClips(number);
+                });
+            });
+        }
+
+        function repeat() {
+            announce(last);
+        }
+
+        // Browsers start an AudioContext suspended unless a tap created or
+        // resumed it, so the page calls this from one before the first chime
+        function unlockChime() {
+            if (!AudioContextImpl) return null;
+            if (!chimeContext) chimeContext = new AudioContextImpl();
+            if (chimeContext.state === 'suspended') chimeContext.resume().catch(() => {});
+            return chimeContext;
+        }
+
+        // Two short rising tones, synthesised so no clip has to ship
+        function chime() {
+            if (!AudioContextImpl || volume === 0) return;
+            unlockChime();
+            const start = chimeContext.currentTime;
+            [880, 1320].forEach((frequency, i) => {
+                const tone = chimeContext.createOscillator();
+                const gain = chimeContext.createGain();
+                tone.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.3 * volume, start + i * 0.15);
+                gain.gain.exponentialRampToValueAtTime(0.001, start + i * 0.15 + 0.14);
+                tone.connect(gain);
+                gain.connect(chimeContext.destination);
+                tone.start(start + i * 0.15);
+                tone.stop(start + i * 0.15 + 0.15);
+            });
+        }
+
+        return {
+            announce,
+            repeat,
+            chime,
+            unlockChime,
+            stop,
+            listVoices,
+            setLanguage: (code) => { language = code; },
+            setVoice: (uri) => { voiceURI = uri || AUTO_VOICE; },
+            setVolume: (value) => { volume = Math.min(1, Math.max(0, Number(value) || 0)); },
+            getVolume: () => volume,
+            hasSpeech: () => Boolean(speech && Utterance),
+            hasClips: () => packs.get(clipPack(language)) !== false
+        };
+    }
+
+    return {
+        AUTO_VOICE,
+        CLIPS_VOICE,
+        announcementText,
+        clipUrl,
+        createAnnouncer
+    };
+});